@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+/**
+ * Lib2Dex - LibreView to Dexcom Share Sync
+ *
+ * Synchronizes glucose readings from FreeStyle Libre (via LibreView/LibreLinkUp)
+ * to Dexcom Share accounts.
+ *
+ * Command line entry point; the library API is in index.js.
+ *
+ * Usage:
+ *   lib2dex --daemon    Run in continuous sync mode
+ *   lib2dex --once      Run a single sync and exit
+ *   lib2dex --test      Test connections without syncing
+ *   lib2dex --verify    Verify uploaded data
+ *   lib2dex --backfill <hours>  Upload missing history from the last N hours
+ *   lib2dex --diff <hours>      Compare LibreView and Dexcom Share readings
+ *   lib2dex --config lib2dex.yaml --profile mom  Use a config file profile
+ *   lib2dex --help      Show help
+ */
+
+// Variables set outside .env take precedence over it, also on a reload
+const startEnv = { ...process.env };
+require('dotenv').config();
+
+const Syncer = require('./src/syncer');
+const SyncGroup = require('./src/sync-group');
+const HealthServer = require('./src/health-server');
+const logger = require('./src/logger');
+const { loadConfig, ConfigError } = require('./src/config');
+const { DIFF_FORMATS, formatDiff, hasDifferences } = require('./src/diff');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+// Show help
+function showHelp() {
+    console.log(`
+Lib2Dex - LibreView to Dexcom Share Sync
+
+USAGE:
+  lib2dex [OPTIONS]
+
+OPTIONS:
+  --daemon      Run in continuous sync mode (default)
+  --once        Run a single sync and exit
+  --test        Test connections without syncing
+  --verify      Verify uploaded data in Dexcom Share
+  --backfill <hours>
+                Upload missing readings from the last N hours and exit
+  --diff <hours>
+                Compare the last N hours (max 24) of source and destination
+                readings: missing, extra, value and trend mismatches.
+                Exits 0 if they match, 1 if they differ, 2 on errors
+  --format <text|json|csv>
+                Output format for --diff (default: text)
+  --config <file>
+                Read settings from a JSON or YAML file (or set LIB2DEX_CONFIG)
+  --profile <name>
+                Apply a named profile from the config file (or set LIB2DEX_PROFILE)
+  --<setting> <value>
+                Override any setting below, e.g. --sync-interval-minutes 10
+  --help        Show this help message
+
+SETTINGS (config file, environment variables or .env file):
+  SOURCE_TYPE              Source adapter: libreview or a module name/path (default: libreview)
+  SOURCE_OPTIONS           JSON options passed to a third-party source adapter
+  SOURCE_EMAIL             LibreView/LibreLinkUp email (follower account)
+  SOURCE_PASSWORD          LibreView/LibreLinkUp password
+  SOURCE_REGION            LibreView region (eu, us, de, etc.)
+  SOURCE_PATIENT           Connection to follow: patient ID or name (default: first)
+  PATIENT_TIMEZONE         Patient's IANA time zone for Dexcom display times, e.g.
+                           Europe/Istanbul (default: the offset LibreLinkUp reports)
+  SOURCE_API_URL           Override the LibreLinkUp API URL (e.g. a local mock server)
+  SOURCE_PROXY             Proxy for LibreView: http(s)://, socks5:// or socks5h:// URL,
+                           or direct to ignore HTTPS_PROXY (default: HTTPS_PROXY/NO_PROXY)
+  SOURCE_COOLDOWN_MINUTES  Pause LibreView requests this long after a Cloudflare block,
+                           doubling with each block in a row; 0 retries instead (default: 5)
+  SOURCE_COOLDOWN_MAX_MINUTES
+                           Longest pause after repeated blocks (default: 120)
+
+  DEST_TYPE                Destination adapter: dexcom, nightscout or a module name/path
+                           (default: dexcom)
+  DEST_OPTIONS             JSON options passed to a third-party destination adapter
+  DEST_USERNAME            Dexcom Share username
+  DEST_PASSWORD            Dexcom Share password
+  DEST_REGION              Dexcom region: us or ous (default: ous)
+  DEST_URL                 Nightscout site URL (DEST_TYPE=nightscout)
+  DEST_API_SECRET          Nightscout API_SECRET (sent SHA1-hashed)
+  DEST_TOKEN               Nightscout access token (alternative to API_SECRET)
+  DEST_API_URL             Override the Dexcom Share API URL (e.g. a local mock server)
+  DEST_PROXY               Proxy for the destination, like SOURCE_PROXY
+  DEST_NAME                Label for the primary destination in logs (default: dest1)
+
+  DEST_<n>_TYPE            Fan-out: type of additional destination n (2, 3, ...)
+  DEST_<n>_USERNAME        Dexcom Share username for destination n
+  DEST_<n>_PASSWORD        Dexcom Share password for destination n
+  DEST_<n>_REGION          Dexcom region for destination n (default: ous)
+  DEST_<n>_URL             Nightscout URL for destination n
+  DEST_<n>_API_SECRET      Nightscout API_SECRET for destination n
+  DEST_<n>_TOKEN           Nightscout access token for destination n
+  DEST_<n>_API_URL         Dexcom Share API URL override for destination n
+  DEST_<n>_PROXY           Proxy for destination n
+  DEST_<n>_OPTIONS         JSON options for a third-party destination n
+  DEST_<n>_SERIAL_NUMBER   Virtual receiver serial for destination n (auto-generated)
+  DEST_<n>_NAME            Label for destination n in logs (default: dest<n>)
+
+  PAIR_<n>_PATIENT         Multi-patient mode: connection for pair n (1, 2, ...)
+  PAIR_<n>_TIMEZONE        Time zone for pair n (default: PATIENT_TIMEZONE)
+  PAIR_<n>_DEST_USERNAME   Dexcom Share username for pair n
+  PAIR_<n>_DEST_PASSWORD   Dexcom Share password for pair n
+  PAIR_<n>_DEST_REGION     Dexcom region for pair n (default: DEST_REGION)
+  PAIR_<n>_SERIAL_NUMBER   Virtual receiver serial for pair n (auto-generated)
+  PAIR_<n>_NAME            Label for pair n in logs (default: pair<n>)
+
+  SYNC_INTERVAL_MINUTES    Longest wait between syncs in minutes (default: 5)
+  ADAPTIVE_POLLING         Poll shortly after each new sensor reading is due,
+                           instead of every SYNC_INTERVAL_MINUTES (default: true)
+  MIN_POLL_SECONDS         Shortest wait between LibreLinkUp polls (default: 60)
+  MAX_READINGS_PER_SYNC    Max readings per sync (default: 12)
+  BACKFILL_BATCH_SIZE      Readings per upload during --backfill (default: 50)
+  RECONCILE_INTERVAL_HOURS Hours between daemon checks that re-upload readings missing
+                           from the destination's last 24h (0 disables, default: 6)
+  RECOMPUTE_TRENDS         Estimate every trend arrow from the rate of change, not only
+                           for graph points LibreLinkUp sends without one (default: false)
+  RESAMPLE                 Normalize to one reading per 5 minutes: off, pick (first reading
+                           of each slot) or average (default: off)
+  RESAMPLE_INTERPOLATE     Fill gaps of up to 15 minutes with interpolated 5-minute points
+                           (default: false)
+  READING_LOW_POLICY       LO readings (below 40 mg/dL): code (send Dexcom LOW, 39),
+                           clamp (send 40) or skip (default: code)
+  READING_HIGH_POLICY      HI readings (above 400 mg/dL): code (send Dexcom HIGH, 401),
+                           clamp (send 400) or skip (default: code)
+  READING_INVALID_POLICY   Readings with a missing, zero or non-numeric value: skip or
+                           code (send Dexcom's ??? value, 9) (default: skip)
+  SENSOR_CHANGE_ACTION     When a new sensor starts: none, register (register the receiver
+                           again) or rotate (new receiver serial per sensor) (default: none)
+  SENSOR_LIFETIME_DAYS     Sensor wear time, for the ending/expired states (default: 14)
+  SERIAL_NUMBER            Virtual receiver serial (auto-generated)
+  STATE_DIR                Directory for the sync journal and session cache (default: ~/.lib2dex)
+  SESSION_CACHE            Reuse encrypted LibreView/Dexcom sessions across restarts (default: true)
+  ALERT_WEBHOOK_URL        POST alerts as JSON to this URL (daemon mode)
+  ALERT_COMMAND            Run this shell command for each alert, with the alert in
+                           LIB2DEX_ALERT_* environment variables (daemon mode)
+  ALERT_URGENT_LOW         Urgent low threshold in mg/dL (0 disables, default: 55)
+  ALERT_LOW                Low threshold in mg/dL (0 disables, default: 70)
+  ALERT_HIGH               High threshold in mg/dL (0 disables, default: 250)
+  ALERT_RISE_RATE          Rising fast alert in mg/dL per minute (default: off)
+  ALERT_FALL_RATE          Falling fast alert in mg/dL per minute (default: off)
+  ALERT_STALE_MINUTES      Alert when the source has no new data for this long
+                           (0 disables, default: 20)
+  ALERT_UPLOAD_MINUTES     Alert when readings have not reached a destination for
+                           this long (0 disables, default: 30)
+  ALERT_SNOOZE_MINUTES     Repeat an ongoing alert this often (default: 30)
+  HEALTH_PORT              Serve /healthz, /stats and /metrics on this port in daemon mode
+                           (default: disabled)
+  HEALTH_HOST              Address for the health server (default: 127.0.0.1)
+  HEALTH_STALE_INTERVALS   Missed sync intervals before /healthz fails (default: 3)
+  SHUTDOWN_TIMEOUT_SECONDS On SIGTERM/SIGINT, wait this long for a sync in progress
+                           (default: 8, within Docker's 10 second stop timeout)
+  LOG_LEVEL                Logging level: error, warn, info, debug, trace (default: info)
+  LOG_FORMAT               Log output: text or json (one JSON object per line, default: text)
+  LOG_TIMESTAMPS           Prefix text log lines with a timestamp (default: true)
+
+  Precedence: command line > environment > config file profile > config file.
+  Config files use the same names, plus an optional "profiles" object:
+    { "SOURCE_EMAIL": "...", "profiles": { "mom": { "SOURCE_PATIENT": "Jane" } } }
+
+EXAMPLE:
+  # Create .env file with credentials
+  cp .env.example .env
+  # Edit .env with your credentials
+  nano .env
+  # Run in daemon mode
+  lib2dex --daemon
+
+NOTES:
+  - LibreLinkUp requires a follower account (not the primary Libre account)
+  - Set up follower sharing in the LibreLinkUp mobile app first
+  - Dexcom Share must have sharing enabled
+  - In daemon mode, SIGTERM/SIGINT stop after the sync in progress and SIGHUP
+    reloads the configuration (.env, config file) without dropping sessions
+
+For more information: https://github.com/faymaz/lib2dex
+`);
+}
+
+// Load and validate configuration (config file, environment, command line)
+function validateConfig() {
+    try {
+        return loadConfig(args, process.env);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+
+        console.error('ERROR: Invalid configuration:');
+        error.errors.forEach(message => console.error(`  - ${message}`));
+        console.error('\nSet these in a config file (--config), your environment or a .env file.');
+        console.error('See .env.example for a template, or run lib2dex --help.\n');
+        process.exit(1);
+    }
+}
+
+// Apply LOG_LEVEL / LOG_FORMAT / LOG_TIMESTAMPS before anything is logged
+function configureLogging(config) {
+    logger.configure({
+        level: config.logLevel,
+        format: config.logFormat,
+        timestamps: config.logTimestamps
+    });
+}
+
+// Compare source and destinations, exiting 0 (same), 1 (different) or 2 (error)
+async function runDiff(syncer) {
+    const hours = parseFloat(args[args.indexOf('--diff') + 1]);
+    const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : 'text';
+
+    if (!(hours > 0 && hours <= 24)) {
+        console.error('ERROR: --diff requires a number of hours up to 24, e.g. --diff 3');
+        process.exit(2);
+    }
+    if (!DIFF_FORMATS.includes(format)) {
+        console.error(`ERROR: --format must be one of: ${DIFF_FORMATS.join(', ')}`);
+        process.exit(2);
+    }
+
+    // Keep stdout clean for the report when it is meant for scripts (unless debugging)
+    const log = logger.create('Diff');
+    if (format !== 'text' && !log.isEnabled('debug')) {
+        logger.configure({ level: 'warn' });
+    }
+
+    try {
+        const results = [].concat(await syncer.diff(hours));
+        process.stdout.write(formatDiff(results, format));
+
+        const failed = results.some(pair => pair.destinations.some(d => d.error));
+        process.exit(failed ? 2 : (hasDifferences(results) ? 1 : 0));
+    } catch (error) {
+        log.error(`ERROR: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+// Stop the daemon on SIGTERM/SIGINT: finish the sync in progress, save state,
+// report totals. Another signal exits at once; one within a second is the same
+// signal delivered twice (Ctrl+C reaches both npm and node) and is ignored.
+let shutdownAt = null;
+async function shutdown(syncer, healthServer, config, signal) {
+    const log = logger.create('Daemon');
+    if (shutdownAt !== null) {
+        if (Date.now() - shutdownAt < 1000) return;
+        log.warn(`${signal} again, exiting without waiting`);
+        process.exit(1);
+    }
+    shutdownAt = Date.now();
+    log.info(`${signal} received, shutting down...`);
+
+    const finished = await syncer.shutdown(config.shutdownTimeoutSeconds * 1000);
+    if (healthServer) await healthServer.stop();
+
+    for (const stats of [].concat(syncer.getStats())) {
+        const prefix = stats.name ? `${stats.name}: ` : 'Total: ';
+        log.info(`${prefix}${stats.totalSynced} synced, ${stats.errors} errors`);
+    }
+    process.exit(finished ? 0 : 1);
+}
+
+// Re-read .env, the config file and the environment on SIGHUP and apply them
+// to the running daemon; returns the configuration now in effect
+async function reload(syncer, healthServer, current) {
+    const log = logger.create('Reload');
+    log.info('SIGHUP received, reloading configuration...');
+
+    const env = {};
+    require('dotenv').config({ processEnv: env });
+    let config;
+    try {
+        config = loadConfig(args, { ...env, ...startEnv });
+    } catch (error) {
+        const problems = error instanceof ConfigError ? error.errors.join('; ') : error.message;
+        log.error(`Invalid configuration, keeping the current one: ${problems}`);
+        return current;
+    }
+    if ((config.pairs.length > 0) !== (current.pairs.length > 0)) {
+        log.error('Switching between one pair and PAIR_<n>_* pairs needs a restart, keeping the current configuration');
+        return current;
+    }
+
+    configureLogging(config);
+    if (healthServer) healthServer.staleIntervals = config.healthStaleIntervals;
+
+    const restart = await syncer.reload(config);
+    for (const [key, name] of [['healthPort', 'HEALTH_PORT'], ['healthHost', 'HEALTH_HOST']]) {
+        if (config[key] !== current[key]) restart.push(name);
+    }
+    if (restart.length > 0) {
+        log.warn(`Restart to apply: ${restart.join(', ')}`);
+    }
+    return config;
+}
+
+// Main entry point
+async function main(config) {
+   
+    const syncer = config.pairs.length > 0 ? new SyncGroup(config) : new Syncer(config);
+
+    try {
+       
+        if (args.includes('--test')) {
+            const result = await syncer.testConnections();
+            process.exit(result.allOk ? 0 : 1);
+            return;
+        }
+
+       
+        if (args.includes('--verify')) {
+            const ok = await syncer.verify();
+            process.exit(ok ? 0 : 1);
+            return;
+        }
+
+       
+        if (args.includes('--backfill')) {
+            const hours = parseFloat(args[args.indexOf('--backfill') + 1]);
+            if (!(hours > 0)) {
+                console.error('ERROR: --backfill requires a number of hours, e.g. --backfill 6');
+                process.exit(1);
+            }
+            await syncer.runBackfill(hours);
+            process.exit(0);
+            return;
+        }
+
+       
+        if (args.includes('--diff')) {
+            await runDiff(syncer);
+            return;
+        }
+
+       
+        if (args.includes('--once')) {
+            await syncer.runOnce();
+            process.exit(0);
+            return;
+        }
+
+       
+        let healthServer = null;
+        if (config.healthPort) {
+            healthServer = await new HealthServer(syncer, {
+                port: config.healthPort,
+                host: config.healthHost,
+                staleIntervals: config.healthStaleIntervals
+            }).start();
+        }
+
+        let current = config;
+        let reloading = Promise.resolve();
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.on(signal, () => shutdown(syncer, healthServer, current, signal));
+        }
+        process.on('SIGHUP', () => {
+            reloading = reloading.then(async () => {
+                current = await reload(syncer, healthServer, current);
+            }).catch(error => logger.create('Reload').error(`Reload failed: ${error.message}`));
+        });
+        await syncer.runDaemon();
+
+    } catch (error) {
+        const log = logger.create('Main');
+        log.error(`FATAL ERROR: ${error.message}`);
+        if (process.env.DEBUG) {
+            log.error(error.stack);
+        } else {
+            log.debug(error.stack);
+        }
+        process.exit(1);
+    }
+}
+
+if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+} else {
+    const config = validateConfig();
+    configureLogging(config);
+
+    // Cloudflare blocks pause LibreView requests (circuit breaker in STATE_DIR) instead of exiting
+    main(config).catch(err => {
+        logger.create('Main').error(`FATAL ERROR: ${err.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,677 @@
+// Type definitions for lib2dex
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+/** Libre trend arrow: 1 falling fast ... 4 flat ... 7 rising fast */
+export type Trend = 1 | 2 | 3 | 4 | 5 | 6 | 7;
+
+/** A glucose reading as sources return it and destinations accept it */
+export interface Reading {
+    /** mg/dL */
+    value: number;
+    trend: Trend | number | null;
+    timestamp: Date;
+    /** Patient's offset from UTC at this reading, in minutes (null if unknown) */
+    utcOffset?: number | null;
+    /** LibreLinkUp's LO/HI flags (used when the reading has no value) */
+    isLow?: boolean;
+    isHigh?: boolean;
+    /** True for points interpolated between real readings (RESAMPLE_INTERPOLATE) */
+    interpolated?: boolean;
+    /** Number of readings averaged into this one (RESAMPLE=average) */
+    averaged?: number;
+    /** True if the trend was estimated from the rate of change */
+    trendEstimated?: boolean;
+    /** Source value, when the LO/HI or invalid-value policy replaced it */
+    original?: unknown;
+    source?: string;
+}
+
+export type ReadingClass = 'ok' | 'low' | 'high' | 'missing' | 'zero' | 'invalid';
+export type RejectReason = Exclude<ReadingClass, 'ok'>;
+
+export interface ReadingPolicy {
+    low: 'code' | 'clamp' | 'skip';
+    high: 'code' | 'clamp' | 'skip';
+    invalid: 'skip' | 'code';
+}
+
+/** A CGM sensor as a source reports it (LibreLinkUp's connection data) */
+export interface Sensor {
+    serial: string;
+    activatedAt: Date | null;
+    warmupMinutes: number | null;
+    productType: number | null;
+}
+
+export type SensorState = 'unknown' | 'warmup' | 'active' | 'ending' | 'expired';
+export type SensorChangeAction = 'none' | 'register' | 'rotate';
+
+export interface SignalLoss {
+    from: Date;
+    to: Date;
+    minutes: number;
+}
+
+// ---------------------------------------------------------------------------
+// Configuration
+
+export interface AlertSettings {
+    webhookUrl: string | null;
+    command: string | null;
+    urgentLow: number;
+    low: number;
+    high: number;
+    riseRate: number;
+    fallRate: number;
+    staleMinutes: number;
+    uploadMinutes: number;
+    snoozeMinutes: number;
+}
+
+export interface DestinationConfig {
+    destType?: string;
+    destName?: string;
+    dexcomUsername?: string;
+    dexcomPassword?: string;
+    dexcomRegion?: string;
+    nightscoutUrl?: string;
+    nightscoutApiSecret?: string | null;
+    nightscoutToken?: string | null;
+    destOptions?: Record<string, unknown>;
+    apiUrl?: string | null;
+    /** Proxy URL (http, https, socks5, socks5h) or 'direct'; null uses HTTPS_PROXY */
+    proxy?: string | null;
+    serialNumber?: string | null;
+}
+
+export interface PairConfig {
+    name: string;
+    librePatient?: string | null;
+    patientTimezone?: string | null;
+    dexcomUsername: string;
+    dexcomPassword: string;
+    dexcomRegion?: string;
+    serialNumber?: string | null;
+    apiUrl?: string | null;
+    proxy?: string | null;
+}
+
+/** Sync configuration, as returned by loadConfig() */
+export interface SyncConfig extends DestinationConfig {
+    configPath?: string | null;
+    profile?: string | null;
+    name?: string | null;
+    sourceType?: string;
+    sourceOptions?: Record<string, unknown>;
+    libreEmail?: string;
+    librePassword?: string;
+    libreRegion?: string;
+    librePatient?: string | null;
+    patientTimezone?: string | null;
+    sourceApiUrl?: string | null;
+    sourceProxy?: string | null;
+    /** Minutes to pause LibreView after a block (0: retry instead) */
+    sourceCooldownMinutes?: number;
+    sourceCooldownMaxMinutes?: number;
+    syncIntervalMinutes?: number;
+    adaptivePolling?: boolean;
+    minPollSeconds?: number;
+    maxReadingsPerSync?: number;
+    backfillBatchSize?: number;
+    reconcileIntervalHours?: number;
+    recomputeTrends?: boolean;
+    resample?: 'off' | 'pick' | 'average';
+    resampleInterpolate?: boolean;
+    readingPolicy?: Partial<ReadingPolicy>;
+    sensorChangeAction?: SensorChangeAction;
+    sensorLifetimeDays?: number;
+    stateDir?: string | null;
+    cacheSessions?: boolean;
+    healthPort?: number | null;
+    healthHost?: string;
+    healthStaleIntervals?: number;
+    /** Longest wait for a sync in progress on SIGTERM/SIGINT (cli) */
+    shutdownTimeoutSeconds?: number;
+    logLevel?: string;
+    logFormat?: string;
+    logTimestamps?: boolean;
+    alerts?: Partial<AlertSettings>;
+    destinations?: DestinationConfig[];
+    pairs?: PairConfig[];
+}
+
+/**
+ * Build the configuration from the config file, environment and arguments
+ * @throws {ConfigError}
+ */
+export function loadConfig(argv: string[], env?: Record<string, string | undefined>): SyncConfig & {
+    alerts: AlertSettings;
+    readingPolicy: ReadingPolicy;
+    destinations: DestinationConfig[];
+    pairs: PairConfig[];
+};
+
+export class ConfigError extends Error {
+    constructor(errors: string[]);
+    name: 'ConfigError';
+    errors: string[];
+}
+
+// ---------------------------------------------------------------------------
+// Statistics and results
+
+export interface DestinationStats {
+    name: string;
+    serialNumber: string;
+    syncedTimestampsCount: number;
+    totalSynced: number;
+    errors: number;
+    lastUpload: Date | null;
+    lastVerified: Date | null;
+    lastError: string | null;
+    uploadCount: number;
+    uploadSeconds: number;
+    lastUploadSeconds: number | null;
+    totalRepaired: number;
+    /** Interpolated points uploaded (RESAMPLE_INTERPOLATE) */
+    totalInterpolated: number;
+}
+
+export interface SensorStatus {
+    serial: string | null;
+    productType: number | null;
+    activatedAt: Date | null;
+    warmupEndsAt: Date | null;
+    expiresAt: Date | null;
+    ageHours: number | null;
+    state: SensorState;
+    /** Sensor replacements seen since startup */
+    changes: number;
+    /** Time of the last reading, while no reading has arrived for over 20 minutes */
+    signalLostSince: Date | null;
+    /** Signal-loss periods that ended in the last 24 hours, oldest first */
+    signalLosses: SignalLoss[];
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitStatus {
+    state: CircuitState;
+    /** Blocks in a row */
+    trips: number;
+    openedAt: Date | null;
+    /** End of the current cool-down, while open */
+    openUntil: Date | null;
+    reason: string | null;
+}
+
+export interface SyncStats {
+    name: string | null;
+    totalSynced: number;
+    totalSkipped: number;
+    errors: number;
+    startedAt: Date;
+    lastSync: Date | null;
+    lastReading: Date | null;
+    lastReconcile: Date | null;
+    lastError: string | null;
+    syncIntervalSeconds: number;
+    readingIntervalSeconds: number | null;
+    nextSync: Date | null;
+    /** Readings left out by the policy, per case */
+    rejectedReadings: Record<RejectReason, number>;
+    /** Readings sent as a Dexcom code or clamped value, per case */
+    adjustedReadings: Record<RejectReason, number>;
+    sensor: SensorStatus;
+    cloudflareBlocks: number;
+    /** Source circuit breaker, or null if the source has none */
+    sourceCircuit: CircuitStatus | null;
+    syncedTimestampsCount: number;
+    serialNumber: string;
+    destinations: DestinationStats[];
+}
+
+export interface SyncResult {
+    synced: number;
+    skipped: number;
+    destinations?: Array<{ name: string; synced: number; verified: boolean; error: string | null }>;
+}
+
+export interface BackfillResult {
+    name?: string;
+    found: number;
+    uploaded: number;
+    skipped?: number;
+    batches?: number;
+    /** Set for a destination the backfill could not reach */
+    error?: string;
+    destinations?: BackfillResult[];
+}
+
+export interface ReconcileResult {
+    checked: number;
+    repaired: number;
+    destinations: Array<{
+        name: string;
+        missing: number;
+        repaired: number;
+        gaps: Array<{ from: Date; to: Date; count: number }>;
+        error?: string;
+    }>;
+}
+
+export interface ConnectionResult {
+    success: boolean;
+    error?: string;
+    [key: string]: unknown;
+}
+
+export interface DiffSummary {
+    source: number;
+    destination: number;
+    matched: number;
+    missing: number;
+    extra: number;
+    valueMismatch: number;
+    trendMismatch: number;
+}
+
+export interface DiffEntry {
+    timestamp: Date;
+    status: 'missing' | 'extra' | 'value' | 'trend';
+    sourceValue: number | null;
+    sourceTrend: number | null;
+    destinationValue: number | null;
+    destinationTrend: number | null;
+}
+
+export interface DiffResult {
+    pair: string | null;
+    source: string;
+    hours: number;
+    destinations: Array<{
+        name: string;
+        label: string;
+        summary?: DiffSummary;
+        entries?: DiffEntry[];
+        since?: Date | null;
+        error?: string;
+    }>;
+}
+
+// ---------------------------------------------------------------------------
+// Syncer events (every payload carries `pair`)
+
+export interface ReadingEvent { pair: string | null; reading: Reading }
+export interface UploadedEvent { pair: string | null; destination: string; count: number; readings: Reading[]; durationSeconds: number }
+export interface VerifiedEvent { pair: string | null; destination: string; latest: Reading; stored: Reading }
+export interface AuthRenewedEvent { pair: string | null; service: 'source' | 'destination'; destination: string | null }
+export interface RateLimitedEvent { pair: string | null; service: 'source' | 'destination'; destination: string | null; status: number; retryInMs: number }
+export interface SensorChangedEvent { pair: string | null; previous: Sensor; sensor: Sensor }
+export interface SensorStateEvent { pair: string | null; state: SensorState; previousState: SensorState; sensor: SensorStatus }
+export interface SignalLostEvent { pair: string | null; since: Date }
+export interface SignalRestoredEvent extends SignalLoss { pair: string | null }
+export interface SyncErrorEvent { pair: string | null; phase: 'connect' | 'source' | 'upload' | 'reconcile'; destination: string | null; error: Error }
+
+export interface SyncerEvents {
+    reading: [ReadingEvent];
+    uploaded: [UploadedEvent];
+    verified: [VerifiedEvent];
+    verificationFailed: [VerifiedEvent];
+    authRenewed: [AuthRenewedEvent];
+    rateLimited: [RateLimitedEvent];
+    sensorChanged: [SensorChangedEvent];
+    sensorState: [SensorStateEvent];
+    signalLost: [SignalLostEvent];
+    signalRestored: [SignalRestoredEvent];
+    error: [SyncErrorEvent];
+}
+
+// ---------------------------------------------------------------------------
+// Sources and destinations
+
+export interface SessionCacheLike {
+    load(kind: string, account: string, secret: string): object | null;
+    save(kind: string, account: string, secret: string, session: object): void;
+    clear(kind: string, account: string): void;
+}
+
+export interface ClientOptions {
+    host?: string;
+    port?: number;
+    protocol?: 'http' | 'https';
+    /** Proxy URL (http, https, socks5, socks5h) or 'direct'; by default HTTPS_PROXY / NO_PROXY apply */
+    proxy?: string | null;
+    sessionCache?: SessionCacheLike;
+}
+
+export class LibreViewClient extends EventEmitter {
+    constructor(email: string, password: string, region?: string, options?: ClientOptions & {
+        maxRetries?: number;
+        retryDelayMs?: number;
+        /** Pause all requests after a block instead of retrying */
+        circuitBreaker?: CircuitBreaker | null;
+    });
+    label: string;
+    region: string;
+    cloudflareBlocks: number;
+    authenticate(): Promise<unknown>;
+    ensureAuthenticated(): Promise<void>;
+    invalidateSession(): void;
+    getConnections(): Promise<object[]>;
+    getPatientId(selector?: string | null): Promise<string>;
+    getGlucoseReadings(patientId?: string | null): Promise<Reading[]>;
+    getGlucoseHistory(hours: number, patientId?: string | null): Promise<Reading[]>;
+    getReadingsSince(since: Date, patient?: string | null): Promise<Reading[]>;
+    getLatestReading(patientId?: string | null): Promise<Reading | null>;
+    /** Sensor from the patient's latest graph response */
+    getSensor(patient?: string | null): Promise<Sensor | null>;
+    testConnection(selector?: string | null): Promise<ConnectionResult>;
+}
+
+export class DexcomClient extends EventEmitter {
+    constructor(username: string, password: string, region?: string, options?: ClientOptions & {
+        rateLimitDelayMs?: number;
+    });
+    label: string;
+    region: string;
+    readonly accountKey: string;
+    authenticate(): Promise<unknown>;
+    ensureAuthenticated(): Promise<void>;
+    invalidateSession(): void;
+    setSerialNumber(serialNumber: string): void;
+    registerReceiver(): Promise<boolean>;
+    uploadReadings(readings: Reading[]): Promise<{ uploaded: number; skipped: number }>;
+    readLatestValues(count?: number, minutes?: number): Promise<object[]>;
+    readLatestReadings(count?: number, minutes?: number): Promise<Reading[]>;
+    testConnection(): Promise<ConnectionResult>;
+}
+
+export class NightscoutClient {
+    constructor(url: string, apiSecret?: string | null, token?: string | null, options?: { proxy?: string | null });
+    label: string;
+    authenticate(): Promise<unknown>;
+    ensureAuthenticated(): Promise<void>;
+    setSerialNumber(serialNumber: string): void;
+    registerReceiver(): Promise<boolean>;
+    uploadReadings(readings: Reading[]): Promise<{ uploaded: number; skipped: number }>;
+    readLatestReadings(count?: number, minutes?: number): Promise<Reading[]>;
+    testConnection(): Promise<ConnectionResult>;
+}
+
+/** What a source adapter must implement */
+export interface SourceAdapter {
+    label?: string;
+    getReadingsSince(since: Date, patient?: string | null): Promise<Reading[]>;
+    testConnection(selector?: string | null): Promise<ConnectionResult>;
+    getSensor?(patient?: string | null): Promise<Sensor | null>;
+}
+
+/** What a destination adapter must implement */
+export interface DestinationAdapter {
+    label?: string;
+    accountKey?: string;
+    setSerialNumber?(serialNumber: string): void;
+    registerReceiver(): Promise<unknown>;
+    uploadReadings(readings: Reading[]): Promise<{ uploaded: number; skipped?: number }>;
+    readLatestReadings(count: number, minutes: number): Promise<Reading[]>;
+    testConnection(): Promise<ConnectionResult>;
+}
+
+export function createSource(config: SyncConfig & { sessionCache?: SessionCacheLike | null; circuitBreaker?: CircuitBreaker | null }): SourceAdapter;
+export function createDestination(config: DestinationConfig & { sessionCache?: SessionCacheLike | null }): DestinationAdapter;
+
+// ---------------------------------------------------------------------------
+// Sync
+
+export interface SyncerOptions {
+    source?: SourceAdapter;
+    sessionCache?: SessionCache | null;
+    pollSpacer?: PollSpacer;
+    circuitBreaker?: CircuitBreaker | null;
+}
+
+export class Syncer extends EventEmitter {
+    constructor(config: SyncConfig, options?: SyncerOptions);
+    static DEFAULT_STATE_DIR: string;
+
+    name: string | null;
+    config: SyncConfig;
+    source: SourceAdapter;
+    alerts: AlertManager;
+    scheduler: PollScheduler;
+    sensors: SensorTracker;
+    circuitBreaker: CircuitBreaker | null;
+
+    initialize(): Promise<void>;
+    sync(): Promise<SyncResult>;
+    backfill(hours: number): Promise<BackfillResult>;
+    reconcile(): Promise<ReconcileResult>;
+    verify(): Promise<boolean>;
+    diff(hours: number): Promise<DiffResult>;
+    /** `libreview` and `dexcom` (the first destination) are the older names of `source` and `destinations[0]` */
+    testConnections(): Promise<{ source: ConnectionResult; libreview: ConnectionResult; dexcom: ConnectionResult & { name: string }; destinations: Array<ConnectionResult & { name: string }>; allOk: boolean }>;
+    runOnce(): Promise<SyncResult>;
+    runBackfill(hours: number): Promise<BackfillResult>;
+    /** Initial sync, then the polling loop; resolves once the loop is scheduled */
+    runDaemon(): Promise<void>;
+    startSyncLoop(firstDelay?: number): void;
+    /** Stop scheduling syncs (one in progress still finishes) */
+    stop(): void;
+    /** Stop, wait up to timeoutMs for the sync in progress and save the journals; false on timeout */
+    shutdown(timeoutMs?: number): Promise<boolean>;
+    /** Apply a new configuration in place; resolves to the changed settings that need a restart */
+    reload(config: SyncConfig): Promise<string[]>;
+    getStats(): SyncStats;
+
+    on<E extends keyof SyncerEvents>(event: E, listener: (...args: SyncerEvents[E]) => void): this;
+    once<E extends keyof SyncerEvents>(event: E, listener: (...args: SyncerEvents[E]) => void): this;
+    off<E extends keyof SyncerEvents>(event: E, listener: (...args: SyncerEvents[E]) => void): this;
+    emit<E extends keyof SyncerEvents>(event: E, ...args: SyncerEvents[E]): boolean;
+}
+
+export class SyncGroup {
+    constructor(config: SyncConfig);
+    syncers: Syncer[];
+    source: SourceAdapter;
+    circuitBreaker: CircuitBreaker | null;
+
+    /** Initialize the pairs that can start; rejects only if none can */
+    initialize(): Promise<void>;
+    runOnce(): Promise<Array<SyncResult & { error?: string }>>;
+    runBackfill(hours: number): Promise<BackfillResult[]>;
+    runDaemon(): Promise<void>;
+    stop(): void;
+    shutdown(timeoutMs?: number): Promise<boolean>;
+    /** Pairs are matched by name; adding or removing pairs needs a restart */
+    reload(config: SyncConfig): Promise<string[]>;
+    verify(): Promise<boolean>;
+    diff(hours: number): Promise<DiffResult[]>;
+    /** `libreview` is the older name of `source` */
+    testConnections(): Promise<{ source: ConnectionResult; libreview: ConnectionResult; pairs: object[]; allOk: boolean }>;
+    getStats(): SyncStats[];
+}
+
+export class SyncJournal {
+    constructor(stateDir: string, name?: string);
+    readonly size: number;
+    load(): this;
+    save(): void;
+    has(timestamp: number): boolean;
+    add(timestamp: number): void;
+    prune(cutoff: number): number;
+}
+
+export class SessionCache implements SessionCacheLike {
+    constructor(stateDir: string);
+    load(kind: string, account: string, secret: string): object | null;
+    save(kind: string, account: string, secret: string, session: object): void;
+    clear(kind: string, account: string): void;
+}
+
+export class PollSpacer {
+    constructor(minSpacingMs: number);
+    reserve(at: number, now?: number): number;
+}
+
+export class PollScheduler {
+    constructor(options: {
+        maxIntervalMs: number;
+        adaptive?: boolean;
+        minSpacingMs?: number;
+        lagMs?: number;
+        spacer?: PollSpacer;
+    });
+    static PollSpacer: typeof PollSpacer;
+    cadenceMs: number | null;
+    misses: number;
+    nextPoll: Date | null;
+    /** Change the polling settings, keeping the cadence learned so far */
+    configure(options: { maxIntervalMs: number; adaptive?: boolean; minSpacingMs?: number }): void;
+    observe(readings: Reading[]): void;
+    failed(): void;
+    nextDelay(now?: number): number;
+}
+
+export class ReadingValidator {
+    constructor(policy?: Partial<ReadingPolicy>, name?: string | null);
+    policy: ReadingPolicy;
+    rejected: Record<RejectReason, number>;
+    adjusted: Record<RejectReason, number>;
+    configure(policy?: Partial<ReadingPolicy>): void;
+    /** Readings to upload, newest first; replaced values are copies with `original` set */
+    apply(readings: Reading[], now?: number): Reading[];
+}
+
+export function classifyReading(reading: Reading): ReadingClass;
+
+export class SensorTracker {
+    constructor(options?: { lifetimeDays?: number });
+    sensor: Sensor | null;
+    state: SensorState;
+    changes: number;
+    signalLosses: SignalLoss[];
+    signalLostSince: Date | null;
+    configure(options?: { lifetimeDays?: number }): void;
+    /** Record the current sensor and a sync's readings (newest first); returns what is new */
+    update(sensor: Sensor | null, readings: Reading[], now?: number): {
+        first: boolean;
+        changed: boolean;
+        previous: Sensor | null;
+        stateChanged: boolean;
+        previousState: SensorState;
+        signalLosses: SignalLoss[];
+        signalLost: Date | null;
+    };
+    stateAt(now?: number): SensorState;
+    status(now?: number): SensorStatus;
+}
+
+export class CircuitOpenError extends Error {
+    code: 'CIRCUIT_OPEN';
+    retryInMs: number;
+}
+
+export class CircuitBreaker {
+    constructor(stateDir: string | null, name?: string, options?: {
+        label?: string;
+        cooldownMinutes?: number;
+        maxCooldownMinutes?: number;
+    });
+    state: CircuitState;
+    trips: number;
+    /** Read the saved state; returns this */
+    load(): this;
+    save(): void;
+    remainingMs(now?: number): number;
+    stateAt(now?: number): CircuitState;
+    /** Throws CircuitOpenError while open, or while another request probes the service */
+    check(now?: number): void;
+    success(): void;
+    /** A request failed for a reason other than a block */
+    release(): void;
+    /** Open the circuit; returns the cool-down in ms */
+    failure(reason?: string, now?: number): number;
+    /** Resolves when requests may go through again, or on cancel() */
+    wait(): Promise<void>;
+    cancel(): void;
+    status(now?: number): CircuitStatus;
+}
+
+export interface AlertPayload {
+    event: 'firing' | 'resolved';
+    type: 'urgent_low' | 'low' | 'high' | 'falling_fast' | 'rising_fast' | 'stale' | 'upload_failing';
+    severity: 'critical' | 'warning' | 'info';
+    message: string;
+    pair: string | null;
+    destination: string | null;
+    value: number | null;
+    rate: number | null;
+    readingTime: Date | null;
+    since: Date;
+    time: Date;
+}
+
+export class AlertManager {
+    constructor(settings?: Partial<AlertSettings>, options?: {
+        name?: string | null;
+        send?: (payload: AlertPayload) => Promise<void>;
+    });
+    enabled: boolean;
+    /** Apply new settings; alerts already firing stay active */
+    configure(settings?: Partial<AlertSettings>): void;
+    evaluate(state: { readings?: Reading[] | null; stats: SyncStats }, now?: number): Promise<object[]>;
+}
+
+export class HealthServer {
+    constructor(target: Syncer | SyncGroup, options?: { port?: number; host?: string; staleIntervals?: number });
+    port: number;
+    start(): Promise<this>;
+    stop(): Promise<void>;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+
+export function diffReadings(source: Reading[], destination: Reading[]): { summary: DiffSummary; entries: DiffEntry[] };
+export function hasDifferences(results: DiffResult[]): boolean;
+export function formatDiff(results: DiffResult[], format?: 'text' | 'json' | 'csv'): string;
+
+/** LibreView trend for a rate of change (mg/dL per minute), using Dexcom's bands */
+export function trendForRate(rate: number): Trend;
+
+/** Fill in missing trends (or all, with `recompute`) from the rate of change; readings newest first */
+export function estimateTrends(readings: Reading[], options?: { recompute?: boolean }): Reading[];
+
+/** Resample readings (newest first) to 5-minute slots, optionally interpolating gaps up to 15 minutes */
+export function resampleReadings(readings: Reading[], options?: { mode?: 'off' | 'pick' | 'average'; interpolate?: boolean }): Reading[];
+
+/** Convert a Dexcom trend (name or number) to the Libre scale, or null */
+export function dexcomTrendToLibre(trend: string | number | null | undefined): Trend | null;
+
+export interface Logger {
+    error(message: string, fields?: object): void;
+    warn(message: string, fields?: object): void;
+    info(message: string, fields?: object): void;
+    debug(message: string, fields?: object): void;
+    trace(message: string, fields?: object): void;
+    isEnabled(level: string): boolean;
+}
+
+export const logger: {
+    LEVELS: Record<'error' | 'warn' | 'info' | 'debug' | 'trace', number>;
+    FORMATS: string[];
+    configure(options?: { level?: string; format?: 'text' | 'json'; timestamps?: boolean }): void;
+    registerSecret(secret: string | null | undefined): void;
+    redact(text: string): string;
+    create(scope: string): Logger;
+};
+
+export const DEFAULT_STATE_DIR: string;
+export const DEXCOM_URLS: Record<string, string>;
+export const LIBRE_TO_DEXCOM_TREND: Record<number, number>;
+export const MAX_READ_MINUTES: number;
+export const MAX_READ_COUNT: number;
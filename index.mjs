@@ -0,0 +1,45 @@
+/**
+ * Lib2Dex - ES module entry point (wraps the CommonJS library in index.js)
+ *
+ *   import { Syncer, loadConfig } from 'lib2dex';
+ */
+
+import lib2dex from './index.js';
+
+export const {
+    LibreViewClient,
+    DexcomClient,
+    NightscoutClient,
+    Syncer,
+    SyncGroup,
+    SyncJournal,
+    SessionCache,
+    PollScheduler,
+    PollSpacer,
+    AlertManager,
+    ReadingValidator,
+    classifyReading,
+    SensorTracker,
+    CircuitBreaker,
+    CircuitOpenError,
+    HealthServer,
+    logger,
+    loadConfig,
+    ConfigError,
+    createSource,
+    createDestination,
+    diffReadings,
+    hasDifferences,
+    formatDiff,
+    trendForRate,
+    estimateTrends,
+    resampleReadings,
+    DEFAULT_STATE_DIR,
+    DEXCOM_URLS,
+    LIBRE_TO_DEXCOM_TREND,
+    MAX_READ_MINUTES,
+    MAX_READ_COUNT,
+    dexcomTrendToLibre
+} = lib2dex;
+
+export default lib2dex;
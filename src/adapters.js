@@ -0,0 +1,182 @@
+/**
+ * Lib2Dex Adapters
+ *
+ * Registry of source (CGM cloud to read from) and destination (service to
+ * upload to) adapters. Built-in adapters are selected by name; any other
+ * name is loaded with require(), so third-party adapters can be installed
+ * as npm packages or referenced by file path.
+ *
+ * A third-party adapter module exports either a class, which is constructed
+ * with the options object, or a create(options) factory. The options object
+ * is parsed from SOURCE_OPTIONS / DEST_OPTIONS (JSON).
+ *
+ * Source adapter interface:
+ *   authenticate()                    Log in (called once at startup)
+ *   ensureAuthenticated()             Optional: log in only if needed
+ *   getReadingsSince(since, patient)  Readings newer than the Date `since`,
+ *                                     newest first; `patient` is an optional
+ *                                     adapter-specific selector
+ *   testConnection(patient)           { success, error?, latestReading? }
+ *   getSensor(patient)                Optional: the sensor behind the last
+ *                                     readings, { serial, activatedAt (Date),
+ *                                     warmupMinutes, productType }, or null
+ *
+ * Destination adapter interface:
+ *   authenticate()                    Log in (called once at startup)
+ *   uploadReadings(readings)          Upload a batch, returns { uploaded }
+ *   readLatestReadings(count, minutes)
+ *                                     Read back stored readings, newest first,
+ *                                     as { value, trend, timestamp }
+ *   testConnection()                  { success, error?, hasData? }
+ *   setSerialNumber(serial)           Optional: virtual receiver / device ID
+ *   registerReceiver()                Optional: called after authenticate()
+ *   label                             Optional: display name for logs
+ *   accountKey                        Optional: stable account identifier,
+ *                                     used to derive the serial and journal
+ *
+ * Readings are plain objects: { value (mg/dL), trend (1-7, LibreView scale:
+ * 1=falling fast, 4=flat, 7=rising fast), timestamp (Date), source }.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const LibreViewClient = require('./libreview-client');
+const DexcomClient = require('./dexcom-client');
+const NightscoutClient = require('./nightscout-client');
+const CircuitBreaker = require('./circuit-breaker');
+
+const SOURCE_METHODS = ['authenticate', 'getReadingsSince', 'testConnection'];
+const DESTINATION_METHODS = ['authenticate', 'uploadReadings', 'readLatestReadings', 'testConnection'];
+
+/**
+ * Turn an API URL override (e.g. http://127.0.0.1:8081 for a mock server)
+ * into client host/port/protocol options
+ */
+function endpointOptions(apiUrl) {
+    if (!apiUrl) return {};
+
+    const url = new URL(apiUrl);
+    return {
+        host: url.hostname,
+        port: url.port ? parseInt(url.port) : undefined,
+        protocol: url.protocol
+    };
+}
+
+// Built-in sources, created from the sync configuration
+const SOURCES = {
+    libreview: config => new LibreViewClient(
+        config.libreEmail,
+        config.librePassword,
+        config.libreRegion || '',
+        { ...endpointOptions(config.sourceApiUrl), proxy: config.sourceProxy, sessionCache: config.sessionCache, circuitBreaker: config.circuitBreaker }
+    )
+};
+
+// Built-in destinations, created from a destination configuration
+const DESTINATIONS = {
+    dexcom: dest => new DexcomClient(
+        dest.dexcomUsername,
+        dest.dexcomPassword,
+        dest.dexcomRegion || 'US',
+        { ...endpointOptions(dest.apiUrl), proxy: dest.proxy, sessionCache: dest.sessionCache }
+    ),
+    nightscout: dest => new NightscoutClient(
+        dest.nightscoutUrl,
+        dest.nightscoutApiSecret,
+        dest.nightscoutToken,
+        { proxy: dest.proxy }
+    )
+};
+
+/**
+ * Load a third-party adapter module and return its factory. Paths and
+ * package names resolve from the working directory, where the application
+ * and its config live, not from lib2dex's own folder.
+ */
+function loadModule(name) {
+    let mod;
+    try {
+        const isPath = name.startsWith('.') || path.isAbsolute(name);
+        mod = require(isPath ? path.resolve(name) : require.resolve(name, { paths: [process.cwd()] }));
+    } catch (error) {
+        throw new Error(`Could not load adapter "${name}": ${error.message.split('\n')[0]}`);
+    }
+
+    if (mod && typeof mod.create === 'function') {
+        return options => mod.create(options);
+    }
+    if (typeof mod === 'function') {
+        return options => new mod(options);
+    }
+
+    throw new Error(`Adapter "${name}" must export a class or a create(options) function`);
+}
+
+/**
+ * Check that an adapter instance implements the required methods
+ */
+function assertInterface(adapter, methods, kind, name) {
+    const missing = methods.filter(m => typeof adapter[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${kind} adapter "${name}" is missing: ${missing.join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * Create the circuit breaker for a LibreView source (state kept in stateDir),
+ * or null for other sources and with SOURCE_COOLDOWN_MINUTES=0
+ */
+function createSourceBreaker(config, stateDir) {
+    const type = (config.sourceType || 'libreview').toLowerCase();
+    if (type !== 'libreview' || config.sourceCooldownMinutes === 0) return null;
+
+    // One state file per account and host, so instances sharing a STATE_DIR
+    // keep their own cool-down (hashed, so the name does not reveal the email)
+    const host = config.sourceApiUrl ? new URL(config.sourceApiUrl).host : (config.libreRegion || 'default');
+    const account = crypto.createHash('sha256')
+        .update(`${String(config.libreEmail || '').toLowerCase()}@${host}`)
+        .digest('hex')
+        .slice(0, 16);
+
+    return new CircuitBreaker(stateDir, `${type}-${account}`, {
+        label: 'LibreView',
+        cooldownMinutes: config.sourceCooldownMinutes,
+        maxCooldownMinutes: config.sourceCooldownMaxMinutes
+    }).load();
+}
+
+/**
+ * Create the source adapter selected by config.sourceType (default: libreview)
+ */
+function createSource(config) {
+    const type = config.sourceType || 'libreview';
+    const builtin = SOURCES[type.toLowerCase()];
+    const adapter = builtin
+        ? builtin(config)
+        : loadModule(type)(config.sourceOptions || {});
+
+    return assertInterface(adapter, SOURCE_METHODS, 'Source', type);
+}
+
+/**
+ * Create the destination adapter selected by dest.destType (default: dexcom)
+ */
+function createDestination(dest) {
+    const type = dest.destType || 'dexcom';
+    const builtin = DESTINATIONS[type.toLowerCase()];
+    const adapter = builtin
+        ? builtin(dest)
+        : loadModule(type)(dest.destOptions || {});
+
+    return assertInterface(adapter, DESTINATION_METHODS, 'Destination', type);
+}
+
+module.exports = {
+    SOURCES,
+    DESTINATIONS,
+    createSource,
+    createSourceBreaker,
+    createDestination
+};
@@ -0,0 +1,292 @@
+/**
+ * Lib2Dex Alerts
+ *
+ * Raises glucose, rate-of-change, stale-data and upload-failure alerts
+ * from what the syncer already sees, and delivers them to an HTTP webhook
+ * and/or a local command. An alert fires when its condition starts,
+ * repeats every ALERT_SNOOZE_MINUTES while it lasts, and sends a
+ * "resolved" event when it clears.
+ */
+
+const http = require('http');
+const https = require('https');
+const { exec } = require('child_process');
+const logger = require('./logger');
+
+const log = logger.create('Alerts');
+
+const MINUTE = 60 * 1000;
+
+// How far back the rate of change looks
+const RATE_WINDOW_MS = 15 * MINUTE;
+
+// Measured glucose values: not missing, zero, or a code sent for a LO, HI or unreadable reading
+const isGlucose = reading => !('original' in reading) &&
+    typeof reading.value === 'number' && Number.isFinite(reading.value) && reading.value > 0;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const COMMAND_TIMEOUT_MS = 30 * 1000;
+
+const SEVERITY = {
+    urgent_low: 'critical',
+    low: 'warning',
+    high: 'warning',
+    falling_fast: 'warning',
+    rising_fast: 'warning',
+    stale: 'warning',
+    upload_failing: 'warning'
+};
+
+class AlertManager {
+    /**
+     * @param {object} settings - Alert settings (see `alerts` in loadConfig)
+     * @param {object} [options]
+     * @param {string} [options.name] - Pair name, included in messages
+     * @param {function} [options.send] - Delivery override (tests)
+     */
+    constructor(settings = {}, options = {}) {
+        this.name = options.name || null;
+        this.customDelivery = Boolean(options.send);
+        if (options.send) this._deliver = options.send;
+        this.configure(settings);
+
+        // Active alert per slot: { type, message, since, lastSent, ... }
+        this.active = {};
+    }
+
+    /**
+     * Apply alert settings (also on a config reload); alerts already firing stay active
+     */
+    configure(settings = {}) {
+        this.webhookUrl = settings.webhookUrl || null;
+        this.command = settings.command || null;
+        this.enabled = Boolean(this.webhookUrl || this.command || this.customDelivery);
+
+        this.urgentLow = settings.urgentLow || 0;
+        this.low = settings.low || 0;
+        this.high = settings.high || 0;
+        this.riseRate = settings.riseRate || 0;
+        this.fallRate = settings.fallRate || 0;
+        this.staleMs = (settings.staleMinutes || 0) * MINUTE;
+        this.uploadMs = (settings.uploadMinutes || 0) * MINUTE;
+        this.snoozeMs = (settings.snoozeMinutes || 30) * MINUTE;
+    }
+
+    /**
+     * Evaluate all conditions and deliver alerts that fire, repeat or resolve
+     *
+     * @param {object} state
+     * @param {object[]} [state.readings] - Latest source readings, newest first
+     *        (those without a glucose value are ignored)
+     * @param {object} state.stats - Syncer.getStats()
+     */
+    async evaluate(state, now = Date.now()) {
+        if (!this.enabled) return [];
+
+        const conditions = {};
+        const readings = (state.readings || []).filter(isGlucose);
+        const latest = readings[0];
+        const fresh = latest && (!this.staleMs || now - latest.timestamp.getTime() <= this.staleMs);
+
+        // Without fresh data glucose alerts stay as they were (the stale alert covers it)
+        if (fresh) {
+            conditions.glucose = this._glucoseCondition(latest);
+            conditions.rate = this._rateCondition(readings);
+        }
+
+        conditions.stale = this._staleCondition(state.stats, now);
+        for (const dest of state.stats.destinations || []) {
+            conditions[`upload:${dest.name}`] = this._uploadCondition(state.stats, dest, now);
+        }
+
+        const events = [];
+        for (const [slot, condition] of Object.entries(conditions)) {
+            const previous = this.active[slot];
+
+            if (!condition) {
+                if (previous) {
+                    delete this.active[slot];
+                    events.push({ ...previous, event: 'resolved', message: `Resolved: ${previous.message}` });
+                }
+                continue;
+            }
+
+            if (!previous || previous.type !== condition.type) {
+                this.active[slot] = { ...condition, since: new Date(now), lastSent: now };
+                events.push({ ...this.active[slot], event: 'firing' });
+            } else if (now - previous.lastSent >= this.snoozeMs) {
+                this.active[slot] = { ...previous, ...condition, lastSent: now };
+                events.push({ ...this.active[slot], event: 'firing', repeat: true });
+            }
+        }
+
+        for (const event of events) {
+            await this._send(event, now);
+        }
+        return events;
+    }
+
+    _glucoseCondition(reading) {
+        const at = `${reading.value} mg/dL at ${reading.timestamp.toISOString()}`;
+
+        if (this.urgentLow && reading.value <= this.urgentLow) {
+            return { type: 'urgent_low', message: `Urgent low: ${at}`, value: reading.value, readingTime: reading.timestamp };
+        }
+        if (this.low && reading.value <= this.low) {
+            return { type: 'low', message: `Low: ${at}`, value: reading.value, readingTime: reading.timestamp };
+        }
+        if (this.high && reading.value >= this.high) {
+            return { type: 'high', message: `High: ${at}`, value: reading.value, readingTime: reading.timestamp };
+        }
+        return null;
+    }
+
+    _rateCondition(readings) {
+        if (!this.riseRate && !this.fallRate) return null;
+
+        // Compare with the oldest reading in the window, so one noisy point does not trigger it
+        const latest = readings[0];
+        const earlier = readings.filter(r => latest.timestamp - r.timestamp <= RATE_WINDOW_MS).pop();
+        const minutes = (latest.timestamp - earlier.timestamp) / MINUTE;
+        if (minutes < 5) return null;
+
+        const rate = (latest.value - earlier.value) / minutes;
+        const shown = `${rate > 0 ? '+' : ''}${rate.toFixed(1)} mg/dL/min, now ${latest.value} mg/dL`;
+
+        if (this.fallRate && rate <= -this.fallRate) {
+            return { type: 'falling_fast', message: `Falling fast: ${shown}`, value: latest.value, rate: rate, readingTime: latest.timestamp };
+        }
+        if (this.riseRate && rate >= this.riseRate) {
+            return { type: 'rising_fast', message: `Rising fast: ${shown}`, value: latest.value, rate: rate, readingTime: latest.timestamp };
+        }
+        return null;
+    }
+
+    _staleCondition(stats, now) {
+        if (!this.staleMs) return null;
+
+        const since = stats.lastReading || stats.startedAt;
+        if (!since || now - since.getTime() <= this.staleMs) return null;
+
+        const minutes = Math.round((now - since.getTime()) / MINUTE);
+        const what = stats.lastReading ? 'No new readings' : 'No readings yet';
+        return { type: 'stale', message: `${what} from the source for ${minutes} minutes` };
+    }
+
+    _uploadCondition(stats, dest, now) {
+        if (!this.uploadMs || !stats.lastReading) return null;
+
+        // Behind: the source has had readings for a while that never reached the destination
+        const since = dest.lastVerified || stats.startedAt;
+        if (stats.lastReading.getTime() - since.getTime() <= this.uploadMs) return null;
+
+        const minutes = Math.round((now - since.getTime()) / MINUTE);
+        const error = dest.lastError ? `: ${dest.lastError}` : '';
+        return { type: 'upload_failing', message: `Uploads to ${dest.name} failing for ${minutes} minutes${error}`, destination: dest.name };
+    }
+
+    /**
+     * Log and deliver one event (delivery errors are logged, never thrown)
+     */
+    async _send(event, now) {
+        const payload = {
+            event: event.event,
+            type: event.type,
+            severity: event.event === 'resolved' ? 'info' : SEVERITY[event.type],
+            message: this.name ? `[${this.name}] ${event.message}` : event.message,
+            pair: this.name,
+            destination: event.destination || null,
+            value: event.value !== undefined ? event.value : null,
+            rate: event.rate !== undefined ? Number(event.rate.toFixed(2)) : null,
+            readingTime: event.readingTime || null,
+            since: event.since,
+            time: new Date(now)
+        };
+
+        if (event.event === 'resolved') {
+            log.info(payload.message);
+        } else {
+            log.warn(payload.message);
+        }
+
+        try {
+            await this._deliver(payload);
+        } catch (error) {
+            log.error(`Delivery failed: ${error.message}`);
+        }
+    }
+
+    async _deliver(payload) {
+        const results = [];
+        if (this.webhookUrl) results.push(this._postWebhook(payload));
+        if (this.command) results.push(this._runCommand(payload));
+
+        const failures = (await Promise.allSettled(results)).filter(r => r.status === 'rejected');
+        if (failures.length > 0) {
+            throw new Error(failures.map(f => f.reason.message).join('; '));
+        }
+    }
+
+    /**
+     * POST the alert as JSON
+     */
+    _postWebhook(payload) {
+        const url = new URL(this.webhookUrl);
+        const body = logger.redact(JSON.stringify(payload));
+        const transport = url.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'lib2dex'
+                },
+                timeout: DELIVERY_TIMEOUT_MS
+            }, res => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`webhook returned HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error('webhook timed out')));
+            req.on('error', error => reject(new Error(`webhook: ${error.message}`)));
+            req.end(body);
+        });
+    }
+
+    /**
+     * Run the alert command with the alert in LIB2DEX_ALERT_* variables
+     */
+    _runCommand(payload) {
+        const env = {
+            ...process.env,
+            LIB2DEX_ALERT_EVENT: payload.event,
+            LIB2DEX_ALERT_TYPE: payload.type,
+            LIB2DEX_ALERT_SEVERITY: payload.severity,
+            LIB2DEX_ALERT_MESSAGE: payload.message,
+            LIB2DEX_ALERT_PAIR: payload.pair || '',
+            LIB2DEX_ALERT_VALUE: payload.value === null ? '' : String(payload.value),
+            LIB2DEX_ALERT_JSON: logger.redact(JSON.stringify(payload))
+        };
+
+        return new Promise((resolve, reject) => {
+            exec(this.command, { env: env, timeout: COMMAND_TIMEOUT_MS }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = (stderr || '').trim().split('\n')[0];
+                    reject(new Error(`command failed: ${error.message.split('\n')[0]}${detail ? ` (${detail})` : ''}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,254 @@
+/**
+ * Lib2Dex Circuit Breaker
+ *
+ * Stops all traffic to a service that has blocked us (Cloudflare 1015/1020
+ * on LibreView) instead of retrying into a longer block:
+ *   closed     requests go through
+ *   open       requests fail at once until the cool-down ends; it doubles
+ *              with each block in a row, up to a maximum
+ *   half-open  the cool-down is over and one request probes the service:
+ *              success closes the circuit, another block opens it again
+ *
+ * The state is saved in the state directory, so a cool-down survives a
+ * restart (PM2, systemd) and each instance has its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { writeJsonFile } = require('./state-file');
+
+const log = logger.create('Circuit');
+
+const BREAKER_VERSION = 1;
+
+const MINUTE = 60 * 1000;
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+// Callers waiting for the circuit poll at least this far apart
+const MIN_WAIT_MS = 1000;
+
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Thrown instead of a request while the circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(message, retryInMs) {
+        super(message);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryInMs = retryInMs;
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string|null} stateDir - Where to keep the state (null: memory only)
+     * @param {string} [name='default'] - Instance name, part of the file name
+     * @param {object} [options]
+     * @param {string} [options.label] - Service name for messages
+     * @param {number} [options.cooldownMinutes=5] - First cool-down after a block
+     * @param {number} [options.maxCooldownMinutes=120] - Longest cool-down
+     */
+    constructor(stateDir, name = 'default', options = {}) {
+        this.stateDir = stateDir;
+        const safeName = String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+        this.filePath = stateDir ? path.join(stateDir, `circuit-${safeName}.json`) : null;
+        this.label = options.label || String(name);
+        this.cooldownMs = (options.cooldownMinutes !== undefined ? options.cooldownMinutes : 5) * MINUTE;
+        this.maxCooldownMs = Math.max((options.maxCooldownMinutes || 120) * MINUTE, this.cooldownMs);
+
+        this.state = 'closed';
+        this.trips = 0;
+        this.openedAt = null;
+        this.openUntil = null;
+        this.reason = null;
+        this.probing = false;
+        this.waiters = new Set();
+    }
+
+    /**
+     * Load the state from disk (missing or corrupt files start closed)
+     */
+    load() {
+        if (!this.filePath) return this;
+
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn(`Could not read ${this.filePath}: ${error.message}`);
+            }
+            return this;
+        }
+
+        try {
+            const state = JSON.parse(raw);
+            if (CIRCUIT_STATES.includes(state.state) && state.state !== 'closed') {
+                // A probe interrupted by a restart counts as open with no time left
+                this.state = 'open';
+                this.trips = Number.isInteger(state.trips) && state.trips > 0 ? state.trips : 1;
+                this.openedAt = typeof state.openedAt === 'number' ? state.openedAt : null;
+                this.openUntil = typeof state.openUntil === 'number' ? state.openUntil : 0;
+                this.reason = typeof state.reason === 'string' ? state.reason : null;
+            }
+        } catch (error) {
+            log.warn(`Ignoring corrupt circuit state ${this.filePath}`);
+        }
+
+        if (this.state === 'open' && this.remainingMs() > 0) {
+            log.warn(`${this.label} still cooling down after a block, ${formatDuration(this.remainingMs())} left`);
+        }
+        return this;
+    }
+
+    /**
+     * Write the state atomically (temp file + fsync + rename); failures are logged
+     */
+    save() {
+        if (!this.filePath) return;
+
+        const state = {
+            version: BREAKER_VERSION,
+            updatedAt: new Date().toISOString(),
+            state: this.state,
+            trips: this.trips,
+            openedAt: this.openedAt,
+            openUntil: this.openUntil,
+            reason: this.reason
+        };
+
+        try {
+            writeJsonFile(this.filePath, state);
+        } catch (error) {
+            log.warn(`Could not save ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Milliseconds until requests may go through again (0 unless open)
+     */
+    remainingMs(now = Date.now()) {
+        if (this.state !== 'open') return 0;
+        return Math.max(0, this.openUntil - now);
+    }
+
+    /**
+     * Current state, counting an expired cool-down as half-open
+     */
+    stateAt(now = Date.now()) {
+        if (this.state === 'open' && this.remainingMs(now) === 0) return 'half-open';
+        return this.state;
+    }
+
+    /**
+     * Call before each request: throws CircuitOpenError while the circuit is
+     * open or another request is probing it
+     */
+    check(now = Date.now()) {
+        if (this.state === 'closed') return;
+
+        const remaining = this.remainingMs(now);
+        if (remaining > 0) {
+            throw new CircuitOpenError(
+                `${this.label} paused after being blocked (${this.reason || 'rate limited'}), retrying in ${formatDuration(remaining)}`,
+                remaining
+            );
+        }
+        if (this.probing) {
+            throw new CircuitOpenError(`${this.label} paused, waiting for a test request`, MIN_WAIT_MS);
+        }
+
+        this.state = 'half-open';
+        this.probing = true;
+        log.info(`${this.label} cool-down over, sending a test request`);
+    }
+
+    /**
+     * Record a request that was not blocked: closes the circuit
+     */
+    success() {
+        this.probing = false;
+        if (this.state === 'closed') return;
+
+        log.info(`${this.label} reachable again, circuit closed`);
+        this.state = 'closed';
+        this.trips = 0;
+        this.openedAt = null;
+        this.openUntil = null;
+        this.reason = null;
+        this.save();
+    }
+
+    /**
+     * Record a request that failed for another reason (network error): the
+     * next request probes again
+     */
+    release() {
+        this.probing = false;
+    }
+
+    /**
+     * Record a block: opens the circuit for the next cool-down, returns its length
+     */
+    failure(reason, now = Date.now()) {
+        this.trips++;
+        const cooldown = Math.min(this.cooldownMs * Math.pow(2, this.trips - 1), this.maxCooldownMs);
+
+        this.state = 'open';
+        this.probing = false;
+        this.openedAt = now;
+        this.openUntil = now + cooldown;
+        this.reason = reason || null;
+        this.save();
+
+        log.warn(`${this.label} blocked (${this.reason || 'rate limited'}); pausing all requests for ${formatDuration(cooldown)} (block ${this.trips} in a row)`);
+        return cooldown;
+    }
+
+    /**
+     * Resolves when requests may go through again, or early on cancel()
+     */
+    wait() {
+        const ms = Math.max(this.remainingMs(), MIN_WAIT_MS);
+        return new Promise(resolve => {
+            const waiter = () => {
+                clearTimeout(timer);
+                this.waiters.delete(waiter);
+                resolve();
+            };
+            const timer = setTimeout(waiter, ms);
+            this.waiters.add(waiter);
+        });
+    }
+
+    /**
+     * End all pending wait() calls (on shutdown)
+     */
+    cancel() {
+        for (const waiter of Array.from(this.waiters)) waiter();
+    }
+
+    /**
+     * Circuit details for stats
+     */
+    status(now = Date.now()) {
+        return {
+            state: this.stateAt(now),
+            trips: this.trips,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            openUntil: this.state === 'open' ? new Date(this.openUntil) : null,
+            reason: this.reason
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
@@ -0,0 +1,574 @@
+/**
+ * Lib2Dex Configuration
+ *
+ * Builds the sync configuration from, in increasing order of precedence:
+ *   1. a JSON or YAML config file (--config <path> or LIB2DEX_CONFIG), with an
+ *      optional named profile (--profile <name> or LIB2DEX_PROFILE) merged
+ *      over its top-level settings
+ *   2. environment variables (including .env)
+ *   3. command line overrides (--sync-interval-minutes 10, --log-level=debug)
+ *
+ * All three use the same setting names: the environment variable names,
+ * written in kebab-case on the command line. Every value is checked against
+ * the schema below and all problems are reported together in a ConfigError.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEXCOM_URLS, MAX_READ_COUNT } = require('./dexcom-client');
+const { POLICIES } = require('./reading-validator');
+const { RESAMPLE_MODES } = require('./resampler');
+const { SENSOR_CHANGE_ACTIONS } = require('./sensor-tracker');
+const { isValidTimezone } = require('./timezone');
+const { parseProxy, describeProxy } = require('./proxy-agent');
+const { LEVELS, FORMATS } = require('./logger');
+
+const REGIONS = Object.keys(DEXCOM_URLS).map(r => r.toLowerCase());
+
+// Known settings and how to validate them
+const SCHEMA = {
+    SOURCE_TYPE: { type: 'string' },
+    SOURCE_OPTIONS: { type: 'json' },
+    SOURCE_EMAIL: { type: 'string' },
+    SOURCE_PASSWORD: { type: 'string' },
+    SOURCE_REGION: { type: 'string' },
+    SOURCE_PATIENT: { type: 'string' },
+    PATIENT_TIMEZONE: { type: 'timezone' },
+    SOURCE_API_URL: { type: 'url' },
+    SOURCE_PROXY: { type: 'proxy' },
+    SOURCE_COOLDOWN_MINUTES: { type: 'integer', min: 0, max: 1440 },
+    SOURCE_COOLDOWN_MAX_MINUTES: { type: 'integer', min: 1, max: 10080 },
+
+    DEST_TYPE: { type: 'string' },
+    DEST_OPTIONS: { type: 'json' },
+    DEST_USERNAME: { type: 'string' },
+    DEST_PASSWORD: { type: 'string' },
+    DEST_REGION: { type: 'enum', values: REGIONS },
+    DEST_URL: { type: 'url' },
+    DEST_API_SECRET: { type: 'string' },
+    DEST_TOKEN: { type: 'string' },
+    DEST_API_URL: { type: 'url' },
+    DEST_PROXY: { type: 'proxy' },
+    DEST_NAME: { type: 'string' },
+
+    SYNC_INTERVAL_MINUTES: { type: 'integer', min: 1, max: 1440 },
+    ADAPTIVE_POLLING: { type: 'boolean' },
+    MIN_POLL_SECONDS: { type: 'integer', min: 10, max: 3600 },
+    MAX_READINGS_PER_SYNC: { type: 'integer', min: 1, max: MAX_READ_COUNT },
+    BACKFILL_BATCH_SIZE: { type: 'integer', min: 1, max: MAX_READ_COUNT },
+    RECONCILE_INTERVAL_HOURS: { type: 'integer', min: 0, max: 168 },
+    SERIAL_NUMBER: { type: 'string' },
+    STATE_DIR: { type: 'string' },
+    SESSION_CACHE: { type: 'boolean' },
+    RECOMPUTE_TRENDS: { type: 'boolean' },
+    RESAMPLE: { type: 'enum', values: RESAMPLE_MODES },
+    RESAMPLE_INTERPOLATE: { type: 'boolean' },
+    READING_LOW_POLICY: { type: 'enum', values: POLICIES.low },
+    READING_HIGH_POLICY: { type: 'enum', values: POLICIES.high },
+    READING_INVALID_POLICY: { type: 'enum', values: POLICIES.invalid },
+    SENSOR_CHANGE_ACTION: { type: 'enum', values: SENSOR_CHANGE_ACTIONS },
+    SENSOR_LIFETIME_DAYS: { type: 'integer', min: 1, max: 30 },
+
+    ALERT_WEBHOOK_URL: { type: 'url' },
+    ALERT_COMMAND: { type: 'string' },
+    ALERT_URGENT_LOW: { type: 'integer', min: 0, max: 400 },
+    ALERT_LOW: { type: 'integer', min: 0, max: 400 },
+    ALERT_HIGH: { type: 'integer', min: 0, max: 400 },
+    ALERT_RISE_RATE: { type: 'number', min: 0, max: 10 },
+    ALERT_FALL_RATE: { type: 'number', min: 0, max: 10 },
+    ALERT_STALE_MINUTES: { type: 'integer', min: 0, max: 1440 },
+    ALERT_UPLOAD_MINUTES: { type: 'integer', min: 0, max: 1440 },
+    ALERT_SNOOZE_MINUTES: { type: 'integer', min: 1, max: 1440 },
+
+    HEALTH_PORT: { type: 'integer', min: 1, max: 65535 },
+    HEALTH_HOST: { type: 'string' },
+    HEALTH_STALE_INTERVALS: { type: 'integer', min: 1, max: 1000 },
+    SHUTDOWN_TIMEOUT_SECONDS: { type: 'integer', min: 1, max: 600 },
+
+    LOG_LEVEL: { type: 'enum', values: Object.keys(LEVELS) },
+    LOG_FORMAT: { type: 'enum', values: FORMATS },
+    LOG_TIMESTAMPS: { type: 'boolean' }
+};
+
+// DEST_<n>_<field> (n >= 2) and PAIR_<n>_<field> (n >= 1), mapped to the schema entry they share
+const DEST_FIELDS = {
+    TYPE: 'DEST_TYPE',
+    OPTIONS: 'DEST_OPTIONS',
+    USERNAME: 'DEST_USERNAME',
+    PASSWORD: 'DEST_PASSWORD',
+    REGION: 'DEST_REGION',
+    URL: 'DEST_URL',
+    API_SECRET: 'DEST_API_SECRET',
+    TOKEN: 'DEST_TOKEN',
+    API_URL: 'DEST_API_URL',
+    PROXY: 'DEST_PROXY',
+    SERIAL_NUMBER: 'SERIAL_NUMBER',
+    NAME: 'DEST_NAME'
+};
+
+const PAIR_FIELDS = {
+    PATIENT: 'SOURCE_PATIENT',
+    TIMEZONE: 'PATIENT_TIMEZONE',
+    DEST_USERNAME: 'DEST_USERNAME',
+    DEST_PASSWORD: 'DEST_PASSWORD',
+    DEST_REGION: 'DEST_REGION',
+    SERIAL_NUMBER: 'SERIAL_NUMBER',
+    NAME: 'DEST_NAME'
+};
+
+// Command line flags that select a mode rather than a setting, with the number of values they take
+const MODE_FLAGS = {
+    '--daemon': 0,
+    '--once': 0,
+    '--test': 0,
+    '--verify': 0,
+    '--help': 0,
+    '-h': 0,
+    '--backfill': 1,
+    '--diff': 1,
+    '--format': 1
+};
+
+/**
+ * Configuration problems, collected so they can be reported at once
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(errors.length === 1 ? errors[0] : `${errors.length} configuration errors`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Schema entry for a setting name, or null if it is not a known setting
+ */
+function schemaFor(key) {
+    if (SCHEMA[key]) return SCHEMA[key];
+
+    let match = key.match(/^DEST_(\d+)_(.+)$/);
+    if (match && parseInt(match[1]) >= 2 && DEST_FIELDS[match[2]]) {
+        return SCHEMA[DEST_FIELDS[match[2]]];
+    }
+
+    match = key.match(/^PAIR_(\d+)_(.+)$/);
+    if (match && parseInt(match[1]) >= 1 && PAIR_FIELDS[match[2]]) {
+        return SCHEMA[PAIR_FIELDS[match[2]]];
+    }
+
+    return null;
+}
+
+/**
+ * Edit distance, used to suggest the intended name for an unknown setting
+ */
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const next = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = row[j];
+            row[j] = next;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Error message for an unknown setting, with a suggestion for likely typos
+ */
+function unknownSetting(key, origin) {
+    let hint = '';
+    if (!/^(DEST|PAIR)_\d+_/.test(key)) {
+        const names = Object.keys(SCHEMA);
+        const best = names.find(name => name.startsWith(key)) ||
+            names.map(name => ({ name, score: distance(key, name) }))
+                .filter(c => c.score <= 3)
+                .sort((a, b) => a.score - b.score)
+                .map(c => c.name)[0];
+        if (best) hint = ` (did you mean ${best}?)`;
+    }
+    return `Unknown setting ${key} in ${origin}${hint}`;
+}
+
+/**
+ * Convert and check one value against its schema entry
+ * @returns {{ value: * } | { error: string }}
+ */
+function coerce(key, raw, spec) {
+    const shown = typeof raw === 'string' ? `"${raw}"` : JSON.stringify(raw);
+
+    switch (spec.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? parseInt(raw) : NaN);
+            if (!Number.isInteger(value)) {
+                return { error: `${key} must be a whole number (got ${shown})` };
+            }
+            if (value < spec.min || value > spec.max) {
+                return { error: `${key} must be between ${spec.min} and ${spec.max} (got ${value})` };
+            }
+            return { value };
+        }
+
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : (/^-?\d+(\.\d+)?$/.test(String(raw).trim()) ? parseFloat(raw) : NaN);
+            if (!Number.isFinite(value)) {
+                return { error: `${key} must be a number (got ${shown})` };
+            }
+            if (value < spec.min || value > spec.max) {
+                return { error: `${key} must be between ${spec.min} and ${spec.max} (got ${value})` };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            const text = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+            return { error: `${key} must be true or false (got ${shown})` };
+        }
+
+        case 'enum': {
+            const value = String(raw).trim().toLowerCase();
+            if (!spec.values.includes(value)) {
+                return { error: `${key} must be one of: ${spec.values.join(', ')} (got ${shown})` };
+            }
+            return { value };
+        }
+
+        case 'url': {
+            try {
+                const url = new URL(String(raw));
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+                return { value: String(raw) };
+            } catch (e) {
+                return { error: `${key} must be an http(s) URL (got ${shown})` };
+            }
+        }
+
+        case 'proxy': {
+            const value = String(raw).trim();
+            try {
+                if (value !== 'direct') parseProxy(value);
+                return { value };
+            } catch (e) {
+                return { error: `${key} must be an http(s), socks5 or socks5h proxy URL, or direct (got "${describeProxy(value)}")` };
+            }
+        }
+
+        case 'timezone': {
+            const value = String(raw).trim();
+            if (!isValidTimezone(value)) {
+                return { error: `${key} must be an IANA time zone such as Europe/Istanbul (got ${shown})` };
+            }
+            return { value };
+        }
+
+        case 'json': {
+            if (typeof raw === 'object' && raw !== null) return { value: raw };
+            try {
+                return { value: JSON.parse(raw) };
+            } catch (e) {
+                return { error: `${key} is not valid JSON: ${e.message}` };
+            }
+        }
+
+        default:
+            if (typeof raw === 'object') {
+                return { error: `${key} must be a string (got ${shown})` };
+            }
+            return { value: String(raw) };
+    }
+}
+
+/**
+ * Split command line arguments into config file, profile and setting overrides
+ */
+function parseArgs(argv) {
+    const result = { configPath: null, profile: null, overrides: {}, errors: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg in MODE_FLAGS) {
+            i += MODE_FLAGS[arg];
+            continue;
+        }
+
+        const match = arg.match(/^--([a-z0-9][a-z0-9-]*)(?:=(.*))?$/i);
+        if (!match) {
+            result.errors.push(`Unexpected argument "${arg}"`);
+            continue;
+        }
+
+        let value = match[2];
+        if (value === undefined) {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                result.errors.push(`Option --${match[1]} needs a value`);
+                continue;
+            }
+            value = argv[++i];
+        }
+
+        if (match[1] === 'config') {
+            result.configPath = value;
+        } else if (match[1] === 'profile') {
+            result.profile = value;
+        } else {
+            result.overrides[match[1].toUpperCase().replace(/-/g, '_')] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Read a JSON or YAML config file
+ */
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`Could not read config file ${file}: ${error.message}`]);
+    }
+
+    let data;
+    try {
+        if (/\.ya?ml$/i.test(file)) {
+            let yaml;
+            try {
+                yaml = require('js-yaml');
+            } catch (e) {
+                throw new Error('YAML config files need the js-yaml package (npm install js-yaml)');
+            }
+            data = yaml.load(text);
+        } else {
+            data = JSON.parse(text);
+        }
+    } catch (error) {
+        throw new ConfigError([`Could not parse config file ${file}: ${error.message.split('\n')[0]}`]);
+    }
+
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError([`Config file ${file} must contain an object of settings`]);
+    }
+    return data;
+}
+
+/**
+ * Merged, validated settings keyed by setting name
+ */
+function resolveSettings(argv, env) {
+    const args = parseArgs(argv);
+    const errors = [...args.errors];
+    const settings = {};
+
+    const apply = (values, origin, strict) => {
+        for (const [key, raw] of Object.entries(values)) {
+            const spec = schemaFor(key);
+            if (!spec) {
+                if (strict) errors.push(unknownSetting(key, origin));
+                continue;
+            }
+            if (raw === undefined || raw === null || raw === '') continue;
+
+            const result = coerce(key, raw, spec);
+            if (result.error) {
+                errors.push(`${result.error} in ${origin}`);
+            } else {
+                settings[key] = result.value;
+            }
+        }
+    };
+
+    const configPath = args.configPath || env.LIB2DEX_CONFIG || null;
+    const profile = args.profile || env.LIB2DEX_PROFILE || null;
+
+    if (configPath) {
+        const file = path.resolve(configPath);
+        const data = readConfigFile(file);
+        const { profiles = {}, ...base } = data;
+        const name = path.basename(file);
+
+        apply(base, name, true);
+
+        if (profile) {
+            if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+                const available = Object.keys(profiles).join(', ') || 'none';
+                errors.push(`Profile "${profile}" not found in ${name} (available: ${available})`);
+            } else {
+                apply(profiles[profile] || {}, `${name} profile "${profile}"`, true);
+            }
+        }
+    } else if (profile) {
+        errors.push(`Profile "${profile}" requires a config file (--config <path>)`);
+    }
+
+    apply(env, 'environment', false);
+
+    const overrides = {};
+    for (const [key, value] of Object.entries(args.overrides)) {
+        if (!schemaFor(key)) {
+            errors.push(`Unknown option --${key.toLowerCase().replace(/_/g, '-')}`);
+        } else {
+            overrides[key] = value;
+        }
+    }
+    apply(overrides, 'command line', true);
+
+    return { settings, errors, configPath, profile };
+}
+
+/**
+ * Build the sync configuration from the config file, environment and command line
+ * @param {string[]} argv - Command line arguments (without node and script)
+ * @param {object} [env=process.env]
+ * @throws {ConfigError}
+ */
+function loadConfig(argv, env = process.env) {
+    const { settings, errors, configPath, profile } = resolveSettings(argv, env);
+    const get = key => settings[key];
+
+    // PAIR_<n>_* (n = 1, 2, ...) for multi-patient mode
+    const pairs = [];
+    for (let n = 1; get(`PAIR_${n}_DEST_USERNAME`); n++) {
+        pairs.push({
+            name: get(`PAIR_${n}_NAME`) || `pair${n}`,
+            librePatient: get(`PAIR_${n}_PATIENT`) || null,
+            patientTimezone: get(`PAIR_${n}_TIMEZONE`) || get('PATIENT_TIMEZONE') || null,
+            dexcomUsername: get(`PAIR_${n}_DEST_USERNAME`),
+            dexcomPassword: get(`PAIR_${n}_DEST_PASSWORD`),
+            dexcomRegion: get(`PAIR_${n}_DEST_REGION`) || get('DEST_REGION') || 'ous',
+            serialNumber: get(`PAIR_${n}_SERIAL_NUMBER`) || null,
+            apiUrl: get('DEST_API_URL') || null,
+            proxy: get('DEST_PROXY') || null
+        });
+    }
+
+    const sourceType = get('SOURCE_TYPE') || 'libreview';
+    const required = sourceType.toLowerCase() === 'libreview' ? ['SOURCE_EMAIL', 'SOURCE_PASSWORD'] : [];
+
+    pairs.forEach((pair, i) => required.push(`PAIR_${i + 1}_DEST_PASSWORD`));
+
+    // Primary DEST_* destination plus DEST_<n>_* (n = 2, 3, ...) for fan-out
+    const destinations = [];
+    if (pairs.length === 0) {
+        const readDestination = (prefix, defaultName, serialKey) => {
+            const field = key => get(`${prefix}${key}`);
+            const destType = field('TYPE') || 'dexcom';
+
+            if (destType.toLowerCase() === 'dexcom') required.push(`${prefix}USERNAME`, `${prefix}PASSWORD`);
+            if (destType.toLowerCase() === 'nightscout') required.push(`${prefix}URL`);
+
+            destinations.push({
+                destType: destType,
+                destName: field('NAME') || defaultName,
+                dexcomUsername: field('USERNAME'),
+                dexcomPassword: field('PASSWORD'),
+                dexcomRegion: field('REGION') || 'ous',
+                nightscoutUrl: field('URL'),
+                nightscoutApiSecret: field('API_SECRET') || null,
+                nightscoutToken: field('TOKEN') || null,
+                destOptions: field('OPTIONS') || {},
+                apiUrl: field('API_URL') || null,
+                proxy: field('PROXY') || null,
+                serialNumber: get(serialKey) || null
+            });
+        };
+
+        readDestination('DEST_', 'dest1', 'SERIAL_NUMBER');
+        const defined = n => ['USERNAME', 'URL', 'TYPE'].some(key => get(`DEST_${n}_${key}`));
+        for (let n = 2; defined(n); n++) {
+            readDestination(`DEST_${n}_`, `dest${n}`, `DEST_${n}_SERIAL_NUMBER`);
+        }
+    }
+
+    for (const key of required) {
+        if (get(key) === undefined) errors.push(`Missing required setting ${key}`);
+    }
+
+    // Alert thresholds (0 disables one); defaults follow the Dexcom app
+    const setting = (key, fallback) => (get(key) !== undefined ? get(key) : fallback);
+    const alerts = {
+        webhookUrl: get('ALERT_WEBHOOK_URL') || null,
+        command: get('ALERT_COMMAND') || null,
+        urgentLow: setting('ALERT_URGENT_LOW', 55),
+        low: setting('ALERT_LOW', 70),
+        high: setting('ALERT_HIGH', 250),
+        riseRate: setting('ALERT_RISE_RATE', 0),
+        fallRate: setting('ALERT_FALL_RATE', 0),
+        staleMinutes: setting('ALERT_STALE_MINUTES', 20),
+        uploadMinutes: setting('ALERT_UPLOAD_MINUTES', 30),
+        snoozeMinutes: setting('ALERT_SNOOZE_MINUTES', 30)
+    };
+    if (alerts.urgentLow && alerts.low && alerts.low <= alerts.urgentLow) {
+        errors.push(`ALERT_LOW (${alerts.low}) must be above ALERT_URGENT_LOW (${alerts.urgentLow})`);
+    }
+    if (alerts.high && alerts.high <= Math.max(alerts.low, alerts.urgentLow)) {
+        errors.push(`ALERT_HIGH (${alerts.high}) must be above the low thresholds`);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return {
+        configPath: configPath,
+        profile: profile,
+        sourceType: sourceType,
+        sourceOptions: get('SOURCE_OPTIONS') || {},
+        libreEmail: get('SOURCE_EMAIL'),
+        librePassword: get('SOURCE_PASSWORD'),
+        libreRegion: get('SOURCE_REGION') || '',
+        librePatient: get('SOURCE_PATIENT') || null,
+        patientTimezone: get('PATIENT_TIMEZONE') || null,
+        sourceApiUrl: get('SOURCE_API_URL') || null,
+        sourceProxy: get('SOURCE_PROXY') || null,
+        sourceCooldownMinutes: setting('SOURCE_COOLDOWN_MINUTES', 5),
+        sourceCooldownMaxMinutes: get('SOURCE_COOLDOWN_MAX_MINUTES') || 120,
+        dexcomUsername: get('DEST_USERNAME'),
+        dexcomPassword: get('DEST_PASSWORD'),
+        dexcomRegion: get('DEST_REGION') || 'ous',
+        syncIntervalMinutes: get('SYNC_INTERVAL_MINUTES') || 5,
+        adaptivePolling: get('ADAPTIVE_POLLING') !== false,
+        minPollSeconds: get('MIN_POLL_SECONDS') || 60,
+        maxReadingsPerSync: get('MAX_READINGS_PER_SYNC') || 12,
+        backfillBatchSize: get('BACKFILL_BATCH_SIZE') || 50,
+        reconcileIntervalHours: setting('RECONCILE_INTERVAL_HOURS', 6),
+        recomputeTrends: get('RECOMPUTE_TRENDS') === true,
+        resample: get('RESAMPLE') || 'off',
+        resampleInterpolate: get('RESAMPLE_INTERPOLATE') === true,
+        readingPolicy: {
+            low: get('READING_LOW_POLICY') || 'code',
+            high: get('READING_HIGH_POLICY') || 'code',
+            invalid: get('READING_INVALID_POLICY') || 'skip'
+        },
+        sensorChangeAction: get('SENSOR_CHANGE_ACTION') || 'none',
+        sensorLifetimeDays: get('SENSOR_LIFETIME_DAYS') || 14,
+        serialNumber: get('SERIAL_NUMBER') || null,
+        stateDir: get('STATE_DIR') || null,
+        cacheSessions: get('SESSION_CACHE') !== false,
+        healthPort: get('HEALTH_PORT') || null,
+        healthHost: get('HEALTH_HOST') || '127.0.0.1',
+        healthStaleIntervals: get('HEALTH_STALE_INTERVALS') || 3,
+        shutdownTimeoutSeconds: get('SHUTDOWN_TIMEOUT_SECONDS') || 8,
+        logLevel: get('LOG_LEVEL') || 'info',
+        logFormat: get('LOG_FORMAT') || 'text',
+        logTimestamps: get('LOG_TIMESTAMPS') !== false,
+        alerts: alerts,
+        destinations: destinations,
+        pairs: pairs
+    };
+}
+
+module.exports = {
+    SCHEMA,
+    MODE_FLAGS,
+    ConfigError,
+    parseArgs,
+    loadConfig
+};
@@ -5,7 +5,14 @@
  * Supports both US and international (OUS) regions.
  */
 
+const http = require('http');
 const https = require('https');
+const EventEmitter = require('events');
+const { formatUtcOffset } = require('./timezone');
+const logger = require('./logger');
+const { agentFor } = require('./proxy-agent');
+
+const log = logger.create('Dexcom');
 
 // Dexcom Share base URLs
 const DEXCOM_URLS = {
@@ -30,38 +37,161 @@ const LIBRE_TO_DEXCOM_TREND = {
     7: 1   
 };
 
-class DexcomClient {
-    constructor(username, password, region = 'US') {
+// Dexcom/Nightscout trend names on the LibreView scale
+const DEXCOM_TREND_NAMES = {
+    DoubleUp: 7,
+    SingleUp: 6,
+    FortyFiveUp: 5,
+    Flat: 4,
+    FortyFiveDown: 3,
+    SingleDown: 2,
+    DoubleDown: 1
+};
+
+// Maximum window and record count accepted by ReadPublisherLatestGlucoseValues
+const MAX_READ_MINUTES = 1440;
+const MAX_READ_COUNT = 288;
+
+/**
+ * Parse a Dexcom "/Date(ticks)/" or "Date(ticks+hhmm)" value into a Date
+ */
+function parseDexcomDate(value) {
+    const match = typeof value === 'string' && value.match(/Date\((\d+)/);
+    return match ? new Date(parseInt(match[1])) : null;
+}
+
+/**
+ * Convert a stored Dexcom trend (number or name) to the LibreView scale, or null if it has none
+ */
+function dexcomTrendToLibre(trend) {
+    if (typeof trend === 'number') {
+        const libre = Object.keys(LIBRE_TO_DEXCOM_TREND).find(k => LIBRE_TO_DEXCOM_TREND[k] === trend);
+        return libre ? parseInt(libre) : null;
+    }
+    return DEXCOM_TREND_NAMES[trend] || null;
+}
+
+/**
+ * Emits 'authenticated' ({ renewed }) after each login and
+ * 'rateLimited' ({ status, retryInMs }) when an upload gets HTTP 429.
+ */
+class DexcomClient extends EventEmitter {
+    /**
+     * @param {string} username
+     * @param {string} password
+     * @param {string} [region] - US or OUS
+     * @param {object} [options]
+     * @param {string} [options.host] - API host, replaces the regional Share host (e.g. a mock server)
+     * @param {number} [options.port]
+     * @param {string} [options.protocol] - 'https' (default) or 'http'
+     * @param {string} [options.proxy] - Proxy URL, or 'direct' to ignore HTTPS_PROXY
+     * @param {number} [options.rateLimitDelayMs=60000] - Wait after a 429 before retrying an upload
+     * @param {SessionCache} [options.sessionCache] - Reuse the session across restarts
+     */
+    constructor(username, password, region = 'US', options = {}) {
+        super();
         this.username = username;
         this.password = password;
+        logger.registerSecret(password);
         this.region = region.toUpperCase();
-        this.baseUrl = DEXCOM_URLS[this.region] || DEXCOM_URLS.US;
+        this.baseUrl = options.host || DEXCOM_URLS[this.region] || DEXCOM_URLS.US;
+        this.protocol = String(options.protocol || 'https').replace(/:$/, '');
+        this.port = options.port || (this.protocol === 'http' ? 80 : 443);
+        this.proxy = options.proxy || null;
+        this.rateLimitDelayMs = options.rateLimitDelayMs !== undefined ? options.rateLimitDelayMs : 60000;
         this.sessionId = null;
         this.accountId = null;
         this.serialNumber = null;
+        this.label = 'Dexcom Share';
+        this.sessionCache = options.sessionCache || null;
+
+        // Set once a session exists, so later logins count as renewals
+        this.hadSession = false;
+    }
+
+    /**
+     * Stable account identifier (used to derive the receiver serial)
+     */
+    get accountKey() {
+        return this.username;
+    }
+
+    /**
+     * Session cache key: the account on this Share host
+     */
+    _cacheAccount() {
+        return `${this.username}@${this.baseUrl}:${this.port}`;
     }
 
     /**
-     * Make an HTTPS request
+     * Restore the account and session IDs from the session cache
+     * (an expired session is detected by the next call and renewed)
+     */
+    _restoreSession() {
+        if (!this.sessionCache) return false;
+
+        const session = this.sessionCache.load('dexcom', this._cacheAccount(), this.password);
+        if (!session || !session.accountId || !session.sessionId) return false;
+
+        this.accountId = session.accountId;
+        this.sessionId = session.sessionId;
+        logger.registerSecret(this.accountId);
+        logger.registerSecret(this.sessionId);
+        this.hadSession = true;
+
+        log.info('Reusing cached session');
+        return true;
+    }
+
+    /**
+     * Store the current account and session IDs in the session cache
+     */
+    _saveSession() {
+        if (!this.sessionCache) return;
+
+        this.sessionCache.save('dexcom', this._cacheAccount(), this.password, {
+            accountId: this.accountId,
+            sessionId: this.sessionId
+        });
+    }
+
+    /**
+     * Forget the current session, in memory and in the session cache
+     */
+    invalidateSession() {
+        this.sessionId = null;
+        this.accountId = null;
+        if (this.sessionCache) {
+            this.sessionCache.clear('dexcom', this._cacheAccount());
+        }
+    }
+
+    /**
+     * Make an HTTP(S) request
      */
     _request(method, path, data = null) {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: this.baseUrl,
-                port: 443,
+                port: this.port,
                 path: path,
                 method: method,
                 headers: {
                     'Content-Type': 'application/json; charset=utf-8',
                     'Accept': 'application/json',
                     'User-Agent': 'Dexcom Share/3.0.2.11'
-                }
+                },
+                agent: agentFor(this.proxy, this.protocol, this.baseUrl, this.port)
             };
 
-            const req = https.request(options, (res) => {
+            log.debug(`${method} ${this.baseUrl}${path}${options.agent ? ` via ${options.agent.proxy}` : ''}`);
+
+            const transport = this.protocol === 'http' ? http : https;
+            const req = transport.request(options, (res) => {
                 let body = '';
                 res.on('data', chunk => body += chunk);
                 res.on('end', () => {
+                    log.trace(`${res.statusCode} ${body.substring(0, 500)}`);
                     try {
                        
                         if (!body || body.trim() === '') {
@@ -101,11 +231,13 @@ class DexcomClient {
         );
 
         if (response.status !== 200 || !response.data) {
+            this.invalidateSession();
             throw new Error(`Account authentication failed: ${JSON.stringify(response.data)}`);
         }
 
        
         this.accountId = response.data.replace(/"/g, '');
+        logger.registerSecret(this.accountId);
         return this.accountId;
     }
 
@@ -128,11 +260,13 @@ class DexcomClient {
         );
 
         if (response.status !== 200 || !response.data) {
+            this.invalidateSession();
             throw new Error(`Session authentication failed: ${JSON.stringify(response.data)}`);
         }
 
        
         this.sessionId = response.data.replace(/"/g, '');
+        logger.registerSecret(this.sessionId);
         return this.sessionId;
     }
 
@@ -142,7 +276,10 @@ class DexcomClient {
     async authenticate() {
         await this._authenticateAccount();
         await this._authenticateSession();
-        console.log('[Dexcom] OK');
+        this._saveSession();
+        log.info('OK');
+        this.emit('authenticated', { renewed: this.hadSession });
+        this.hadSession = true;
         return true;
     }
 
@@ -150,7 +287,7 @@ class DexcomClient {
      * Ensure we have a valid session
      */
     async ensureAuthenticated() {
-        if (!this.sessionId) {
+        if (!this.sessionId && !this._restoreSession()) {
             await this.authenticate();
         }
     }
@@ -159,8 +296,7 @@ class DexcomClient {
      * Re-authenticate (for session renewal)
      */
     async reauthenticate() {
-        this.sessionId = null;
-        this.accountId = null;
+        this.invalidateSession();
         await this.authenticate();
     }
 
@@ -175,14 +311,14 @@ class DexcomClient {
      * Register as a virtual receiver
      * This associates the serial number with the account for uploads.
      */
-    async registerReceiver() {
+    async registerReceiver(isRetry = false) {
         await this.ensureAuthenticated();
 
         if (!this.serialNumber) {
             throw new Error('Serial number not set');
         }
 
-        console.log(`[Dexcom] Registering receiver: ${this.serialNumber}`);
+        log.info(`Registering receiver: ${this.serialNumber}`);
 
        
         const response = await this._request(
@@ -192,11 +328,22 @@ class DexcomClient {
         );
 
         if (response.status === 200) {
-            console.log('[Dexcom] Receiver registered');
+            log.info('Receiver registered');
             return true;
         }
 
        
+        // Session expired: log in again once and retry
+        if (response.status === 500 && response.data && response.data.Code === 'SessionIdNotFound') {
+            if (isRetry) {
+                throw new Error(`Failed to register receiver: ${JSON.stringify(response.data)}`);
+            }
+            log.info('Session expired, re-authenticating...');
+            await this.reauthenticate();
+            return this.registerReceiver(true);
+        }
+
+       
         const response2 = await this._request(
             'POST',
             `/ShareWebServices/Services/Publisher/ReplacePublisherAccountMonitoredReceiver?sessionId=${this.sessionId}`,
@@ -204,18 +351,18 @@ class DexcomClient {
         );
 
         if (response2.status === 200) {
-            console.log('[Dexcom] Receiver registered (alt method)');
+            log.info('Receiver registered (alt method)');
             return true;
         }
 
-        console.log('[Dexcom] Warning: Receiver registration failed, continuing...');
+        log.warn('Receiver registration failed, continuing...');
         return false;
     }
 
     /**
      * Upload glucose readings to Dexcom Share
      */
-    async uploadReadings(readings) {
+    async uploadReadings(readings, isRetry = false) {
         await this.ensureAuthenticated();
 
         if (!this.serialNumber) {
@@ -223,7 +370,7 @@ class DexcomClient {
         }
 
         if (!readings || readings.length === 0) {
-            console.log('[Dexcom] No readings to upload');
+            log.info('No readings to upload');
             return { uploaded: 0, skipped: 0 };
         }
 
@@ -238,9 +385,9 @@ class DexcomClient {
         };
 
        
-        const latestTs = egvs[0]?.DT?.match(/Date\((\d+)\)/)?.[1];
-        const latestTime = latestTs ? new Date(parseInt(latestTs)).toISOString() : 'unknown';
-        console.log(`[Dexcom] Upload: ${egvs[0]?.Value} mg/dL @ ${latestTime}`);
+        const latestDate = parseDexcomDate(egvs[0]?.ST);
+        const latestTime = latestDate ? latestDate.toISOString() : 'unknown';
+        log.info(`Upload: ${egvs[0]?.Value} mg/dL @ ${latestTime}`);
 
        
         const response = await this._request(
@@ -250,17 +397,18 @@ class DexcomClient {
         );
 
        
-        if (response.status === 500 && response.data && response.data.Code === 'SessionIdNotFound') {
-            console.log('[Dexcom] Session expired, re-authenticating...');
+        if (response.status === 500 && response.data && response.data.Code === 'SessionIdNotFound' && !isRetry) {
+            log.info('Session expired, re-authenticating...');
             await this.reauthenticate();
-            return this.uploadReadings(readings);
+            return this.uploadReadings(readings, true);
         }
 
        
         if (response.status === 429) {
-            console.log('[Dexcom] Rate limited, waiting...');
-            await new Promise(resolve => setTimeout(resolve, 60000));
-            return this.uploadReadings(readings);
+            log.warn('Rate limited, waiting...');
+            this.emit('rateLimited', { status: 429, retryInMs: this.rateLimitDelayMs });
+            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelayMs));
+            return this.uploadReadings(readings, isRetry);
         }
 
        
@@ -270,7 +418,7 @@ class DexcomClient {
 
        
         if (response.data && response.data !== '') {
-            console.log(`[Dexcom] API response: ${JSON.stringify(response.data).substring(0, 100)}`);
+            log.debug(`API response: ${JSON.stringify(response.data).substring(0, 100)}`);
         }
 
         return { uploaded: egvs.length, skipped: 0 };
@@ -279,11 +427,17 @@ class DexcomClient {
     /**
      * Format a reading for Dexcom API
      * Uses correct Dexcom EGV format: DT, ST, WT, Value, Trend (numeric)
+     * ST and WT are UTC; DT is the same instant with the patient's offset
+     * (reading.utcOffset, +0000 if unknown), which Share shows as local time.
      */
     _formatForDexcom(reading) {
        
         const dt = reading.timestamp instanceof Date ? reading.timestamp : new Date(reading.timestamp);
         const ticks = dt.getTime();
+        const offset = Number.isInteger(reading.utcOffset) ? reading.utcOffset : 0;
+        if (typeof reading.value !== 'number' || !Number.isFinite(reading.value) || reading.value <= 0) {
+            throw new Error(`Invalid glucose value ${JSON.stringify(reading.value)} at ${dt.toISOString()}`);
+        }
 
        
         let trend = 4; 
@@ -293,7 +447,7 @@ class DexcomClient {
 
        
         return {
-            DT: `/Date(${ticks})/`,  
+            DT: `/Date(${ticks}${formatUtcOffset(offset)})/`,
             ST: `/Date(${ticks})/`,  
             WT: `/Date(${ticks})/`,  
             Value: reading.value,
@@ -304,7 +458,7 @@ class DexcomClient {
     /**
      * Read latest glucose values (for verification)
      */
-    async readLatestValues(count = 1, minutes = 10) {
+    async readLatestValues(count = 1, minutes = 10, isRetry = false) {
         await this.ensureAuthenticated();
 
         const response = await this._request(
@@ -314,10 +468,10 @@ class DexcomClient {
         );
 
        
-        if (response.status === 500 && response.data && response.data.Code === 'SessionIdNotFound') {
-            console.log('[Dexcom] Session expired, re-authenticating...');
+        if (response.status === 500 && response.data && response.data.Code === 'SessionIdNotFound' && !isRetry) {
+            log.info('Session expired, re-authenticating...');
             await this.reauthenticate();
-            return this.readLatestValues(count, minutes);
+            return this.readLatestValues(count, minutes, true);
         }
 
         if (response.status !== 200) {
@@ -327,6 +481,21 @@ class DexcomClient {
         return response.data || [];
     }
 
+    /**
+     * Read latest values as normalized readings ({ value, trend, timestamp })
+     */
+    async readLatestReadings(count = 1, minutes = 10) {
+        const values = await this.readLatestValues(count, minutes);
+
+        return values
+            .map(v => ({
+                value: v.Value,
+                trend: v.Trend,
+                timestamp: parseDexcomDate(v.ST || v.WT)
+            }))
+            .filter(r => r.timestamp);
+    }
+
     /**
      * Test connection
      */
@@ -356,3 +525,7 @@ class DexcomClient {
 module.exports = DexcomClient;
 module.exports.DEXCOM_URLS = DEXCOM_URLS;
 module.exports.LIBRE_TO_DEXCOM_TREND = LIBRE_TO_DEXCOM_TREND;
+module.exports.MAX_READ_MINUTES = MAX_READ_MINUTES;
+module.exports.MAX_READ_COUNT = MAX_READ_COUNT;
+module.exports.parseDexcomDate = parseDexcomDate;
+module.exports.dexcomTrendToLibre = dexcomTrendToLibre;
@@ -0,0 +1,158 @@
+/**
+ * Lib2Dex Diff
+ *
+ * Lines up the readings a source reports with the ones a destination
+ * stored, by timestamp, and reports what is missing, extra or different.
+ * Used by `lib2dex --diff <hours>`.
+ */
+
+// Readings this close together are treated as the same measurement
+const MATCH_TOLERANCE_MS = 30 * 1000;
+
+const DIFF_FORMATS = ['text', 'json', 'csv'];
+
+const TREND_ARROWS = { 1: '↓↓', 2: '↓', 3: '↘', 4: '→', 5: '↗', 6: '↑', 7: '↑↑' };
+
+/**
+ * Compare source and destination readings (both newest first)
+ *
+ * @returns {{ summary: object, entries: object[] }} entries lists only the
+ *   differences: status is 'missing' (not at the destination), 'extra'
+ *   (only at the destination), 'value' or 'trend'
+ */
+function diffReadings(sourceReadings, destReadings) {
+    const dest = destReadings.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const used = new Set();
+    const entries = [];
+    const summary = {
+        source: sourceReadings.length,
+        destination: destReadings.length,
+        matched: 0,
+        missing: 0,
+        extra: 0,
+        valueMismatch: 0,
+        trendMismatch: 0
+    };
+
+    for (const s of sourceReadings) {
+        let match = -1;
+        let best = MATCH_TOLERANCE_MS + 1;
+        dest.forEach((d, i) => {
+            const distance = Math.abs(d.timestamp - s.timestamp);
+            if (!used.has(i) && distance < best) {
+                match = i;
+                best = distance;
+            }
+        });
+
+        if (match === -1) {
+            summary.missing++;
+            entries.push(entry('missing', s, null));
+            continue;
+        }
+
+        used.add(match);
+        const d = dest[match];
+        if (d.value !== s.value) {
+            summary.valueMismatch++;
+            entries.push(entry('value', s, d));
+        } else if (isTrend(s.trend) && isTrend(d.trend) && d.trend !== s.trend) {
+            summary.trendMismatch++;
+            entries.push(entry('trend', s, d));
+        } else {
+            summary.matched++;
+        }
+    }
+
+    dest.forEach((d, i) => {
+        if (!used.has(i)) {
+            summary.extra++;
+            entries.push(entry('extra', null, d));
+        }
+    });
+
+    entries.sort((a, b) => b.timestamp - a.timestamp);
+    return { summary, entries };
+}
+
+function isTrend(trend) {
+    return Number.isInteger(trend) && trend >= 1 && trend <= 7;
+}
+
+function entry(status, source, dest) {
+    return {
+        timestamp: (source || dest).timestamp,
+        status: status,
+        sourceValue: source ? source.value : null,
+        sourceTrend: source ? source.trend : null,
+        destinationValue: dest ? dest.value : null,
+        destinationTrend: dest ? dest.trend : null
+    };
+}
+
+/**
+ * True if any destination differs from the source
+ */
+function hasDifferences(results) {
+    return results.some(pair => pair.destinations.some(d => d.entries && d.entries.length > 0));
+}
+
+/**
+ * Render diff results ({ pair, hours, destinations: [{ name, label, summary, entries, error }] }[])
+ */
+function formatDiff(results, format = 'text') {
+    if (format === 'json') {
+        return JSON.stringify(results, null, 2) + '\n';
+    }
+
+    if (format === 'csv') {
+        const rows = [['pair', 'destination', 'timestamp', 'status', 'source_value', 'source_trend', 'destination_value', 'destination_trend']];
+        for (const pair of results) {
+            for (const dest of pair.destinations) {
+                for (const e of dest.entries || []) {
+                    rows.push([
+                        pair.pair || '', dest.name, e.timestamp.toISOString(), e.status,
+                        e.sourceValue, e.sourceTrend, e.destinationValue, e.destinationTrend
+                    ]);
+                }
+            }
+        }
+        return rows.map(row => row.map(v => (v === null || v === undefined ? '' : v)).join(',')).join('\n') + '\n';
+    }
+
+    const show = (value, trend) => (value === null ? '-' : `${value} ${TREND_ARROWS[trend] || '?'}`);
+    const lines = [];
+    for (const pair of results) {
+        for (const dest of pair.destinations) {
+            const title = [pair.pair, dest.name].filter(Boolean).join('/');
+            lines.push(`${pair.source} vs ${dest.label} (${title}), last ${pair.hours}h:`);
+
+            if (dest.error) {
+                lines.push(`  ERROR: ${dest.error}`, '');
+                continue;
+            }
+
+            if (dest.entries.length > 0) {
+                lines.push(`  ${'TIME'.padEnd(24)}  ${'STATUS'.padEnd(8)}  ${'SOURCE'.padEnd(8)}  DESTINATION`);
+                for (const e of dest.entries) {
+                    lines.push(`  ${e.timestamp.toISOString().padEnd(24)}  ${e.status.padEnd(8)}  ${show(e.sourceValue, e.sourceTrend).padEnd(8)}  ${show(e.destinationValue, e.destinationTrend)}`);
+                }
+            }
+
+            const s = dest.summary;
+            lines.push(`  ${s.matched} matched, ${s.missing} missing, ${s.extra} extra, ${s.valueMismatch} value and ${s.trendMismatch} trend mismatches (${s.source} source, ${s.destination} destination readings)`);
+            if (dest.since) {
+                lines.push(`  Note: ${dest.label} returned its maximum number of readings, only compared from ${dest.since.toISOString()}`);
+            }
+            lines.push('');
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    DIFF_FORMATS,
+    diffReadings,
+    hasDifferences,
+    formatDiff
+};
@@ -0,0 +1,213 @@
+/**
+ * Lib2Dex Health Server
+ *
+ * Optional HTTP server for monitoring the daemon:
+ *   /healthz  200 while syncs are succeeding, 503 once the last successful
+ *             sync is older than `staleIntervals` sync intervals
+ *   /stats    getStats() as JSON
+ *   /metrics  Prometheus text exposition format
+ *
+ * Works with a Syncer (single pair) or a SyncGroup (several pairs).
+ */
+
+const http = require('http');
+const logger = require('./logger');
+
+const log = logger.create('Health');
+
+/**
+ * Format Prometheus labels: { pair: 'a' } -> {pair="a"}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${key}="${escaped}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class HealthServer {
+    /**
+     * @param {Syncer|SyncGroup} target - Anything with getStats() and a source adapter
+     * @param {object} [options]
+     * @param {number} [options.port=8080]
+     * @param {string} [options.host='127.0.0.1']
+     * @param {number} [options.staleIntervals=3] - Missed intervals before /healthz fails
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.port = options.port !== undefined ? options.port : 8080;
+        this.host = options.host || '127.0.0.1';
+        this.staleIntervals = options.staleIntervals || 3;
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        this.server = http.createServer((req, res) => this._handle(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                log.info(`Listening on http://${this.host}:${this.port} (/healthz, /stats, /metrics)`);
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            // Idle keep-alive connections (e.g. from a metrics scraper) would hold close() open
+            if (typeof this.server.closeIdleConnections === 'function') this.server.closeIdleConnections();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Stats for every pair (a Syncer reports one, a SyncGroup several)
+     */
+    _pairStats() {
+        return [].concat(this.target.getStats());
+    }
+
+    /**
+     * Health of every pair, based on the age of its last successful sync
+     */
+    health() {
+        const now = Date.now();
+
+        const pairs = this._pairStats().map(stats => {
+            const since = stats.lastSync || stats.startedAt;
+            const ageSeconds = since ? Math.round((now - since.getTime()) / 1000) : null;
+            const maxAgeSeconds = stats.syncIntervalSeconds * this.staleIntervals;
+
+            return {
+                name: stats.name || 'default',
+                healthy: ageSeconds !== null && ageSeconds <= maxAgeSeconds,
+                lastSync: stats.lastSync,
+                lastSyncAgeSeconds: stats.lastSync ? ageSeconds : null,
+                maxAgeSeconds: maxAgeSeconds,
+                lastError: stats.lastError
+            };
+        });
+
+        return {
+            status: pairs.every(p => p.healthy) ? 'ok' : 'stale',
+            pairs: pairs
+        };
+    }
+
+    /**
+     * Render metrics in Prometheus text format
+     */
+    metrics() {
+        const now = Date.now();
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+            }
+        };
+        const age = date => (date ? (now - date.getTime()) / 1000 : NaN);
+
+        const pairs = this._pairStats();
+        const health = this.health();
+        const dests = [];
+        for (const stats of pairs) {
+            for (const d of stats.destinations) {
+                dests.push([{ pair: stats.name || 'default', destination: d.name }, d]);
+            }
+        }
+        const pairLabel = stats => ({ pair: stats.name || 'default' });
+
+        metric('lib2dex_healthy', 'gauge', '1 if the last successful sync is recent enough, else 0',
+            health.pairs.map(p => [{ pair: p.name }, p.healthy ? 1 : 0]));
+        metric('lib2dex_readings_synced_total', 'counter', 'Readings uploaded to the destination',
+            dests.map(([labels, d]) => [labels, d.totalSynced]));
+        metric('lib2dex_readings_repaired_total', 'counter', 'Missing readings re-uploaded by the reconcile pass',
+            dests.map(([labels, d]) => [labels, d.totalRepaired || 0]));
+        metric('lib2dex_readings_interpolated_total', 'counter', 'Interpolated points uploaded to the destination',
+            dests.map(([labels, d]) => [labels, d.totalInterpolated || 0]));
+        metric('lib2dex_readings_rejected_total', 'counter', 'Source readings left out by the LO/HI and invalid-value policy',
+            pairs.flatMap(s => Object.entries(s.rejectedReadings || {}).map(([reason, n]) => [{ ...pairLabel(s), reason }, n])));
+        metric('lib2dex_sync_errors_total', 'counter', 'Sync cycles that failed or partially failed',
+            pairs.map(s => [pairLabel(s), s.errors]));
+        metric('lib2dex_destination_errors_total', 'counter', 'Failed uploads or logins per destination',
+            dests.map(([labels, d]) => [labels, d.errors]));
+        metric('lib2dex_cloudflare_blocks_total', 'counter', 'Cloudflare blocks or rate limits from the source',
+            [[{}, this.target.source.cloudflareBlocks || 0]]);
+        const circuit = this.target.circuitBreaker ? this.target.circuitBreaker.status() : null;
+        metric('lib2dex_source_paused_seconds', 'gauge', 'Time left in the source cool-down after a block (0 when not paused)',
+            circuit ? [[{}, circuit.openUntil ? Math.max(0, (circuit.openUntil.getTime() - now) / 1000) : 0]] : []);
+        metric('lib2dex_last_reading_age_seconds', 'gauge', 'Age of the newest reading seen at the source',
+            pairs.map(s => [pairLabel(s), age(s.lastReading)]));
+        metric('lib2dex_sensor_age_hours', 'gauge', 'Time since the current sensor was activated',
+            pairs.map(s => [pairLabel(s), s.sensor && s.sensor.ageHours !== null ? s.sensor.ageHours : NaN]));
+        metric('lib2dex_last_sync_age_seconds', 'gauge', 'Time since the last successful sync',
+            pairs.map(s => [pairLabel(s), age(s.lastSync)]));
+        metric('lib2dex_upload_duration_seconds', 'summary', 'Upload request latency',
+            dests.flatMap(([labels, d]) => [
+                [labels, d.uploadSeconds, '_sum'],
+                [labels, d.uploadCount, '_count']
+            ]));
+        metric('lib2dex_last_upload_duration_seconds', 'gauge', 'Latency of the most recent upload',
+            dests.map(([labels, d]) => [labels, d.lastUploadSeconds === null ? NaN : d.lastUploadSeconds]));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Route a request
+     */
+    _handle(req, res) {
+        const route = (req.url || '/').split('?')[0];
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this._send(res, 405, 'text/plain', 'Method Not Allowed\n');
+            return;
+        }
+
+        try {
+            if (route === '/healthz') {
+                const health = this.health();
+                this._send(res, health.status === 'ok' ? 200 : 503, 'application/json', JSON.stringify(health));
+            } else if (route === '/stats') {
+                this._send(res, 200, 'application/json', JSON.stringify(this.target.getStats()));
+            } else if (route === '/metrics') {
+                this._send(res, 200, 'text/plain; version=0.0.4', this.metrics());
+            } else {
+                this._send(res, 404, 'text/plain', 'Not Found\n');
+            }
+        } catch (error) {
+            log.error(`${route}: ${error.message}`);
+            this._send(res, 500, 'text/plain', 'Internal Server Error\n');
+        }
+    }
+
+    /**
+     * Write a response (stats can contain error messages, so they are redacted)
+     */
+    _send(res, status, contentType, body) {
+        const text = logger.redact(body);
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(text),
+            'Cache-Control': 'no-store'
+        });
+        res.end(text);
+    }
+}
+
+module.exports = HealthServer;
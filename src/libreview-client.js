@@ -8,24 +8,85 @@
  * The primary Libre account cannot be used directly.
  */
 
+const http = require('http');
 const https = require('https');
 const zlib = require('zlib');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { agentFor } = require('./proxy-agent');
 
-class LibreViewClient {
-    constructor(email, password, region = '') {
+const log = logger.create('LibreView');
+
+// LibreLinkUp graph data covers roughly the last 12 hours
+const GRAPH_HOURS = 12;
+
+// Offsets are whole quarter hours; anything beyond ±14h means the two timestamps disagree
+const OFFSET_STEP_MINUTES = 15;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+/**
+ * Parse a LibreLinkUp timestamp ("M/D/YYYY h:mm:ss AM", or ISO without an
+ * offset) as wall-clock time: milliseconds read as if it were UTC, or null
+ */
+function parseLibreTimestamp(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))? ?([AP]M)?$/i);
+    if (match) {
+        const [, month, day, year, hour, minute, second, meridiem] = match;
+        let h = parseInt(hour);
+        if (meridiem) h = (h % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        return Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), h, parseInt(minute), parseInt(second || 0));
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(value.trim())) {
+        const ms = Date.parse(`${value.trim()}Z`);
+        return isNaN(ms) ? null : ms;
+    }
+    return null;
+}
+
+/**
+ * Emits 'authenticated' ({ renewed, region, expires }) after each login and
+ * 'rateLimited' ({ status, attempt, maxAttempts, retryInMs }) on Cloudflare blocks.
+ */
+class LibreViewClient extends EventEmitter {
+    /**
+     * @param {string} email
+     * @param {string} password
+     * @param {string} [region] - LibreView region (eu, us, de, ...); detected at login if empty
+     * @param {object} [options]
+     * @param {string} [options.host] - API host, replaces api[-region].libreview.io (e.g. a mock server)
+     * @param {number} [options.port]
+     * @param {string} [options.protocol] - 'https' (default) or 'http'
+     * @param {string} [options.proxy] - Proxy URL, or 'direct' to ignore HTTPS_PROXY
+     * @param {number} [options.maxRetries=3]
+     * @param {number} [options.retryDelayMs=10000] - First backoff after a Cloudflare block
+     * @param {SessionCache} [options.sessionCache] - Reuse the auth ticket across restarts
+     * @param {CircuitBreaker} [options.circuitBreaker] - Pause all requests after a block
+     *   instead of retrying (maxRetries and retryDelayMs then do not apply)
+     */
+    constructor(email, password, region = '', options = {}) {
+        super();
         this.email = email;
         this.password = password;
+        logger.registerSecret(password);
         this.region = region;
         this.token = null;
         this.tokenExpiry = null;
         this.patientId = null;
+        this.patientIds = {};
+        this.sensors = {};
         this.hashedAccountId = null; 
+        this.label = 'LibreView';
 
        
-        this.baseUrl = region
-            ? `api-${region}.libreview.io`
-            : 'api.libreview.io';
+        this.host = options.host || null;
+        this.baseUrl = this._hostFor(region);
+        this.protocol = String(options.protocol || 'https').replace(/:$/, '');
+        this.port = options.port || (this.protocol === 'http' ? 80 : 443);
+        this.proxy = options.proxy || null;
 
        
         this.headers = {
@@ -37,8 +98,78 @@ class LibreViewClient {
         };
 
        
-        this.maxRetries = 3;
-        this.retryDelayMs = 10000; 
+        this.maxRetries = options.maxRetries || 3;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 10000;
+
+        // Number of Cloudflare blocks / rate limits seen (exposed via /metrics)
+        this.cloudflareBlocks = 0;
+
+        this.sessionCache = options.sessionCache || null;
+        this.circuitBreaker = options.circuitBreaker || null;
+
+        // Set once a session exists, so later logins count as renewals
+        this.hadSession = false;
+    }
+
+    /**
+     * API host for a region (a custom host is used for every region)
+     */
+    _hostFor(region) {
+        if (this.host) return this.host;
+        return region ? `api-${region}.libreview.io` : 'api.libreview.io';
+    }
+
+    /**
+     * Session cache key: the account on this API endpoint
+     */
+    _cacheAccount() {
+        return `${this.email}@${this.host || 'libreview.io'}:${this.port}`;
+    }
+
+    /**
+     * Restore a still valid auth ticket from the session cache
+     */
+    _restoreSession() {
+        if (!this.sessionCache) return false;
+
+        const session = this.sessionCache.load('libreview', this._cacheAccount(), this.password);
+        if (!session || !session.token || !(session.tokenExpiry > Date.now())) return false;
+
+        this.token = session.token;
+        logger.registerSecret(this.token);
+        this.tokenExpiry = new Date(session.tokenExpiry);
+        this.hashedAccountId = session.hashedAccountId || null;
+        this.region = session.region || this.region;
+        this.baseUrl = this._hostFor(this.region);
+        this.hadSession = true;
+
+        log.info(`Reusing cached session (region: ${this.region || 'default'}, expires ${this.tokenExpiry.toISOString()})`);
+        return true;
+    }
+
+    /**
+     * Store the current auth ticket in the session cache
+     */
+    _saveSession() {
+        if (!this.sessionCache) return;
+
+        this.sessionCache.save('libreview', this._cacheAccount(), this.password, {
+            token: this.token,
+            tokenExpiry: this.tokenExpiry.getTime(),
+            hashedAccountId: this.hashedAccountId,
+            region: this.region
+        });
+    }
+
+    /**
+     * Forget the current auth ticket, in memory and in the session cache
+     */
+    invalidateSession() {
+        this.token = null;
+        this.tokenExpiry = null;
+        if (this.sessionCache) {
+            this.sessionCache.clear('libreview', this._cacheAccount());
+        }
     }
 
     /**
@@ -75,16 +206,17 @@ class LibreViewClient {
     }
 
     /**
-     * Make an HTTPS request (single attempt)
+     * Make an HTTP(S) request (single attempt)
      */
     _requestOnce(method, path, data = null) {
         return new Promise((resolve, reject) => {
             const options = {
                 hostname: this.baseUrl,
-                port: 443,
+                port: this.port,
                 path: path,
                 method: method,
-                headers: { ...this.headers }
+                headers: { ...this.headers },
+                agent: agentFor(this.proxy, this.protocol, this.baseUrl, this.port)
             };
 
             if (this.token) {
@@ -95,7 +227,10 @@ class LibreViewClient {
                 }
             }
 
-            const req = https.request(options, (res) => {
+            log.debug(`${method} ${this.baseUrl}${path}${options.agent ? ` via ${options.agent.proxy}` : ''}`);
+
+            const transport = this.protocol === 'http' ? http : https;
+            const req = transport.request(options, (res) => {
                 const chunks = [];
                 res.on('data', chunk => chunks.push(chunk));
                 res.on('end', async () => {
@@ -123,6 +258,8 @@ class LibreViewClient {
                         return;
                     }
 
+                    log.trace(`${res.statusCode} ${body.substring(0, 500)}`);
+
                     try {
                         const json = JSON.parse(body);
                         resolve({ status: res.statusCode, data: json, headers: res.headers });
@@ -147,27 +284,60 @@ class LibreViewClient {
     }
 
     /**
-     * Make an HTTPS request with retry logic
+     * Make an HTTP(S) request with retry logic
      */
-    async _request(method, path, data = null) {
+    async _request(method, path, data = null, isAuthRetry = false) {
         let lastError;
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const breaker = this.circuitBreaker;
+            if (breaker) breaker.check();
+
+            let response;
             try {
-                return await this._requestOnce(method, path, data);
+                response = await this._requestOnce(method, path, data);
             } catch (error) {
                 lastError = error;
 
                 if (error.message.startsWith('CLOUDFLARE_BLOCKED')) {
+                    this.cloudflareBlocks++;
+                    const status = parseInt(error.message.split(':')[1]) || null;
+
+                    // Retrying only prolongs a block: open the circuit and fail at once
+                    if (breaker) {
+                        const now = Date.now();
+                        const cooldown = breaker.failure(status ? `HTTP ${status}` : 'blocked', now);
+                        this.emit('rateLimited', { status: status, attempt: 1, maxAttempts: 1, retryInMs: cooldown });
+                        breaker.check(now);
+                    }
                    
                     const delay = this.retryDelayMs * Math.pow(3, attempt - 1);
-                    console.log(`[LibreView] Rate limited (attempt ${attempt}/${this.maxRetries}). Waiting ${Math.round(delay/1000)}s...`);
+                    log.warn(`Rate limited (attempt ${attempt}/${this.maxRetries}). Waiting ${Math.round(delay/1000)}s...`);
+                    this.emit('rateLimited', {
+                        status: status,
+                        attempt: attempt,
+                        maxAttempts: this.maxRetries,
+                        retryInMs: delay
+                    });
                     await this._sleep(delay);
                 } else {
-                   
+                    if (breaker) breaker.release();
                     throw error;
                 }
+                continue;
+            }
+
+            if (breaker) breaker.success();
+
+            // Ticket revoked or expired server-side: log in again once and retry
+            if (response.status === 401 && this.token && !isAuthRetry && path !== '/llu/auth/login') {
+                log.info('Session rejected, logging in again...');
+                this.invalidateSession();
+                await this.authenticate();
+                return this._request(method, path, data, true);
             }
+
+            return response;
         }
 
        
@@ -178,7 +348,7 @@ class LibreViewClient {
      * Authenticate with LibreView
      */
     async authenticate(isRetry = false) {
-        if (!isRetry) console.log('[LibreView] Authenticating...');
+        if (!isRetry) log.info('Authenticating...');
 
         const response = await this._request('POST', '/llu/auth/login', {
             email: this.email,
@@ -188,17 +358,19 @@ class LibreViewClient {
        
         if (response.data.data && response.data.data.redirect) {
             const newRegion = response.data.data.region;
-            this.baseUrl = `api-${newRegion}.libreview.io`;
+            this.baseUrl = this._hostFor(newRegion);
             this.region = newRegion;
            
             return this.authenticate(true);
         }
 
         if (response.data.status !== 0 || !response.data.data || !response.data.data.authTicket) {
+            this.invalidateSession();
             throw new Error(`Authentication failed: ${JSON.stringify(response.data)}`);
         }
 
         this.token = response.data.data.authTicket.token;
+        logger.registerSecret(this.token);
         this.tokenExpiry = new Date(response.data.data.authTicket.expires * 1000);
 
        
@@ -208,7 +380,11 @@ class LibreViewClient {
                 .digest('hex');
         }
 
-        console.log(`[LibreView] OK (region: ${this.region || 'default'})`);
+        this._saveSession();
+
+        log.info(`OK (region: ${this.region || 'default'})`);
+        this.emit('authenticated', { renewed: this.hadSession, region: this.region, expires: this.tokenExpiry });
+        this.hadSession = true;
         return true;
     }
 
@@ -224,7 +400,7 @@ class LibreViewClient {
      * Ensure we have a valid token
      */
     async ensureAuthenticated() {
-        if (!this.isTokenValid()) {
+        if (!this.isTokenValid() && !this._restoreSession()) {
             await this.authenticate();
         }
     }
@@ -247,9 +423,50 @@ class LibreViewClient {
     }
 
     /**
-     * Get patient ID (first connection by default)
+     * Find a connection by patient ID or first/last name (case-insensitive)
      */
-    async getPatientId() {
+    async findConnection(selector) {
+        const connections = await this.getConnections();
+        const wanted = String(selector).trim().toLowerCase();
+
+        const nameOf = c => `${c.firstName || ''} ${c.lastName || ''}`.trim();
+
+       
+        let matches = connections.filter(c =>
+            String(c.patientId).toLowerCase() === wanted || nameOf(c).toLowerCase() === wanted
+        );
+
+       
+        if (matches.length === 0) {
+            matches = connections.filter(c =>
+                (c.firstName || '').toLowerCase() === wanted || (c.lastName || '').toLowerCase() === wanted
+            );
+        }
+
+        if (matches.length === 0) {
+            const available = connections.map(c => `${nameOf(c)} (${c.patientId})`).join(', ') || 'none';
+            throw new Error(`No LibreLinkUp connection matches "${selector}". Available: ${available}`);
+        }
+
+        if (matches.length > 1) {
+            throw new Error(`LibreLinkUp connection "${selector}" is ambiguous (${matches.length} matches). Use the full name or patient ID.`);
+        }
+
+        return matches[0];
+    }
+
+    /**
+     * Get patient ID (first connection by default, or the one matching the selector)
+     */
+    async getPatientId(selector = null) {
+        if (selector) {
+            if (!this.patientIds[selector]) {
+                const connection = await this.findConnection(selector);
+                this.patientIds[selector] = connection.patientId;
+            }
+            return this.patientIds[selector];
+        }
+
         if (this.patientId) return this.patientId;
 
         const connections = await this.getConnections();
@@ -280,15 +497,16 @@ class LibreViewClient {
 
         const data = response.data.data;
         const readings = [];
+        this.sensors[pid] = this._parseSensor(data);
 
        
         if (data.connection && data.connection.glucoseMeasurement) {
             const gm = data.connection.glucoseMeasurement;
             const currentReading = this._formatReading(gm);
-            console.log(`[LibreView] Current: ${currentReading.value} mg/dL @ ${currentReading.timestamp.toISOString()}`);
+            log.info(`Current: ${currentReading.value} mg/dL @ ${currentReading.timestamp.toISOString()}`);
             readings.push(currentReading);
         } else {
-            console.log('[LibreView] Warning: No current glucoseMeasurement!');
+            log.warn('No current glucoseMeasurement!');
         }
 
        
@@ -299,9 +517,98 @@ class LibreViewClient {
         }
 
        
+        return this._dedupeReadings(readings);
+    }
+
+    /**
+     * Sensor details from a graph response: the connection's sensor block,
+     * or else the most recently activated of the active sensors
+     */
+    _parseSensor(data) {
+        const active = (Array.isArray(data.activeSensors) ? data.activeSensors : [])
+            .map(entry => entry && entry.sensor)
+            .filter(Boolean)
+            .sort((a, b) => (b.a || 0) - (a.a || 0));
+        const sensor = (data.connection && data.connection.sensor) || active[0];
+        if (!sensor || !sensor.sn) return null;
+
+        return {
+            serial: String(sensor.sn),
+            activatedAt: typeof sensor.a === 'number' && sensor.a > 0 ? new Date(sensor.a * 1000) : null,
+            warmupMinutes: typeof sensor.w === 'number' ? sensor.w : null,
+            productType: sensor.pt !== undefined ? sensor.pt : null
+        };
+    }
+
+    /**
+     * Get logbook entries for a patient (scans and alarms, reaching further back than the graph)
+     */
+    async getLogbook(patientId = null) {
+        await this.ensureAuthenticated();
+
+        const pid = patientId || await this.getPatientId();
+
+        const response = await this._request('GET', `/llu/connections/${pid}/logbook`);
+
+        if (response.data.status !== 0 || !Array.isArray(response.data.data)) {
+            throw new Error(`Failed to get logbook: ${JSON.stringify(response.data)}`);
+        }
+
+        return response.data.data
+            .filter(entry => entry.ValueInMgPerDl || entry.Value)
+            .map(entry => this._formatReading(entry));
+    }
+
+    /**
+     * Get all available readings from the last N hours (graph plus logbook)
+     */
+    async getGlucoseHistory(hours, patientId = null) {
+        const cutoff = Date.now() - hours * 60 * 60 * 1000;
+
+        const readings = await this.getGlucoseReadings(patientId);
+
+        try {
+            const logbook = await this.getLogbook(patientId);
+            readings.push(...logbook);
+        } catch (error) {
+           
+            log.warn(`Logbook unavailable: ${error.message}`);
+        }
+
+        return this._dedupeReadings(readings.filter(r => r.timestamp.getTime() >= cutoff));
+    }
+
+    /**
+     * Get readings newer than `since` (source adapter interface)
+     * Uses the logbook as well when the window reaches past the graph data.
+     */
+    async getReadingsSince(since, patient = null) {
+        const pid = await this.getPatientId(patient);
+        const minutes = (Date.now() - since.getTime()) / (60 * 1000);
+
+        // Whole minutes: the time this call takes does not push a window of
+        // exactly GRAPH_HOURS onto the logbook
+        const readings = Math.floor(minutes) > GRAPH_HOURS * 60
+            ? await this.getGlucoseHistory(minutes / 60, pid)
+            : await this.getGlucoseReadings(pid);
+
+        return readings.filter(r => r.timestamp >= since);
+    }
+
+    /**
+     * Sensor from the patient's latest graph response, or null (source adapter interface)
+     */
+    async getSensor(patient = null) {
+        const pid = await this.getPatientId(patient);
+        return this.sensors[pid] || null;
+    }
+
+    /**
+     * Sort readings newest first and drop duplicate timestamps
+     */
+    _dedupeReadings(readings) {
         readings.sort((a, b) => b.timestamp - a.timestamp);
 
-       
         const unique = [];
         const seen = new Set();
         for (const r of readings) {
@@ -312,40 +619,54 @@ class LibreViewClient {
             }
         }
 
-       
         return unique;
     }
 
     /**
      * Format a reading to standard format
+     *
+     * FactoryTimestamp is UTC and gives the reading's time. Timestamp is the
+     * phone's wall-clock time without an offset; the difference between the
+     * two is the patient's UTC offset at that reading (`utcOffset`, minutes).
      */
     _formatReading(data) {
-       
-        let timestamp;
-        let rawTs = data.Timestamp || data.FactoryTimestamp;
+        const factory = parseLibreTimestamp(data.FactoryTimestamp);
+        const local = parseLibreTimestamp(data.Timestamp);
 
-        if (rawTs) {
-           
-            timestamp = new Date(rawTs);
-            if (isNaN(timestamp.getTime())) {
-               
-                console.log(`[LibreView] Warning: Invalid timestamp "${rawTs}"`);
-                timestamp = new Date();
+        let timestamp;
+        let utcOffset = null;
+        if (factory !== null) {
+            timestamp = new Date(factory);
+            if (local !== null) {
+                const offset = Math.round((local - factory) / 60000 / OFFSET_STEP_MINUTES) * OFFSET_STEP_MINUTES;
+                if (Math.abs(offset) <= MAX_OFFSET_MINUTES) utcOffset = offset;
             }
+        } else if (local !== null) {
+            // No UTC time: read the wall clock in this machine's time zone
+            const wall = new Date(local);
+            timestamp = new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+                wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+            log.debug(`No FactoryTimestamp, reading "${data.Timestamp}" as local time`);
         } else {
+            if (data.FactoryTimestamp || data.Timestamp) {
+                log.warn(`Invalid timestamp "${data.FactoryTimestamp || data.Timestamp}"`);
+            }
             timestamp = new Date();
         }
 
-       
-        const value = data.ValueInMgPerDl || data.Value || data.value || 0;
+        // No value stays null (validated before upload); isLow/isHigh mark LO and HI readings
+        const value = data.ValueInMgPerDl ?? data.Value ?? data.value ?? null;
 
-       
-        const trend = data.TrendArrow || data.trendArrow || 4;
+        // Graph and logbook points have no arrow; the syncer estimates one
+        const trend = data.TrendArrow || data.trendArrow || null;
 
         return {
             value: value,
             trend: trend,
             timestamp: timestamp,
+            utcOffset: utcOffset,
+            isLow: data.isLow === true,
+            isHigh: data.isHigh === true,
             source: 'libreview'
         };
     }
@@ -353,24 +674,26 @@ class LibreViewClient {
     /**
      * Get latest reading only
      */
-    async getLatestReading() {
-        const readings = await this.getGlucoseReadings();
+    async getLatestReading(patientId = null) {
+        const readings = await this.getGlucoseReadings(patientId);
         return readings.length > 0 ? readings[0] : null;
     }
 
     /**
      * Test connection
      */
-    async testConnection() {
+    async testConnection(selector = null) {
         try {
             await this.authenticate();
             const connections = await this.getConnections();
-            const reading = await this.getLatestReading();
+            const patientId = await this.getPatientId(selector);
+            const reading = await this.getLatestReading(patientId);
 
             return {
                 success: true,
                 region: this.region,
                 connections: connections.length,
+                patientId: patientId,
                 latestReading: reading
             };
         } catch (error) {
@@ -383,3 +706,5 @@ class LibreViewClient {
 }
 
 module.exports = LibreViewClient;
+module.exports.GRAPH_HOURS = GRAPH_HOURS;
+module.exports.parseLibreTimestamp = parseLibreTimestamp;
@@ -0,0 +1,130 @@
+/**
+ * Lib2Dex Logger
+ *
+ * Shared leveled logger (error, warn, info, debug, trace) with plain text
+ * or JSON-lines output. Every message is redacted before it is written:
+ * emails are masked, and passwords, tokens, session IDs and bearer
+ * credentials are replaced, including any secret registered at runtime.
+ */
+
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3,
+    trace: 4
+};
+
+const FORMATS = ['text', 'json'];
+
+// Patterns for credentials that may appear in request paths or API responses
+const REDACTIONS = [
+    [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, '$1[REDACTED]'],
+    [/("?(?:password|passwd|secret|api[-_]?secret|token|sessionId|accountId|authorization)"?\s*[:=]\s*"?)([^"&,\s}]+)/gi, '$1[REDACTED]'],
+    [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[REDACTED]'],
+    [/([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g, '$1***@$2']
+];
+
+const settings = {
+    level: LEVELS.info,
+    format: 'text',
+    timestamps: true
+};
+
+const secrets = new Set();
+
+/**
+ * Configure level, output format and timestamps for all loggers
+ */
+function configure(options = {}) {
+    if (options.level !== undefined) {
+        const level = String(options.level).toLowerCase();
+        if (!(level in LEVELS)) {
+            throw new Error(`Invalid log level "${options.level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+        }
+        settings.level = LEVELS[level];
+    }
+
+    if (options.format !== undefined) {
+        const format = String(options.format).toLowerCase();
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid log format "${options.format}" (expected one of: ${FORMATS.join(', ')})`);
+        }
+        settings.format = format;
+    }
+
+    if (options.timestamps !== undefined) {
+        settings.timestamps = Boolean(options.timestamps);
+    }
+}
+
+/**
+ * Register a value (password, token, session ID) that must never be logged
+ */
+function registerSecret(value) {
+    if (typeof value === 'string' && value.length >= 4) {
+        secrets.add(value);
+    }
+}
+
+/**
+ * Remove credentials from a string
+ */
+function redact(text) {
+    let result = String(text);
+
+    for (const secret of secrets) {
+        result = result.split(secret).join('[REDACTED]');
+    }
+
+    for (const [pattern, replacement] of REDACTIONS) {
+        result = result.replace(pattern, replacement);
+    }
+
+    return result;
+}
+
+/**
+ * Write one log record
+ */
+function write(levelName, scope, message, fields) {
+    if (LEVELS[levelName] > settings.level) return;
+
+    const stream = LEVELS[levelName] <= LEVELS.warn ? process.stderr : process.stdout;
+    const time = new Date().toISOString();
+    const msg = redact(message);
+
+    if (settings.format === 'json') {
+        const record = { time, level: levelName, scope, msg };
+        if (fields) {
+            Object.assign(record, JSON.parse(redact(JSON.stringify(fields))));
+        }
+        stream.write(JSON.stringify(record) + '\n');
+        return;
+    }
+
+    const prefix = settings.timestamps ? `${time} ` : '';
+    const extra = fields ? ` ${redact(JSON.stringify(fields))}` : '';
+    stream.write(`${prefix}${levelName.toUpperCase().padEnd(5)} [${scope}] ${msg}${extra}\n`);
+}
+
+/**
+ * Create a logger for a scope (e.g. "Sync", "Dexcom")
+ */
+function create(scope) {
+    const logger = {};
+    for (const levelName of Object.keys(LEVELS)) {
+        logger[levelName] = (message, fields) => write(levelName, scope, message, fields);
+    }
+    logger.isEnabled = levelName => LEVELS[levelName] <= settings.level;
+    return logger;
+}
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    configure,
+    registerSecret,
+    redact,
+    create
+};
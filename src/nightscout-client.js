@@ -0,0 +1,265 @@
+/**
+ * Nightscout API Client
+ *
+ * Uploads glucose readings to a Nightscout site via /api/v1/entries.
+ * Supports API-SECRET (sent as SHA1 hash) and access token authentication.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { agentFor } = require('./proxy-agent');
+const { LIBRE_TO_DEXCOM_TREND } = require('./dexcom-client');
+
+const log = logger.create('Nightscout');
+
+// Nightscout direction names, indexed by Dexcom numeric trend (1=rising fast ... 7=falling fast)
+const NIGHTSCOUT_DIRECTIONS = {
+    1: 'DoubleUp',
+    2: 'SingleUp',
+    3: 'FortyFiveUp',
+    4: 'Flat',
+    5: 'FortyFiveDown',
+    6: 'SingleDown',
+    7: 'DoubleDown'
+};
+
+class NightscoutClient {
+    /**
+     * @param {string} url - Nightscout site URL
+     * @param {string} [apiSecret]
+     * @param {string} [token] - Access token, instead of the API secret
+     * @param {object} [options]
+     * @param {string} [options.proxy] - Proxy URL, or 'direct' to ignore HTTPS_PROXY
+     */
+    constructor(url, apiSecret = null, token = null, options = {}) {
+        this.url = new URL(url);
+        this.proxy = options.proxy || null;
+        this.apiSecretHash = apiSecret
+            ? crypto.createHash('sha1').update(apiSecret).digest('hex')
+            : null;
+        this.token = token;
+        logger.registerSecret(apiSecret);
+        logger.registerSecret(this.apiSecretHash);
+        logger.registerSecret(token);
+        this.serialNumber = null;
+        this.authenticated = false;
+        this.label = 'Nightscout';
+    }
+
+    /**
+     * Stable site identifier (used to derive the device serial)
+     */
+    get accountKey() {
+        return this.url.host;
+    }
+
+    /**
+     * Make an HTTP(S) request to the Nightscout site
+     */
+    _request(method, path, data = null) {
+        return new Promise((resolve, reject) => {
+            const transport = this.url.protocol === 'http:' ? http : https;
+
+            const basePath = this.url.pathname.replace(/\/$/, '');
+            let fullPath = `${basePath}${path}`;
+            if (this.token) {
+                fullPath += `${fullPath.includes('?') ? '&' : '?'}token=${encodeURIComponent(this.token)}`;
+            }
+
+            const port = this.url.port || (transport === http ? 80 : 443);
+            const options = {
+                hostname: this.url.hostname,
+                port: port,
+                path: fullPath,
+                method: method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'User-Agent': 'lib2dex'
+                },
+                agent: agentFor(this.proxy, transport === http ? 'http' : 'https', this.url.hostname, port)
+            };
+
+            if (this.apiSecretHash) {
+                options.headers['API-SECRET'] = this.apiSecretHash;
+            }
+
+            log.debug(`${method} ${this.url.host}${fullPath}`);
+
+            const req = transport.request(options, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => {
+                    log.trace(`${res.statusCode} ${body.substring(0, 500)}`);
+                    try {
+                        if (!body || body.trim() === '') {
+                            resolve({ status: res.statusCode, data: null });
+                            return;
+                        }
+                        resolve({ status: res.statusCode, data: JSON.parse(body) });
+                    } catch (e) {
+                        resolve({ status: res.statusCode, data: body });
+                    }
+                });
+            });
+
+            req.on('error', reject);
+
+            if (data) {
+                req.write(JSON.stringify(data));
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Check that the site is reachable and the credentials are accepted
+     */
+    async authenticate() {
+        const response = await this._request('GET', '/api/v1/verifyauth');
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error(`Nightscout authentication failed (${response.status})`);
+        }
+
+        if (response.status !== 200) {
+            throw new Error(`Nightscout not reachable: ${response.status} ${JSON.stringify(response.data)}`);
+        }
+
+        const message = response.data && response.data.message;
+        if (message && message.canWrite === false) {
+            throw new Error('Nightscout credentials are not allowed to upload entries (check API_SECRET or token role)');
+        }
+
+        this.authenticated = true;
+        log.info(`OK (${this.url.host})`);
+        return true;
+    }
+
+    /**
+     * Ensure the site was checked at least once
+     */
+    async ensureAuthenticated() {
+        if (!this.authenticated) {
+            await this.authenticate();
+        }
+    }
+
+    /**
+     * Set the device identifier used for uploaded entries
+     */
+    setSerialNumber(serialNumber) {
+        this.serialNumber = serialNumber;
+    }
+
+    /**
+     * Nightscout has no receiver registration; kept for interface parity with DexcomClient
+     */
+    async registerReceiver() {
+        return true;
+    }
+
+    /**
+     * Upload glucose readings as sgv entries
+     */
+    async uploadReadings(readings) {
+        await this.ensureAuthenticated();
+
+        if (!readings || readings.length === 0) {
+            log.info('No readings to upload');
+            return { uploaded: 0, skipped: 0 };
+        }
+
+        const entries = readings.map(r => this._formatForNightscout(r));
+
+        log.info(`Upload: ${entries[0].sgv} mg/dL @ ${entries[0].dateString}`);
+
+        const response = await this._request('POST', '/api/v1/entries', entries);
+
+        if (response.status === 401 || response.status === 403) {
+            this.authenticated = false;
+            throw new Error(`Nightscout rejected upload (${response.status}): check API_SECRET or token`);
+        }
+
+        if (response.status !== 200) {
+            throw new Error(`Failed to upload entries: ${response.status} ${JSON.stringify(response.data)}`);
+        }
+
+        return { uploaded: entries.length, skipped: 0 };
+    }
+
+    /**
+     * Format a reading as a Nightscout sgv entry
+     */
+    _formatForNightscout(reading) {
+        const dt = reading.timestamp instanceof Date ? reading.timestamp : new Date(reading.timestamp);
+
+        let trend = 4;
+        if (typeof reading.trend === 'number') {
+            trend = LIBRE_TO_DEXCOM_TREND[reading.trend] || 4;
+        }
+
+        return {
+            type: 'sgv',
+            sgv: reading.value,
+            date: dt.getTime(),
+            dateString: dt.toISOString(),
+            utcOffset: Number.isInteger(reading.utcOffset) ? reading.utcOffset : undefined,
+            trend: trend,
+            direction: NIGHTSCOUT_DIRECTIONS[trend],
+            device: this.serialNumber ? `lib2dex-${this.serialNumber}` : 'lib2dex',
+            interpolated: reading.interpolated === true ? true : undefined
+        };
+    }
+
+    /**
+     * Read latest entries as normalized readings ({ value, trend, timestamp })
+     */
+    async readLatestReadings(count = 1, minutes = 10) {
+        await this.ensureAuthenticated();
+
+        const since = Date.now() - minutes * 60 * 1000;
+        const response = await this._request(
+            'GET',
+            `/api/v1/entries/sgv.json?count=${count}&${encodeURIComponent('find[date][$gte]')}=${since}`
+        );
+
+        if (response.status !== 200) {
+            throw new Error(`Failed to read entries: ${response.status} ${JSON.stringify(response.data)}`);
+        }
+
+        return (Array.isArray(response.data) ? response.data : []).map(e => ({
+            value: e.sgv,
+            trend: e.direction || e.trend,
+            timestamp: new Date(e.date)
+        }));
+    }
+
+    /**
+     * Test connection
+     */
+    async testConnection() {
+        try {
+            await this.authenticate();
+
+            const readings = await this.readLatestReadings(1, 1440);
+
+            return {
+                success: true,
+                url: this.url.origin,
+                hasData: readings.length > 0,
+                latestValue: readings.length > 0 ? readings[0] : null
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = NightscoutClient;
+module.exports.NIGHTSCOUT_DIRECTIONS = NIGHTSCOUT_DIRECTIONS;
@@ -0,0 +1,352 @@
+/**
+ * Lib2Dex Proxy Agent
+ *
+ * Routes the API clients' requests through a proxy, using only Node's
+ * built-in modules. Every request is tunnelled: the agent opens a
+ * connection to the proxy, asks it for a tunnel to the API host, and runs
+ * TLS (for https) over that tunnel, so the proxy never sees the traffic.
+ *
+ *   http://[user:pass@]host:port     HTTP proxy (CONNECT)
+ *   https://[user:pass@]host:port    HTTP proxy reached over TLS (CONNECT)
+ *   socks5://[user:pass@]host:port   SOCKS5, host names resolved locally
+ *   socks5h://[user:pass@]host:port  SOCKS5, host names resolved by the proxy
+ *
+ * A client's own proxy setting wins; without one, HTTPS_PROXY / HTTP_PROXY
+ * / ALL_PROXY from the environment apply, except to hosts in NO_PROXY.
+ * The setting 'direct' ignores the environment.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+const PROTOCOLS = ['http:', 'https:', 'socks:', 'socks5:', 'socks5h:'];
+
+const CONNECT_TIMEOUT_MS = 30 * 1000;
+
+// Largest CONNECT response header accepted from a proxy
+const MAX_HEADER_BYTES = 16 * 1024;
+
+const SOCKS_ERRORS = {
+    1: 'general failure',
+    2: 'connection not allowed by ruleset',
+    3: 'network unreachable',
+    4: 'host unreachable',
+    5: 'connection refused',
+    6: 'TTL expired',
+    7: 'command not supported',
+    8: 'address type not supported'
+};
+
+/**
+ * Parse and check a proxy URL (throws on an unsupported one)
+ */
+function parseProxy(value) {
+    const url = new URL(String(value));
+    if (!PROTOCOLS.includes(url.protocol)) {
+        throw new Error(`Unsupported proxy protocol ${url.protocol} (use http, https, socks5 or socks5h)`);
+    }
+    if (!url.hostname) {
+        throw new Error('Proxy URL has no host');
+    }
+
+    const socks = url.protocol.startsWith('socks');
+    return {
+        url: url,
+        type: socks ? 'socks5' : 'http',
+        secure: url.protocol === 'https:',
+        remoteDns: url.protocol !== 'socks5:',
+        host: url.hostname.replace(/^\[|\]$/g, ''),
+        port: parseInt(url.port) || (socks ? 1080 : url.protocol === 'https:' ? 443 : 80),
+        username: decodeURIComponent(url.username),
+        password: decodeURIComponent(url.password)
+    };
+}
+
+/**
+ * Proxy URL with the password hidden, for logs
+ */
+function describeProxy(value) {
+    try {
+        const url = new URL(String(value));
+        if (url.password) url.password = '***';
+        return url.toString().replace(/\/$/, '');
+    } catch (e) {
+        return String(value);
+    }
+}
+
+/**
+ * True if NO_PROXY (comma or space separated host names, domain suffixes
+ * like .example.com, optional :port, or *) covers the host
+ */
+function matchesNoProxy(noProxy, hostname, port) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    return String(noProxy || '').split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+
+        const match = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+        const domain = match[1].replace(/^\*?\./, '').replace(/^\[|\]$/g, '');
+        if (match[2] && parseInt(match[2]) !== Number(port)) return false;
+
+        return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Proxy URL for a request, or null to connect directly
+ *
+ * @param {string|null} proxy - Client setting: a proxy URL, 'direct', or null to use the environment
+ * @param {string} protocol - 'http' or 'https' (the API's protocol)
+ * @param {string} hostname - API host
+ * @param {number} port - API port
+ * @param {object} [env=process.env]
+ */
+function proxyFor(proxy, protocol, hostname, port, env = process.env) {
+    if (proxy === 'direct') return null;
+    if (proxy) return proxy;
+
+    const variable = name => env[name] || env[name.toLowerCase()] || null;
+    const fromEnv = (protocol === 'http' ? variable('HTTP_PROXY') : variable('HTTPS_PROXY')) || variable('ALL_PROXY');
+    if (!fromEnv || matchesNoProxy(variable('NO_PROXY'), hostname, port)) return null;
+
+    return fromEnv;
+}
+
+/**
+ * Read from a paused socket until `size(buffer)` (the length of a complete
+ * reply, or null while incomplete) is satisfied; extra bytes are put back
+ */
+function readReply(socket, size) {
+    return new Promise((resolve, reject) => {
+        let buffer = Buffer.alloc(0);
+
+        const cleanup = () => {
+            socket.removeListener('readable', onReadable);
+            socket.removeListener('error', onError);
+            socket.removeListener('end', onEnd);
+        };
+        const onReadable = () => {
+            let chunk;
+            while ((chunk = socket.read()) !== null) {
+                buffer = Buffer.concat([buffer, chunk]);
+            }
+
+            let length;
+            try {
+                length = size(buffer);
+            } catch (error) {
+                cleanup();
+                reject(error);
+                return;
+            }
+            if (length === null || buffer.length < length) return;
+
+            cleanup();
+            if (buffer.length > length) socket.unshift(buffer.subarray(length));
+            resolve(buffer.subarray(0, length));
+        };
+        const onError = error => {
+            cleanup();
+            reject(error);
+        };
+        const onEnd = () => {
+            cleanup();
+            reject(new Error('proxy closed the connection'));
+        };
+
+        socket.on('readable', onReadable);
+        socket.on('error', onError);
+        socket.on('end', onEnd);
+    });
+}
+
+/**
+ * Ask an HTTP proxy for a tunnel with CONNECT
+ */
+async function httpTunnel(socket, proxy, host, port) {
+    const target = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+    const lines = [`CONNECT ${target} HTTP/1.1`, `Host: ${target}`];
+    if (proxy.username || proxy.password) {
+        const credentials = Buffer.from(`${proxy.username}:${proxy.password}`).toString('base64');
+        lines.push(`Proxy-Authorization: Basic ${credentials}`);
+    }
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+
+    const reply = await readReply(socket, buffer => {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end !== -1) return end + 4;
+        if (buffer.length > MAX_HEADER_BYTES) throw new Error('proxy sent an oversized CONNECT response');
+        return null;
+    });
+
+    const status = reply.toString('latin1').split('\r\n')[0];
+    const code = parseInt((status.match(/^HTTP\/\d(?:\.\d)? (\d{3})/) || [])[1]);
+    if (code !== 200) {
+        throw new Error(`proxy refused the tunnel to ${target}: ${status || 'no status line'}`);
+    }
+}
+
+/**
+ * Open a SOCKS5 tunnel (RFC 1928), with username/password authentication (RFC 1929) if given
+ */
+async function socksTunnel(socket, proxy, host, port) {
+    const auth = Boolean(proxy.username || proxy.password);
+    socket.write(Buffer.from(auth ? [5, 2, 0, 2] : [5, 1, 0]));
+
+    const [, method] = await readReply(socket, () => 2);
+    if (method === 2 && auth) {
+        const user = Buffer.from(proxy.username);
+        const pass = Buffer.from(proxy.password);
+        socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+
+        const [, status] = await readReply(socket, () => 2);
+        if (status !== 0) throw new Error('SOCKS proxy rejected the username or password');
+    } else if (method !== 0) {
+        throw new Error(auth
+            ? 'SOCKS proxy accepted none of the offered authentication methods'
+            : 'SOCKS proxy requires a username and password');
+    }
+
+    let address = host;
+    if (!proxy.remoteDns && !net.isIP(host)) {
+        address = (await dns.promises.lookup(host)).address;
+    }
+
+    let destination;
+    if (net.isIPv4(address)) {
+        destination = Buffer.from([1, ...address.split('.').map(Number)]);
+    } else if (net.isIPv6(address)) {
+        destination = Buffer.concat([Buffer.from([4]), ipv6Bytes(address)]);
+    } else {
+        const name = Buffer.from(address);
+        destination = Buffer.concat([Buffer.from([3, name.length]), name]);
+    }
+    const portBytes = Buffer.from([port >> 8, port & 0xff]);
+    socket.write(Buffer.concat([Buffer.from([5, 1, 0]), destination, portBytes]));
+
+    await readReply(socket, buffer => {
+        if (buffer.length < 5) return null;
+        if (buffer[1] !== 0) {
+            throw new Error(`SOCKS proxy could not connect to ${host}:${port}: ${SOCKS_ERRORS[buffer[1]] || `error ${buffer[1]}`}`);
+        }
+        const addressLength = { 1: 4, 3: 1 + buffer[4], 4: 16 }[buffer[3]];
+        if (!addressLength) throw new Error(`SOCKS proxy sent an unknown address type ${buffer[3]}`);
+        return 4 + addressLength + 2;
+    });
+}
+
+function ipv6Bytes(address) {
+    const [head, tail = ''] = address.split('::');
+    const groups = part => (part ? part.split(':') : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const all = groups(head).concat(Array(address.includes('::') ? missing : 0).fill('0'), groups(tail));
+
+    const bytes = Buffer.alloc(16);
+    all.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+    return bytes;
+}
+
+/**
+ * Connect to the proxy and open a tunnel to host:port; resolves with the tunnel socket
+ */
+function openTunnel(proxy, host, port) {
+    return new Promise((resolve, reject) => {
+        const options = { host: proxy.host, port: proxy.port };
+        const socket = proxy.secure
+            ? tls.connect({ ...options, servername: net.isIP(proxy.host) ? undefined : proxy.host })
+            : net.connect(options);
+
+        const timer = setTimeout(() => {
+            socket.destroy(new Error(`proxy ${proxy.host}:${proxy.port} did not answer in ${CONNECT_TIMEOUT_MS / 1000}s`));
+        }, CONNECT_TIMEOUT_MS);
+        const fail = error => {
+            clearTimeout(timer);
+            socket.destroy();
+            reject(error);
+        };
+
+        socket.once(proxy.secure ? 'secureConnect' : 'connect', async () => {
+            try {
+                if (proxy.type === 'socks5') {
+                    await socksTunnel(socket, proxy, host, port);
+                } else {
+                    await httpTunnel(socket, proxy, host, port);
+                }
+                clearTimeout(timer);
+                socket.removeListener('error', fail);
+                resolve(socket);
+            } catch (error) {
+                fail(error);
+            }
+        });
+        socket.once('error', fail);
+    });
+}
+
+/**
+ * Create an agent for http.request / https.request that tunnels through a proxy
+ *
+ * @param {string} proxyUrl - Proxy URL (see the module comment)
+ * @param {string} [protocol='https'] - The API's protocol: 'https' runs TLS over the tunnel
+ */
+function createProxyAgent(proxyUrl, protocol = 'https') {
+    const proxy = parseProxy(proxyUrl);
+    const Base = protocol === 'http' ? http.Agent : https.Agent;
+
+    class ProxyAgent extends Base {
+        createConnection(options, callback) {
+            const host = options.hostname || options.host;
+            const port = Number(options.port) || (protocol === 'http' ? 80 : 443);
+
+            openTunnel(proxy, host, port).then(socket => {
+                if (protocol === 'http') {
+                    callback(null, socket);
+                    return;
+                }
+
+                callback(null, tls.connect({
+                    ...options,
+                    host: host,
+                    port: port,
+                    socket: socket,
+                    servername: options.servername || (net.isIP(host) ? undefined : host)
+                }));
+            }, error => callback(new Error(`Proxy ${describeProxy(proxyUrl)}: ${error.message}`)));
+        }
+    }
+
+    const agent = new ProxyAgent();
+    agent.proxy = describeProxy(proxyUrl);
+    return agent;
+}
+
+const agents = new Map();
+
+/**
+ * Agent for a request, or undefined to connect directly (see proxyFor).
+ * Agents are shared per proxy and protocol.
+ */
+function agentFor(proxy, protocol, hostname, port, env = process.env) {
+    const proxyUrl = proxyFor(proxy, protocol, hostname, port, env);
+    if (!proxyUrl) return undefined;
+
+    const key = `${protocol} ${proxyUrl}`;
+    if (!agents.has(key)) {
+        agents.set(key, createProxyAgent(proxyUrl, protocol));
+    }
+    return agents.get(key);
+}
+
+module.exports = {
+    PROTOCOLS,
+    parseProxy,
+    describeProxy,
+    matchesNoProxy,
+    proxyFor,
+    createProxyAgent,
+    agentFor
+};
@@ -0,0 +1,146 @@
+/**
+ * Lib2Dex Reading Validator
+ *
+ * Classifies source readings before they are uploaded and applies the
+ * configured policy to the ones Dexcom Share cannot show as a number:
+ *   low      below 40 mg/dL, or no value with LibreLinkUp's isLow flag (LO)
+ *   high     above 400 mg/dL, or no value with the isHigh flag (HI)
+ *   missing  no value at all
+ *   zero     a value of 0
+ *   invalid  not a finite number (NaN, strings)
+ *
+ * Policies: 'code' sends Dexcom's special value (39 for LOW, 401 for HIGH,
+ * 9 for an unreadable value, shown as ???), 'clamp' sends the nearest value
+ * in range (low/high only), and 'skip' leaves the reading out.
+ */
+
+const logger = require('./logger');
+
+const log = logger.create('Validate');
+
+const MIN_VALUE = 40;
+const MAX_VALUE = 400;
+
+// Dexcom special glucose values
+const DEXCOM_CODES = { low: 39, high: 401, invalid: 9 };
+
+const REASONS = ['low', 'high', 'missing', 'zero', 'invalid'];
+
+const POLICIES = {
+    low: ['code', 'clamp', 'skip'],
+    high: ['code', 'clamp', 'skip'],
+    invalid: ['skip', 'code']
+};
+
+// Readings stay in the sync window this long; remember them a little longer so each is counted once
+const SEEN_MS = 25 * 60 * 60 * 1000;
+
+/**
+ * Classify a reading: 'ok', or one of REASONS
+ */
+function classifyReading(reading) {
+    const value = reading.value;
+
+    if (value === null || value === undefined || value === 0) {
+        if (reading.isLow) return 'low';
+        if (reading.isHigh) return 'high';
+        return value === 0 ? 'zero' : 'missing';
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'invalid';
+    if (value < MIN_VALUE) return 'low';
+    if (value > MAX_VALUE) return 'high';
+    return 'ok';
+}
+
+class ReadingValidator {
+    /**
+     * @param {object} [policy]
+     * @param {string} [policy.low='code'] - code, clamp or skip
+     * @param {string} [policy.high='code'] - code, clamp or skip
+     * @param {string} [policy.invalid='skip'] - skip or code (missing, zero and invalid values)
+     * @param {string} [name] - Pair name, for logs
+     */
+    constructor(policy = {}, name = null) {
+        this.configure(policy);
+        this.log = name ? logger.create(`Validate:${name}`) : log;
+
+        this.rejected = Object.fromEntries(REASONS.map(r => [r, 0]));
+        this.adjusted = Object.fromEntries(REASONS.map(r => [r, 0]));
+        this.seen = new Map();
+    }
+
+    /**
+     * Set the policy (also on a config reload); counters are kept
+     */
+    configure(policy = {}) {
+        this.policy = {
+            low: policy.low || 'code',
+            high: policy.high || 'code',
+            invalid: policy.invalid || 'skip'
+        };
+    }
+
+    /**
+     * Apply the policy to readings (newest first). Returns the readings to
+     * upload; changed readings are copies with `original` set to the source value.
+     */
+    apply(readings, now = Date.now()) {
+        const result = [];
+
+        for (const reading of readings) {
+            const reason = classifyReading(reading);
+            if (reason === 'ok') {
+                result.push(reading);
+                continue;
+            }
+
+            const action = this.policy[reason === 'low' || reason === 'high' ? reason : 'invalid'];
+            const first = this._firstSeen(reading, now);
+
+            if (action === 'skip') {
+                if (first) {
+                    this.rejected[reason]++;
+                    this.log.warn(`Skipping ${describe(reading, reason)}`);
+                }
+                continue;
+            }
+
+            const value = action === 'clamp'
+                ? (reason === 'low' ? MIN_VALUE : MAX_VALUE)
+                : DEXCOM_CODES[reason === 'low' || reason === 'high' ? reason : 'invalid'];
+            if (first) {
+                this.adjusted[reason]++;
+                this.log.info(`Sending ${describe(reading, reason)} as ${value}`);
+            }
+            result.push({ ...reading, value: value, original: reading.value });
+        }
+
+        this._prune(now);
+        return result;
+    }
+
+    _firstSeen(reading, now) {
+        const key = reading.timestamp.getTime();
+        if (this.seen.has(key)) return false;
+        this.seen.set(key, now);
+        return true;
+    }
+
+    _prune(now) {
+        for (const [key, at] of this.seen) {
+            if (now - at > SEEN_MS) this.seen.delete(key);
+        }
+    }
+}
+
+function describe(reading, reason) {
+    const labels = { low: 'LO', high: 'HI', missing: 'missing', zero: 'zero', invalid: 'invalid' };
+    const value = reading.value === undefined ? '' : ` (${reading.value})`;
+    return `${labels[reason]} reading${value} at ${reading.timestamp.toISOString()}`;
+}
+
+module.exports = ReadingValidator;
+module.exports.REASONS = REASONS;
+module.exports.POLICIES = POLICIES;
+module.exports.DEXCOM_CODES = DEXCOM_CODES;
+module.exports.classifyReading = classifyReading;
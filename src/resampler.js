@@ -0,0 +1,163 @@
+/**
+ * Lib2Dex Resampler
+ *
+ * Normalizes source readings to the 5-minute cadence Dexcom Share
+ * followers expect. Readings are grouped into 5-minute slots (aligned to
+ * the clock, e.g. 12:00-12:05):
+ *   pick     keeps the first reading of each slot, so a slot's reading
+ *            never changes once it has been uploaded
+ *   average  averages each slot, once a later slot has started (the
+ *            current slot is held back until it is complete)
+ * Slots with one reading (Libre 2, 5-minute data) pass through unchanged;
+ * with readings less than a slot apart, the current slot waits for more.
+ *
+ * With interpolation, gaps of up to 15 minutes between real readings
+ * (LibreLinkUp's graph history) are filled with linearly interpolated
+ * points marked `interpolated: true`. They only go into empty slots, so
+ * they never replace a real reading.
+ *
+ * Readings the validator coded or clamped (LO, HI, unreadable; they carry
+ * `original`) are not glucose values: they are never averaged or
+ * interpolated; with `average`, a slot that has one uploads it unchanged.
+ *
+ * A slot the destination already has a reading for (`uploaded`) gets no
+ * other: LibreLinkUp reports one minute per poll, so without this each
+ * poll would fill the same slot again.
+ */
+
+const { trendForRate } = require('./trend-estimator');
+
+const MINUTE = 60 * 1000;
+const SLOT_MS = 5 * MINUTE;
+
+// Longest gap filled by interpolation (a little over 15 minutes, for clock jitter)
+const MAX_INTERPOLATED_GAP_MS = 16 * MINUTE;
+
+const RESAMPLE_MODES = ['off', 'pick', 'average'];
+
+const slotOf = reading => Math.floor(reading.timestamp.getTime() / SLOT_MS);
+
+// Coded or clamped by the reading validator
+const isAdjusted = reading => 'original' in reading;
+
+/**
+ * Whether readings (newest first) come more often than one per slot (Libre 3)
+ */
+function fasterThanSlots(readings) {
+    return readings.some((r, i) => i > 0 && readings[i - 1].timestamp - r.timestamp < SLOT_MS * 0.9);
+}
+
+/**
+ * Group readings (newest first) into slots, oldest slot first
+ */
+function slots(readings) {
+    const groups = new Map();
+    for (const reading of readings.slice().reverse()) {
+        const slot = slotOf(reading);
+        if (!groups.has(slot)) groups.set(slot, []);
+        groups.get(slot).push(reading);
+    }
+    return Array.from(groups.entries()).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * A slot's average, or its first coded or clamped reading unchanged
+ */
+function averageOf(group) {
+    const adjusted = group.find(isAdjusted);
+    if (adjusted) return adjusted;
+
+    const last = group[group.length - 1];
+    const values = group.map(r => r.value).filter(v => typeof v === 'number' && Number.isFinite(v));
+    if (values.length === 0) return last;
+
+    return {
+        ...last,
+        value: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+        averaged: group.length
+    };
+}
+
+/**
+ * Points every SLOT_MS between two real readings (oldest first), in slots neither occupies
+ */
+function interpolate(older, newer, occupied) {
+    const start = older.timestamp.getTime();
+    const span = newer.timestamp.getTime() - start;
+    if (span <= SLOT_MS || span > MAX_INTERPOLATED_GAP_MS) return [];
+
+    const rate = (newer.value - older.value) / (span / MINUTE);
+    const points = [];
+    for (let t = start + SLOT_MS; newer.timestamp.getTime() - t >= SLOT_MS / 2; t += SLOT_MS) {
+        const slot = Math.floor(t / SLOT_MS);
+        if (occupied.has(slot)) continue;
+
+        points.push({
+            ...older,
+            value: Math.round(older.value + rate * (t - start) / MINUTE),
+            trend: trendForRate(rate),
+            timestamp: new Date(t),
+            interpolated: true
+        });
+        occupied.add(slot);
+    }
+    return points;
+}
+
+/**
+ * Resample readings (newest first) and return them newest first
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode='off'] - off, pick or average
+ * @param {boolean} [options.interpolate=false] - Fill gaps of up to 15 minutes
+ * @param {Iterable<number>} [options.uploaded] - Times (ms) of readings the
+ *        destination already has; their slots get no other reading
+ */
+function resampleReadings(readings, options = {}) {
+    const mode = options.mode || 'off';
+    if (readings.length === 0 || (mode === 'off' && !options.interpolate)) return readings;
+
+    const uploaded = new Set(Array.from(options.uploaded || [], time => Math.floor(time / SLOT_MS)));
+
+    let result;
+    if (mode === 'off') {
+        result = readings.slice().reverse();
+    } else {
+        const groups = slots(readings);
+        const lastSlot = groups[groups.length - 1][0];
+        const holdCurrent = mode === 'average' && fasterThanSlots(readings);
+        result = [];
+        for (const [slot, group] of groups) {
+            if (group.length === 1 && !(holdCurrent && slot === lastSlot)) {
+                result.push(group[0]);
+            } else if (mode === 'pick') {
+                result.push(group[0]);
+            } else if (slot !== lastSlot) {
+                result.push(averageOf(group));
+            }
+        }
+    }
+
+    if (options.interpolate) {
+        const real = result.filter(r => typeof r.value === 'number' && Number.isFinite(r.value));
+        const occupied = new Set([...uploaded, ...result.map(slotOf)]);
+        const filled = [];
+        for (let i = 0; i < real.length - 1; i++) {
+            if (isAdjusted(real[i]) || isAdjusted(real[i + 1])) continue;
+            filled.push(...interpolate(real[i], real[i + 1], occupied));
+        }
+        result = result.concat(filled).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Real readings in uploaded slots still anchored the interpolation above
+    if (mode !== 'off') {
+        result = result.filter(r => r.interpolated || !uploaded.has(slotOf(r)));
+    }
+
+    return result.reverse();
+}
+
+module.exports = {
+    RESAMPLE_MODES,
+    resampleReadings
+};
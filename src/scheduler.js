@@ -0,0 +1,152 @@
+/**
+ * Lib2Dex Poll Scheduler
+ *
+ * Decides when the daemon polls the source next. Instead of a fixed
+ * interval it predicts the sensor's next measurement from the latest
+ * reading (every minute for Libre 3, every 5 or 15 minutes otherwise)
+ * and polls shortly after it is due, backing off while no new data
+ * arrives. SYNC_INTERVAL_MINUTES is the longest it ever waits.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Measurement intervals a sensor can report at, shortest first
+const CADENCES = [1 * MINUTE, 5 * MINUTE, 15 * MINUTE];
+
+// How many recent timestamp gaps the cadence estimate is based on
+const CADENCE_SAMPLES = 6;
+
+/**
+ * Hands out poll times at least minSpacingMs apart. One spacer can be
+ * shared by several schedulers polling the same source account.
+ */
+class PollSpacer {
+    constructor(minSpacingMs) {
+        this.minSpacingMs = minSpacingMs;
+        this.reserved = [];
+    }
+
+    /**
+     * Reserve the earliest free slot at or after `at` (ms since epoch)
+     */
+    reserve(at, now = Date.now()) {
+        this.reserved = this.reserved.filter(t => t > now - this.minSpacingMs);
+
+        let slot = at;
+        for (const t of [...this.reserved].sort((a, b) => a - b)) {
+            if (slot > t - this.minSpacingMs && slot < t + this.minSpacingMs) {
+                slot = t + this.minSpacingMs;
+            }
+        }
+
+        this.reserved.push(slot);
+        return slot;
+    }
+}
+
+class PollScheduler {
+    /**
+     * @param {object} options
+     * @param {number} options.maxIntervalMs - Longest wait between polls (SYNC_INTERVAL_MINUTES)
+     * @param {boolean} [options.adaptive=true] - false polls every maxIntervalMs
+     * @param {number} [options.minSpacingMs=60000] - Shortest wait between polls
+     * @param {number} [options.lagMs=20000] - How long after a measurement it shows up in LibreLinkUp
+     * @param {PollSpacer} [options.spacer] - Shared spacing across pairs using one source
+     */
+    constructor(options) {
+        this.configure(options);
+        this.lagMs = options.lagMs !== undefined ? options.lagMs : 20 * 1000;
+        this.spacer = options.spacer || new PollSpacer(this.minSpacingMs);
+
+        this.lastReading = null;
+        this.cadenceMs = null;
+        this.gaps = [];
+        this.misses = 0;
+        this.nextPoll = null;
+    }
+
+    /**
+     * Apply maxIntervalMs, adaptive and minSpacingMs (also on a config reload),
+     * keeping the cadence learned so far
+     */
+    configure(options) {
+        this.maxIntervalMs = options.maxIntervalMs;
+        this.adaptive = options.adaptive !== false;
+        this.minSpacingMs = Math.min(options.minSpacingMs || MINUTE, this.maxIntervalMs);
+        if (this.spacer) this.spacer.minSpacingMs = this.minSpacingMs;
+    }
+
+    /**
+     * Record the readings returned by a poll (newest first)
+     */
+    observe(readings) {
+        const latest = readings.length > 0 ? readings[0].timestamp : null;
+
+        if (!latest || (this.lastReading && latest <= this.lastReading)) {
+            this.misses++;
+            return false;
+        }
+
+        const gaps = [];
+        if (this.lastReading) {
+            gaps.push(latest - this.lastReading);
+        }
+        for (let i = 1; i < Math.min(readings.length, CADENCE_SAMPLES); i++) {
+            gaps.push(readings[i - 1].timestamp - readings[i].timestamp);
+        }
+
+        this.gaps = gaps.concat(this.gaps).filter(g => g > 0).slice(0, CADENCE_SAMPLES);
+        this.cadenceMs = this.gaps.length > 0 ? snapCadence(Math.min(...this.gaps)) : null;
+        this.lastReading = latest;
+        this.misses = 0;
+        return true;
+    }
+
+    /**
+     * Record a failed poll, so errors back off like missing data
+     */
+    failed() {
+        this.misses++;
+    }
+
+    /**
+     * Milliseconds to wait before the next poll
+     */
+    nextDelay(now = Date.now()) {
+        let delay = this.maxIntervalMs;
+
+        if (this.adaptive && this.lastReading && this.cadenceMs) {
+            // Next measurement that will have reached LibreLinkUp after now
+            const elapsed = now - this.lastReading.getTime() - this.lagMs;
+            const due = this.lastReading.getTime() + this.lagMs +
+                Math.max(1, Math.ceil(elapsed / this.cadenceMs)) * this.cadenceMs;
+            delay = due - now;
+
+            // Nothing new last time: the sensor may be warming up or out of range
+            if (this.misses > 0) {
+                delay = Math.max(delay, this.cadenceMs * Math.pow(2, this.misses - 1));
+            }
+
+            delay = Math.min(Math.max(delay, this.minSpacingMs), this.maxIntervalMs);
+            this.nextPoll = new Date(this.spacer.reserve(now + delay, now));
+        } else {
+            this.nextPoll = new Date(now + delay);
+        }
+
+        return this.nextPoll.getTime() - now;
+    }
+}
+
+/**
+ * Round an observed gap down to the nearest known measurement interval
+ */
+function snapCadence(gapMs) {
+    let cadence = CADENCES[0];
+    for (const c of CADENCES) {
+        if (gapMs >= c * 0.9) cadence = c;
+    }
+    return cadence;
+}
+
+module.exports = PollScheduler;
+module.exports.PollSpacer = PollSpacer;
@@ -0,0 +1,174 @@
+/**
+ * Lib2Dex Sensor Tracker
+ *
+ * Follows the sensor behind a source's readings: its serial and activation
+ * time (from LibreLinkUp's connection data), replacements, and where it is
+ * in its life:
+ *   unknown  the source reports no sensor
+ *   warmup   the first hour after activation, no readings yet
+ *   active   reporting readings
+ *   ending   less than a day left
+ *   expired  past its lifetime (14 days by default)
+ *
+ * It also finds signal-loss periods, stretches of more than 20 minutes
+ * without a reading (the Libre app's signal loss alarm), in the readings
+ * of each sync. The gap around a sensor change is not signal loss.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_WARMUP_MINUTES = 60;
+const DEFAULT_LIFETIME_DAYS = 14;
+
+// A sensor is 'ending' this long before it expires
+const ENDING_MS = 24 * HOUR;
+
+// Longer gaps between readings are signal loss
+const SIGNAL_LOSS_MS = 20 * MINUTE;
+
+// Signal-loss periods are kept (for stats) this long after they end
+const HISTORY_MS = 24 * HOUR;
+
+const SENSOR_STATES = ['unknown', 'warmup', 'active', 'ending', 'expired'];
+
+// What to do with the virtual receiver when a new sensor starts
+const SENSOR_CHANGE_ACTIONS = ['none', 'register', 'rotate'];
+
+// A reading the sensor measured: a glucose value, or LO/HI without one
+const hasValue = reading => reading.isLow === true || reading.isHigh === true ||
+    (typeof reading.value === 'number' && Number.isFinite(reading.value) && reading.value > 0);
+
+class SensorTracker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.lifetimeDays=14] - Sensor wear time
+     */
+    constructor(options = {}) {
+        this.configure(options);
+
+        this.sensor = null;
+        this.state = 'unknown';
+        this.changes = 0;
+        this.signalLosses = [];
+        this.signalLostSince = null;
+    }
+
+    /**
+     * Set the lifetime (also on a config reload)
+     */
+    configure(options = {}) {
+        this.lifetimeMs = (options.lifetimeDays || DEFAULT_LIFETIME_DAYS) * 24 * HOUR;
+    }
+
+    /**
+     * Record the source's current sensor ({ serial, activatedAt, warmupMinutes },
+     * or null) and the readings of a sync (newest first). Returns what is new:
+     * { first, changed, previous, stateChanged, previousState, signalLosses, signalLost }
+     */
+    update(sensor, readings, now = Date.now()) {
+        const result = {
+            first: false,
+            changed: false,
+            previous: null,
+            stateChanged: false,
+            previousState: this.state,
+            signalLosses: [],
+            signalLost: null
+        };
+
+        if (sensor && sensor.serial) {
+            if (!this.sensor) {
+                result.first = true;
+            } else if (this.sensor.serial !== sensor.serial) {
+                result.changed = true;
+                result.previous = this.sensor;
+                this.changes++;
+            }
+            this.sensor = sensor;
+        }
+
+        this.state = this.stateAt(now);
+        result.stateChanged = this.state !== result.previousState;
+
+        const times = readings.filter(hasValue).map(r => r.timestamp.getTime());
+        for (let i = 0; i < times.length - 1; i++) {
+            const period = this._signalLoss(times[i + 1], times[i]);
+            if (period) {
+                this.signalLosses.push(period);
+                result.signalLosses.push(period);
+            }
+        }
+        this.signalLosses.sort((a, b) => a.from - b.from);
+        this.signalLosses = this.signalLosses.filter(p => now - p.to.getTime() <= HISTORY_MS);
+
+        const waiting = this.state === 'warmup' || this.state === 'expired';
+        if (times.length > 0 && now - times[0] > SIGNAL_LOSS_MS && !waiting) {
+            if (!this.signalLostSince || this.signalLostSince.getTime() !== times[0]) {
+                this.signalLostSince = new Date(times[0]);
+                result.signalLost = this.signalLostSince;
+            }
+        } else {
+            this.signalLostSince = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * A new signal-loss period between two reading times, or null
+     */
+    _signalLoss(from, to) {
+        if (to - from <= SIGNAL_LOSS_MS) return null;
+        if (this.signalLosses.some(p => p.from.getTime() === from)) return null;
+
+        const activated = this.sensor && this.sensor.activatedAt ? this.sensor.activatedAt.getTime() : null;
+        if (activated !== null && activated >= from && activated <= to) return null;
+
+        return { from: new Date(from), to: new Date(to), minutes: Math.round((to - from) / MINUTE) };
+    }
+
+    _warmupMs() {
+        const minutes = this.sensor.warmupMinutes;
+        return (typeof minutes === 'number' && minutes >= 0 ? minutes : DEFAULT_WARMUP_MINUTES) * MINUTE;
+    }
+
+    /**
+     * State of the current sensor at a given time
+     */
+    stateAt(now = Date.now()) {
+        if (!this.sensor || !this.sensor.activatedAt) return 'unknown';
+
+        const age = now - this.sensor.activatedAt.getTime();
+        if (age < this._warmupMs()) return 'warmup';
+        if (age >= this.lifetimeMs) return 'expired';
+        if (age >= this.lifetimeMs - ENDING_MS) return 'ending';
+        return 'active';
+    }
+
+    /**
+     * Sensor details for stats
+     */
+    status(now = Date.now()) {
+        const sensor = this.sensor;
+        const activatedAt = sensor && sensor.activatedAt ? sensor.activatedAt : null;
+
+        return {
+            serial: sensor ? sensor.serial : null,
+            productType: sensor && sensor.productType !== undefined ? sensor.productType : null,
+            activatedAt: activatedAt,
+            warmupEndsAt: activatedAt ? new Date(activatedAt.getTime() + this._warmupMs()) : null,
+            expiresAt: activatedAt ? new Date(activatedAt.getTime() + this.lifetimeMs) : null,
+            ageHours: activatedAt ? Math.round((now - activatedAt.getTime()) / HOUR * 10) / 10 : null,
+            state: this.stateAt(now),
+            changes: this.changes,
+            signalLostSince: this.signalLostSince,
+            signalLosses: this.signalLosses.slice()
+        };
+    }
+}
+
+module.exports = SensorTracker;
+module.exports.SENSOR_STATES = SENSOR_STATES;
+module.exports.SENSOR_CHANGE_ACTIONS = SENSOR_CHANGE_ACTIONS;
+module.exports.SIGNAL_LOSS_MS = SIGNAL_LOSS_MS;
@@ -0,0 +1,145 @@
+/**
+ * Lib2Dex Session Cache
+ *
+ * Keeps LibreView and Dexcom Share sessions on disk so a restarted process
+ * reuses them instead of logging in again (repeated logins are what trigger
+ * Cloudflare 1015 blocks). Each entry is encrypted with AES-256-GCM using a
+ * key derived from the account's password, so the file is useless without
+ * the credentials, and a changed password simply invalidates the entry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { writeJsonFile } = require('./state-file');
+
+const log = logger.create('Sessions');
+
+const CACHE_VERSION = 1;
+const CACHE_FILE = 'sessions.json';
+const ALGORITHM = 'aes-256-gcm';
+
+class SessionCache {
+    constructor(stateDir) {
+        this.stateDir = stateDir;
+        this.filePath = path.join(stateDir, CACHE_FILE);
+    }
+
+    /**
+     * Entry ID for an account (hashed, so the file does not reveal usernames)
+     */
+    _entryId(kind, account) {
+        return crypto.createHash('sha256')
+            .update(`${kind}:${String(account).toLowerCase()}`)
+            .digest('hex');
+    }
+
+    /**
+     * Read all entries (missing or corrupt files are treated as empty)
+     */
+    _read() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn(`Could not read ${this.filePath}: ${error.message}`);
+            }
+            return {};
+        }
+
+        try {
+            const state = JSON.parse(raw);
+            return state && typeof state.entries === 'object' && state.entries !== null ? state.entries : {};
+        } catch (error) {
+            log.warn(`Ignoring corrupt session cache ${this.filePath}`);
+            return {};
+        }
+    }
+
+    /**
+     * Write all entries atomically
+     */
+    _write(entries) {
+        const state = {
+            version: CACHE_VERSION,
+            updatedAt: new Date().toISOString(),
+            entries: entries
+        };
+
+        writeJsonFile(this.filePath, state);
+    }
+
+    /**
+     * Load a cached session, or null if there is none or it cannot be decrypted
+     */
+    load(kind, account, secret) {
+        const id = this._entryId(kind, account);
+        const entry = this._read()[id];
+        if (!entry) return null;
+
+        try {
+            const key = crypto.scryptSync(String(secret), Buffer.from(entry.salt, 'base64'), 32);
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(entry.iv, 'base64'));
+            decipher.setAAD(Buffer.from(id));
+            decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+
+            const data = Buffer.concat([
+                decipher.update(Buffer.from(entry.data, 'base64')),
+                decipher.final()
+            ]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            log.debug(`Cached ${kind} session could not be decrypted, ignoring it`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a session (a failed write is logged, never thrown)
+     */
+    save(kind, account, secret, session) {
+        const id = this._entryId(kind, account);
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = crypto.scryptSync(String(secret), salt, 32);
+
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(id));
+        const data = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+
+        try {
+            const entries = this._read();
+            entries[id] = {
+                kind: kind,
+                savedAt: new Date().toISOString(),
+                salt: salt.toString('base64'),
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            };
+            this._write(entries);
+        } catch (error) {
+            log.warn(`Could not save session cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a cached session (after an auth error)
+     */
+    clear(kind, account) {
+        const id = this._entryId(kind, account);
+
+        try {
+            const entries = this._read();
+            if (!entries[id]) return;
+            delete entries[id];
+            this._write(entries);
+        } catch (error) {
+            log.warn(`Could not update session cache: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SessionCache;
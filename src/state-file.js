@@ -0,0 +1,41 @@
+/**
+ * Lib2Dex State Files
+ *
+ * Writes the JSON state kept in STATE_DIR (sync journals, session cache,
+ * circuit breakers). A crash or power loss leaves either the old file or
+ * the new one, never a truncated mix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a value as JSON atomically (temp file + fsync + rename), readable
+ * by the owner only. Creates the directory if needed; throws on errors.
+ */
+function writeJsonFile(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        const fd = fs.openSync(tmpPath, 'w', 0o600);
+        try {
+            fs.writeSync(fd, JSON.stringify(value));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        try {
+            fs.unlinkSync(tmpPath);
+        } catch (unlinkError) {
+            // Never created, or already renamed
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    writeJsonFile
+};
@@ -0,0 +1,290 @@
+/**
+ * Lib2Dex Sync Group
+ *
+ * Runs several LibreLinkUp connection -> Dexcom Share pairs in one
+ * process. All pairs share a single source login, and their polling
+ * is staggered across the sync interval. A pair that cannot start (its
+ * Dexcom account, its patient) does not hold back the others.
+ */
+
+const Syncer = require('./syncer');
+const SessionCache = require('./session-cache');
+const { PollSpacer } = require('./scheduler');
+const { createSource, createSourceBreaker } = require('./adapters');
+const logger = require('./logger');
+
+const log = logger.create('Group');
+
+// Configuration of one pair: the shared settings plus its PAIR_<n>_* values
+const pairConfig = (config, pair) => ({ ...config, pairs: undefined, destinations: undefined, ...pair });
+
+class SyncGroup {
+    constructor(config) {
+        const stateDir = config.stateDir || Syncer.DEFAULT_STATE_DIR;
+        this.sessionCache = config.cacheSessions === false ? null : new SessionCache(stateDir);
+        this.circuitBreaker = createSourceBreaker(config, stateDir);
+        this.source = createSource({ ...config, sessionCache: this.sessionCache, circuitBreaker: this.circuitBreaker });
+
+        // Pairs poll the same LibreLinkUp account, so their requests share one spacing
+        this.pollSpacer = new PollSpacer((config.minPollSeconds || 60) * 1000);
+
+        this.syncers = config.pairs.map(pair => new Syncer(
+            pairConfig(config, pair),
+            {
+                source: this.source,
+                sessionCache: this.sessionCache,
+                pollSpacer: this.pollSpacer,
+                circuitBreaker: this.circuitBreaker
+            }
+        ));
+
+        this.syncInterval = Math.min(...this.syncers.map(s => s.syncInterval));
+        this.stopped = false;
+        this.startupRetryMs = Syncer.STARTUP_RETRY_MS;
+        this.wake = () => {};
+
+        // Pairs that started, and why the others could not
+        this.ready = new Set();
+        this.failures = new Map();
+    }
+
+    /**
+     * Initialize the pairs that are not ready yet (the shared source
+     * authenticates only once). A pair that fails is logged and left out;
+     * throws only if no pair is ready, or if the source is paused.
+     */
+    async initialize() {
+        for (const syncer of this.syncers) {
+            if (this.ready.has(syncer)) continue;
+
+            log.info(`Pair: ${syncer.name}`);
+            try {
+                await syncer.initialize();
+                this.ready.add(syncer);
+                this.failures.delete(syncer);
+            } catch (error) {
+                // A paused source holds back every pair alike
+                if (error.code === 'CIRCUIT_OPEN') throw error;
+                log.error(`Pair ${syncer.name} could not start: ${error.message}`);
+                this.failures.set(syncer, error);
+            }
+        }
+
+        if (this.ready.size === 0) {
+            throw this.failures.values().next().value;
+        }
+    }
+
+    /**
+     * Retry a pair that could not start, then start its sync loop
+     */
+    async _startWhenReady(syncer) {
+        syncer.stopped = false;
+        syncer.startupRetryMs = this.startupRetryMs;
+        await Syncer.initializeUntilReady(syncer, syncer._log('Daemon'), this.failures.get(syncer));
+        if (this.stopped || syncer.stopped) return;
+
+        this.ready.add(syncer);
+        this.failures.delete(syncer);
+        syncer.startSyncLoop(0);
+    }
+
+    /**
+     * Run in daemon mode with staggered polling per pair
+     */
+    async runDaemon() {
+        this.stopped = false;
+        await Syncer.initializeUntilReady(this, log);
+        if (this.stopped) return;
+
+        const stagger = Math.floor(this.syncInterval / this.syncers.length);
+        log.info(`Running ${this.syncers.length} pairs, ${Math.round(stagger / 1000)}s apart... (Ctrl+C to stop)`);
+
+        this.syncers.forEach((syncer, i) => {
+            if (this.ready.has(syncer)) {
+                syncer.startSyncLoop(i * stagger);
+            } else {
+                this._startWhenReady(syncer);
+            }
+        });
+    }
+
+    /**
+     * Stop every pair's sync loop
+     */
+    stop() {
+        this.stopped = true;
+        this.syncers.forEach(syncer => syncer.stop());
+        this.wake();
+    }
+
+    /**
+     * Stop gracefully: every pair finishes its sync in progress (up to
+     * timeoutMs) and saves its journals. Resolves to false if any timed out.
+     */
+    async shutdown(timeoutMs = 10000) {
+        this.stopped = true;
+        const finished = await Promise.all(this.syncers.map(syncer => syncer.shutdown(timeoutMs)));
+        return finished.every(Boolean);
+    }
+
+    /**
+     * Apply a reloaded configuration to each pair, matched by name. Adding,
+     * removing or renaming pairs needs a restart; resolves to the names of
+     * changed settings that do.
+     */
+    async reload(config) {
+        const restart = new Set();
+        const names = pairs => pairs.map(pair => pair.name).join('\n');
+        if (names(config.pairs) !== names(this.syncers)) {
+            restart.add('PAIR_<n>_*');
+        }
+
+        for (const syncer of this.syncers) {
+            const pair = config.pairs.find(p => p.name === syncer.name);
+            if (!pair) continue;
+            for (const name of await syncer.reload(pairConfig(config, pair))) {
+                restart.add(name);
+            }
+        }
+
+        this.syncInterval = Math.min(...this.syncers.map(s => s.syncInterval));
+        return Array.from(restart);
+    }
+
+    /**
+     * Run a single sync for every pair
+     */
+    async runOnce() {
+        await this.initialize();
+
+        const results = [];
+        for (const syncer of this.syncers) {
+            if (!this.ready.has(syncer)) {
+                results.push({ synced: 0, skipped: 0, error: this.failures.get(syncer).message });
+                continue;
+            }
+            try {
+                results.push(await syncer.sync());
+            } catch (error) {
+                results.push({ synced: 0, skipped: 0, error: error.message });
+            }
+        }
+
+        log.info('Single sync completed');
+        return results;
+    }
+
+    /**
+     * Run a historical backfill for every pair
+     */
+    async runBackfill(hours) {
+        await this.initialize();
+
+        const results = [];
+        for (const syncer of this.syncers) {
+            log.info(`Pair: ${syncer.name}`);
+            if (!this.ready.has(syncer)) {
+                results.push({ found: 0, uploaded: 0, error: this.failures.get(syncer).message });
+                continue;
+            }
+            try {
+                results.push(await syncer.backfill(hours));
+            } catch (error) {
+                results.push({ found: 0, uploaded: 0, error: error.message });
+            }
+        }
+
+        log.info('Backfill completed');
+        return results;
+    }
+
+    /**
+     * Test the shared LibreView login and every pair's patient and Dexcom account
+     */
+    async testConnections() {
+        log.info('Lib2Dex - Connection Test');
+
+        const sourceLabel = this.source.label || 'source';
+        log.info(`Testing ${sourceLabel} connection...`);
+        const sourceResult = await this.source.testConnection();
+
+        if (sourceResult.success) {
+            log.info(`${sourceLabel}: OK`);
+            if ('region' in sourceResult) log.info(`  - Region: ${sourceResult.region || 'auto'}`);
+            if ('connections' in sourceResult) log.info(`  - Connections: ${sourceResult.connections}`);
+        } else {
+            log.error(`${sourceLabel}: FAILED - ${sourceResult.error}`);
+        }
+
+        const pairs = [];
+        for (const syncer of this.syncers) {
+            log.info(`Pair: ${syncer.name}`);
+
+            let patientOk = sourceResult.success;
+            if (sourceResult.success && syncer.patientSelector && typeof this.source.getPatientId === 'function') {
+                try {
+                    const patientId = await this.source.getPatientId(syncer.patientSelector);
+                    log.info(`  - Patient: ${syncer.patientSelector} (${patientId})`);
+                } catch (error) {
+                    log.error(`  - Patient: FAILED - ${error.message}`);
+                    patientOk = false;
+                }
+            }
+
+            const destinations = [];
+            for (const dest of syncer.destinations) {
+                const result = await dest.client.testConnection();
+                if (result.success) {
+                    log.info(`  - ${dest.label}: OK (has data: ${result.hasData})`);
+                } else {
+                    log.error(`  - ${dest.label}: FAILED - ${result.error}`);
+                }
+                destinations.push({ name: dest.name, ...result });
+            }
+
+            pairs.push({ name: syncer.name, patientOk, destinations });
+        }
+
+        return {
+            source: sourceResult,
+            // Key from before sources were pluggable
+            libreview: sourceResult,
+            pairs: pairs,
+            allOk: sourceResult.success && pairs.every(p => p.patientOk && p.destinations.every(d => d.success))
+        };
+    }
+
+    /**
+     * Verify uploaded data for every pair
+     */
+    async verify() {
+        let allOk = true;
+        for (const syncer of this.syncers) {
+            log.info(`Pair: ${syncer.name}`);
+            const ok = await syncer.verify();
+            allOk = allOk && ok;
+        }
+        return allOk;
+    }
+
+    /**
+     * Compare source and destinations for every pair
+     */
+    async diff(hours) {
+        const results = [];
+        for (const syncer of this.syncers) {
+            results.push(await syncer.diff(hours));
+        }
+        return results;
+    }
+
+    /**
+     * Get statistics for every pair
+     */
+    getStats() {
+        return this.syncers.map(s => s.getStats());
+    }
+}
+
+module.exports = SyncGroup;
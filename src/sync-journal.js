@@ -0,0 +1,143 @@
+/**
+ * Lib2Dex Sync Journal
+ *
+ * Persists the timestamps of readings already uploaded to Dexcom Share,
+ * so a restarted daemon resumes where it left off instead of re-posting
+ * the most recent readings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { writeJsonFile } = require('./state-file');
+
+const log = logger.create('Journal');
+
+const JOURNAL_VERSION = 1;
+
+class SyncJournal {
+    constructor(stateDir, name = 'default') {
+        this.stateDir = stateDir;
+        const safeName = String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+        this.filePath = path.join(stateDir, `journal-${safeName}.json`);
+        this.timestamps = new Set();
+        this.retentionMs = 0;
+        this.retainUntil = 0;
+    }
+
+    /**
+     * Load the journal from disk (missing or corrupt files start empty)
+     */
+    load() {
+        this.timestamps = new Set();
+        this.retentionMs = 0;
+        this.retainUntil = 0;
+
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn(`Could not read ${this.filePath}: ${error.message}`);
+            }
+            return this;
+        }
+
+        try {
+            const state = JSON.parse(raw);
+            if (Array.isArray(state.timestamps)) {
+                for (const ts of state.timestamps) {
+                    if (typeof ts === 'number' && isFinite(ts)) {
+                        this.timestamps.add(ts);
+                    }
+                }
+            }
+            if (typeof state.retentionMs === 'number' && state.retentionMs > 0) {
+                // Older journals have no end for the window, count it from their last save
+                const retainUntil = typeof state.retainUntil === 'number'
+                    ? state.retainUntil
+                    : Date.parse(state.updatedAt) + state.retentionMs;
+                if (retainUntil > 0) {
+                    this.retentionMs = state.retentionMs;
+                    this.retainUntil = retainUntil;
+                }
+            }
+        } catch (error) {
+            log.warn(`Ignoring corrupt journal ${this.filePath}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Write the journal atomically
+     */
+    save() {
+        const state = {
+            version: JOURNAL_VERSION,
+            updatedAt: new Date().toISOString(),
+            timestamps: Array.from(this.timestamps).sort((a, b) => a - b)
+        };
+        if (this.retention() > 0) {
+            state.retentionMs = this.retentionMs;
+            state.retainUntil = this.retainUntil;
+        }
+
+        writeJsonFile(this.filePath, state);
+    }
+
+    /**
+     * Check whether a reading timestamp (ms) was already synced
+     */
+    has(timestamp) {
+        return this.timestamps.has(timestamp);
+    }
+
+    /**
+     * Record a synced reading timestamp (ms)
+     */
+    add(timestamp) {
+        this.timestamps.add(timestamp);
+    }
+
+    /**
+     * Keep entries for at least this long (ms), e.g. the window of a backfill,
+     * so a later run over the same window finds them. The window runs out
+     * once the entries it was widened for are older than it.
+     */
+    retain(ms, now = Date.now()) {
+        this.retentionMs = Math.max(this.retention(now), ms);
+        this.retainUntil = Math.max(this.retainUntil, now + ms);
+    }
+
+    /**
+     * The retention window (ms) still in force, 0 once it has run out
+     */
+    retention(now = Date.now()) {
+        if (this.retentionMs > 0 && now >= this.retainUntil) {
+            this.retentionMs = 0;
+            this.retainUntil = 0;
+        }
+        return this.retentionMs;
+    }
+
+    /**
+     * Remove entries older than the cutoff (ms), returns the number removed
+     */
+    prune(cutoff) {
+        let removed = 0;
+        for (const ts of this.timestamps) {
+            if (ts < cutoff) {
+                this.timestamps.delete(ts);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    get size() {
+        return this.timestamps.size;
+    }
+}
+
+module.exports = SyncJournal;
@@ -2,57 +2,327 @@
  * Lib2Dex Syncer
  *
  * Orchestrates the synchronization of glucose readings
- * from LibreView to Dexcom Share.
+ * from a source adapter (LibreView by default) to one or more
+ * destination adapters (Dexcom Share by default).
+ *
+ * Events (every payload carries `pair`, the pair name or null):
+ *   reading             { reading }  a reading newer than any seen before, oldest first
+ *   uploaded            { destination, count, readings, durationSeconds }
+ *   verified            { destination, latest, stored }
+ *   verificationFailed  { destination, latest, stored }
+ *   authRenewed         { service, destination }  a session was renewed by logging in again
+ *   rateLimited         { service, destination, status, retryInMs }
+ *   sensorChanged       { previous, sensor }  a new sensor replaced the previous one
+ *   sensorState         { state, previousState, sensor }  warmup, active, ending or expired
+ *   signalLost          { since }  no reading for more than 20 minutes
+ *   signalRestored      { from, to, minutes }  a signal-loss period in the readings
+ *   error               { phase, destination, error }  only emitted if there is a listener;
+ *                       phase is 'connect', 'source', 'upload' or 'reconcile'
+ * `service` is 'source' or 'destination'; `destination` is the destination name or null.
  */
 
-const LibreViewClient = require('./libreview-client');
-const DexcomClient = require('./dexcom-client');
+const os = require('os');
+const EventEmitter = require('events');
+const path = require('path');
+const { MAX_READ_MINUTES, MAX_READ_COUNT, dexcomTrendToLibre } = require('./dexcom-client');
+const { GRAPH_HOURS } = require('./libreview-client');
+const { createSource, createSourceBreaker, createDestination } = require('./adapters');
+const SyncJournal = require('./sync-journal');
+const SessionCache = require('./session-cache');
+const PollScheduler = require('./scheduler');
+const { diffReadings } = require('./diff');
+const AlertManager = require('./alerts');
+const ReadingValidator = require('./reading-validator');
+const { estimateTrends } = require('./trend-estimator');
+const { resampleReadings } = require('./resampler');
+const { timezoneOffset } = require('./timezone');
+const SensorTracker = require('./sensor-tracker');
+const logger = require('./logger');
 
-class Syncer {
-    constructor(config) {
-       
-        this.libreClient = new LibreViewClient(
-            config.libreEmail,
-            config.librePassword,
-            config.libreRegion || ''
-        );
+// Default location for persistent state (sync journal)
+const DEFAULT_STATE_DIR = path.join(os.homedir(), '.lib2dex');
+
+// How far back sync() looks: the LibreLinkUp graph, one request per poll
+// (the logbook is only read by backfill and reconcile)
+const SYNC_WINDOW_MS = GRAPH_HOURS * 60 * 60 * 1000;
+
+// How long journal entries are kept
+const JOURNAL_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// How long readings from earlier polls are kept for resampling
+const POLL_MEMORY_MS = 60 * 60 * 1000;
+
+// Wait after a failed daemon start, doubling with each failure up to the maximum
+const STARTUP_RETRY_MS = 2 * 60 * 1000;
+const STARTUP_RETRY_MAX_MS = 15 * 60 * 1000;
+
+// Settings reload() cannot apply to a running Syncer, and their names
+const RESTART_SETTINGS = {
+    sourceType: 'SOURCE_TYPE',
+    sourceOptions: 'SOURCE_OPTIONS',
+    libreEmail: 'SOURCE_EMAIL',
+    librePassword: 'SOURCE_PASSWORD',
+    libreRegion: 'SOURCE_REGION',
+    sourceApiUrl: 'SOURCE_API_URL',
+    sourceProxy: 'SOURCE_PROXY',
+    sourceCooldownMinutes: 'SOURCE_COOLDOWN_MINUTES',
+    sourceCooldownMaxMinutes: 'SOURCE_COOLDOWN_MAX_MINUTES',
+    stateDir: 'STATE_DIR',
+    cacheSessions: 'SESSION_CACHE'
+};
+
+// Settings that make up a destination: reload() keeps destinations whose values are unchanged
+const DESTINATION_KEYS = [
+    'destType', 'destName', 'destOptions', 'dexcomUsername', 'dexcomPassword', 'dexcomRegion',
+    'nightscoutUrl', 'nightscoutApiSecret', 'nightscoutToken', 'apiUrl', 'proxy', 'serialNumber'
+];
+
+const orNull = value => (value === undefined ? null : value);
+const sameValue = (a, b) => JSON.stringify(orNull(a)) === JSON.stringify(orNull(b));
+const destinationKey = destConfig => JSON.stringify(DESTINATION_KEYS.map(key => orNull(destConfig[key])));
+
+/**
+ * Call target.initialize() until it succeeds instead of failing the daemon:
+ * an open source circuit is waited out, and other errors (network, a
+ * LibreView 5xx, every destination down) are retried after
+ * target.startupRetryMs, doubling each time. `error`, a failure that
+ * already happened, is waited out before the first attempt. Returns early
+ * once target.stopped is set; target.wake() ends a wait.
+ */
+async function initializeUntilReady(target, log, error = null) {
+    let failures = 0;
+    for (;;) {
+        if (error) {
+            if (error.code === 'CIRCUIT_OPEN' && target.circuitBreaker) {
+                log.warn(`${error.message}; waiting to start`);
+                await target.circuitBreaker.wait();
+            } else {
+                const delay = Math.min(target.startupRetryMs * Math.pow(2, failures++), STARTUP_RETRY_MAX_MS);
+                log.error(`Could not start: ${error.message}; retrying in ${Math.round(delay / 1000)}s`);
+                await new Promise(resolve => {
+                    const timer = setTimeout(() => target.wake(), delay);
+                    target.wake = () => {
+                        clearTimeout(timer);
+                        target.wake = () => {};
+                        resolve();
+                    };
+                });
+            }
+            if (target.stopped) return;
+        }
+
+        try {
+            return await target.initialize();
+        } catch (e) {
+            if (target.stopped) return;
+            error = e;
+        }
+    }
+}
+
+// " (n interpolated)" for log lines about readings that include interpolated points
+const interpolatedNote = readings => {
+    const count = readings.filter(r => r.interpolated).length;
+    return count > 0 ? ` (${count} interpolated)` : '';
+};
+
+class Syncer extends EventEmitter {
+    /**
+     * @param {object} config - Sync configuration (see loadConfig in config.js)
+     * @param {object} [options]
+     * @param {object} [options.source] - Shared source adapter (multi-pair mode)
+     * @param {SessionCache|null} [options.sessionCache] - Shared session cache (multi-pair mode)
+     * @param {PollSpacer} [options.pollSpacer] - Shared poll spacing (multi-pair mode)
+     * @param {CircuitBreaker|null} [options.circuitBreaker] - Shared source circuit breaker (multi-pair mode)
+     */
+    constructor(config, options = {}) {
+        super();
+        this.name = config.name || null;
+        this.stateDir = config.stateDir || DEFAULT_STATE_DIR;
 
        
-        this.dexcomClient = new DexcomClient(
-            config.dexcomUsername,
-            config.dexcomPassword,
-            config.dexcomRegion || 'US'
-        );
+        this.sessionCache = options.sessionCache !== undefined
+            ? options.sessionCache
+            : (config.cacheSessions === false ? null : new SessionCache(this.stateDir));
 
        
-        const serialNumber = config.serialNumber || this._generateSerialNumber();
-        this.dexcomClient.setSerialNumber(serialNumber);
+        this.circuitBreaker = options.circuitBreaker !== undefined
+            ? options.circuitBreaker
+            : createSourceBreaker(config, this.stateDir);
+        this.source = options.source || createSource({ ...config, sessionCache: this.sessionCache, circuitBreaker: this.circuitBreaker });
+        this._forwardEvents(this.source, 'source', null);
 
        
-        this.syncInterval = (config.syncIntervalMinutes || 5) * 60 * 1000;
-        this.maxReadings = config.maxReadingsPerSync || 12;
+        this.destinations = this._destinationConfigs(config).map((dest, i) => this._createDestination(dest, i));
+
+        this.config = config;
+        this._applySettings(config);
+        this.scheduler = new PollScheduler({ ...this._pollSettings(config), spacer: options.pollSpacer });
+        this.syncTimer = null;
+        this.stopped = false;
+        this.startupRetryMs = STARTUP_RETRY_MS;
+        this.wake = () => {};
+
+        // The sync cycle in progress in daemon mode (awaited by shutdown and reload)
+        this.cycle = null;
 
        
-        this.syncedTimestamps = new Set();
+        this.journal = this.destinations[0].journal;
         this.lastSyncTime = null;
+        this.recentReadings = null;
+        this.polledReadings = [];
+        this.alerts = new AlertManager(config.alerts, { name: this.name });
+        this.validator = new ReadingValidator(config.readingPolicy, this.name);
+        this.sensors = new SensorTracker({ lifetimeDays: config.sensorLifetimeDays });
 
        
         this.stats = {
             totalSynced: 0,
             totalSkipped: 0,
             errors: 0,
+            startedAt: new Date(),
             lastSync: null,
+            lastReading: null,
+            lastReconcile: null,
             lastError: null
         };
     }
 
+    /**
+     * Settings a reload can change without reconnecting anything
+     */
+    _applySettings(config) {
+        this.patientSelector = config.librePatient || null;
+        this.patientTimezone = config.patientTimezone || null;
+        this.recomputeTrends = config.recomputeTrends === true;
+        this.resample = { mode: config.resample || 'off', interpolate: config.resampleInterpolate === true };
+        this.syncInterval = (config.syncIntervalMinutes || 5) * 60 * 1000;
+        this.maxReadings = config.maxReadingsPerSync || 12;
+        this.backfillBatchSize = config.backfillBatchSize || 50;
+        this.reconcileInterval = (config.reconcileIntervalHours !== undefined ? config.reconcileIntervalHours : 6) * 60 * 60 * 1000;
+        this.sensorChangeAction = config.sensorChangeAction || 'none';
+    }
+
+    /**
+     * PollScheduler settings (after _applySettings)
+     */
+    _pollSettings(config) {
+        return {
+            maxIntervalMs: this.syncInterval,
+            adaptive: config.adaptivePolling !== false,
+            minSpacingMs: (config.minPollSeconds || 60) * 1000
+        };
+    }
+
+    /**
+     * Destination configurations: DEST_* and DEST_<n>_*, or the pair itself
+     */
+    _destinationConfigs(config) {
+        return config.destinations && config.destinations.length > 0
+            ? config.destinations
+            : [config];
+    }
+
+    /**
+     * Create an upload destination with its own receiver serial and journal
+     */
+    _createDestination(destConfig, index) {
+        const type = destConfig.destType || 'dexcom';
+        const name = destConfig.destName || `dest${index + 1}`;
+        const client = createDestination({ ...destConfig, sessionCache: this.sessionCache });
+
+        const serialKey = client.accountKey || `${type}:${name}`;
+        const serialNumber = destConfig.serialNumber || this._generateSerialNumber(serialKey);
+        if (typeof client.setSerialNumber === 'function') {
+            client.setSerialNumber(serialNumber);
+        }
+        this._forwardEvents(client, 'destination', name);
+
+        return {
+            name: name,
+            label: client.label || type,
+            serialNumber: serialNumber,
+            serialKey: destConfig.serialNumber ? null : serialKey,
+            configKey: destinationKey(destConfig),
+            client: client,
+            journal: new SyncJournal(this.stateDir, serialNumber).load(),
+            ready: false,
+            stats: {
+                totalSynced: 0,
+                errors: 0,
+                lastUpload: null,
+                lastVerified: null,
+                lastError: null,
+                uploadCount: 0,
+                uploadSeconds: 0,
+                lastUploadSeconds: null,
+                totalRepaired: 0,
+                totalInterpolated: 0
+            }
+        };
+    }
+
+    /**
+     * Emit an event with the pair name ('error' only when someone listens,
+     * so an embedding application without a handler is not crashed by it)
+     */
+    _emit(event, payload) {
+        if (event === 'error' && this.listenerCount('error') === 0) return;
+        this.emit(event, { pair: this.name, ...payload });
+    }
+
+    /**
+     * Re-emit session renewals and rate limits of an adapter that is an EventEmitter
+     */
+    _forwardEvents(client, service, destination) {
+        if (typeof client.on !== 'function') return;
+
+        client.on('authenticated', info => {
+            if (info && info.renewed) this._emit('authRenewed', { service, destination });
+        });
+        client.on('rateLimited', info => {
+            this._emit('rateLimited', { service, destination, ...info });
+        });
+    }
+
+    /**
+     * Upload a batch to a destination, recording upload latency
+     */
+    async _upload(dest, readings) {
+        const started = process.hrtime.bigint();
+        const result = await dest.client.uploadReadings(readings);
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+        dest.stats.uploadCount++;
+        dest.stats.uploadSeconds += seconds;
+        dest.stats.lastUploadSeconds = seconds;
+        dest.stats.lastUpload = new Date();
+        dest.stats.totalInterpolated += readings.filter(r => r.interpolated).length;
+
+        this._emit('uploaded', {
+            destination: dest.name,
+            count: result.uploaded,
+            readings: readings,
+            durationSeconds: seconds
+        });
+        return result;
+    }
+
+    /**
+     * Logger scoped to this syncer (pair name) and destination (only tagged when fanning out)
+     */
+    _log(base, dest = null) {
+        const tags = [this.name, dest && this.destinations.length > 1 ? dest.name : null].filter(Boolean);
+        return logger.create(tags.length > 0 ? `${base}:${tags.join('/')}` : base);
+    }
+
     /**
      * Generate a serial number for the virtual receiver
      * Format: SM + 8 digits (matching Dexcom receiver format)
      */
-    _generateSerialNumber() {
+    _generateSerialNumber(username) {
        
-        const hash = this.dexcomClient.username.split('').reduce((acc, char) => {
+        const hash = username.split('').reduce((acc, char) => {
             return ((acc << 5) - acc) + char.charCodeAt(0);
         }, 0);
         const absHash = Math.abs(hash);
@@ -63,83 +333,222 @@ class Syncer {
      * Initialize connections
      */
     async initialize() {
-        console.log('');
-        console.log('Lib2Dex - LibreView to Dexcom Share Sync');
-        console.log('-'.repeat(42));
+        const log = this._log('Init');
+        log.info('Lib2Dex - LibreView to Dexcom Share Sync');
 
        
-        console.log('[Init] Connecting to LibreView...');
-        await this.libreClient.authenticate();
+        log.info(`Connecting to ${this.source.label || 'source'}...`);
+        if (typeof this.source.ensureAuthenticated === 'function') {
+            await this.source.ensureAuthenticated();
+        } else {
+            await this.source.authenticate();
+        }
 
-       
-        console.log('[Init] Connecting to Dexcom Share...');
-        await this.dexcomClient.authenticate();
+        if (this.patientSelector && typeof this.source.getPatientId === 'function') {
+            const patientId = await this.source.getPatientId(this.patientSelector);
+            log.info(`Following patient: ${this.patientSelector} (${patientId})`);
+        }
 
        
-        await this.dexcomClient.registerReceiver();
+        let firstError = null;
+        for (const dest of this.destinations) {
+            this._log('Init', dest).info(`Connecting to ${dest.label}...`);
+            try {
+                await this._connectDestination(dest);
+            } catch (error) {
+               
+                this._log('Init', dest).error(`${dest.label} failed: ${error.message}`);
+                this._emit('error', { phase: 'connect', destination: dest.name, error });
+                dest.stats.errors++;
+                dest.stats.lastError = error.message;
+                firstError = firstError || error;
+            }
+        }
+
+        if (!this.destinations.some(d => d.ready)) {
+            throw firstError;
+        }
 
-        console.log('[Init] Ready!');
-        console.log(`       Serial: ${this.dexcomClient.serialNumber} | Interval: ${this.syncInterval / 60000}min`);
+        const serials = this.destinations.map(d => d.serialNumber).join(', ');
+        log.info(`Ready! Serial: ${serials} | Interval: ${this.syncInterval / 60000}min`);
+    }
+
+    /**
+     * Authenticate a destination and register its virtual receiver
+     */
+    async _connectDestination(dest) {
+        if (typeof dest.client.ensureAuthenticated === 'function') {
+            await dest.client.ensureAuthenticated();
+        } else {
+            await dest.client.authenticate();
+        }
+        if (typeof dest.client.registerReceiver === 'function') {
+            await dest.client.registerReceiver();
+        }
+        dest.ready = true;
     }
 
     /**
      * Perform a single sync operation
      */
     async sync() {
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
-        console.log(`\n[Sync] ${timeStr} - Starting...`);
+        const log = this._log('Sync');
+        log.info('Starting...');
+        let fetched = false;
 
         try {
            
-            const readings = await this.libreClient.getGlucoseReadings();
+            const since = new Date(Date.now() - SYNC_WINDOW_MS);
+            const source = await this._sourceReadingsSince(since);
+            const readings = this.validator.apply(source);
+            fetched = true;
+            this.scheduler.observe(readings);
+            // Alerts and signal loss go by the measured values, not the codes sent for them
+            this.recentReadings = source;
+            await this._trackSensor(source);
 
             if (readings.length === 0) {
-                console.log('[Sync] No readings available from LibreView');
+                log.info(`No readings available from ${this.source.label || 'source'}`);
                 this.stats.lastSync = new Date();
                 return { synced: 0, skipped: 0 };
             }
 
+            const previous = this.stats.lastReading;
+            for (const reading of readings.filter(r => !previous || r.timestamp > previous).reverse()) {
+                this._emit('reading', { reading });
+            }
+            this.stats.lastReading = readings[0].timestamp;
+
+           
+            const candidates = this._withEarlierPolls(readings);
+            const results = [];
+            for (const dest of this.destinations) {
+                results.push(await this._syncDestination(dest, candidates));
+            }
+
+            const failed = results.filter(r => r.error);
+            if (failed.length === results.length) {
+                throw failed[0].error;
+            }
+
+            const synced = results.reduce((sum, r) => sum + r.synced, 0);
+            const skipped = Math.min(...results.map(r => r.skipped));
+
+           
+            this.stats.totalSynced += synced;
+            this.stats.totalSkipped += skipped;
+            this.stats.lastSync = new Date();
+            if (failed.length > 0) {
+                this.stats.errors++;
+                this.stats.lastError = failed.map(r => r.error.message).join('; ');
+            }
+
+            return {
+                synced: synced,
+                skipped: skipped,
+                destinations: results.map(r => ({
+                    name: r.name,
+                    synced: r.synced,
+                    verified: r.verified,
+                    error: r.error ? r.error.message : null
+                }))
+            };
+
+        } catch (error) {
+            // A paused source is expected after a block, not an error worth shouting about
+            if (error.code === 'CIRCUIT_OPEN') log.warn(error.message);
+            else log.error(`Error: ${error.message}`);
+            this.stats.errors++;
+            this.stats.lastError = error.message;
+            // Destination failures were already reported by _syncDestination
+            if (!fetched) this._emit('error', { phase: 'source', destination: null, error });
+            throw error;
+        }
+    }
+
+    /**
+     * This poll's readings plus those seen by the polls of the last hour,
+     * newest first, when resampling: LibreLinkUp only reports the current
+     * minute next to its 15-minute graph, so a slot's readings arrive poll by poll
+     */
+    _withEarlierPolls(readings) {
+        if (this.resample.mode === 'off') return readings;
+
+        const byTime = new Map(this.polledReadings.map(r => [r.timestamp.getTime(), r]));
+        for (const reading of readings) {
+            byTime.set(reading.timestamp.getTime(), reading);
+        }
+        const merged = Array.from(byTime.values()).sort((a, b) => b.timestamp - a.timestamp);
+
+        const cutoff = Date.now() - POLL_MEMORY_MS;
+        this.polledReadings = merged.filter(r => r.timestamp.getTime() >= cutoff);
+        return merged;
+    }
+
+    /**
+     * Readings resampled for a destination that already has readings at the
+     * `uploaded` times (ms), so no slot is filled twice
+     */
+    _resampleFor(readings, uploaded) {
+        return resampleReadings(readings, { ...this.resample, uploaded: uploaded });
+    }
+
+    /**
+     * Upload new readings to one destination and verify them
+     * Failures are recorded on the destination instead of thrown,
+     * so one broken account does not hold back the others.
+     */
+    async _syncDestination(dest, readings) {
+        const log = this._log('Sync', dest);
+        const client = dest.client;
+
+        try {
+           
+            if (!dest.ready) {
+                await this._connectDestination(dest);
+            }
+
+            readings = this._resampleFor(readings, dest.journal.timestamps);
+
            
             const newReadings = readings.filter(r => {
                 const timestamp = r.timestamp.getTime();
-                return !this.syncedTimestamps.has(timestamp);
+                return !dest.journal.has(timestamp);
             });
 
            
             const toSync = newReadings.slice(0, this.maxReadings);
 
             if (toSync.length === 0) {
-                console.log('[Sync] No new readings');
-                this.stats.lastSync = new Date();
-                return { synced: 0, skipped: readings.length };
+                log.info(`No new readings`);
+                return { name: dest.name, synced: 0, skipped: readings.length, verified: true };
             }
 
            
             const latest = toSync[0];
-            console.log(`[Sync] Latest: ${latest.value} mg/dL | Syncing ${toSync.length} readings...`);
+            log.info(`Latest: ${latest.value} mg/dL | Syncing ${toSync.length} readings${interpolatedNote(toSync)}...`);
 
            
-            const result = await this.dexcomClient.uploadReadings(toSync);
+            const result = await this._upload(dest, toSync);
 
            
             let uploadVerified = false;
             try {
-                const dexcomValues = await this.dexcomClient.readLatestValues(1, 1440);
-                if (dexcomValues.length > 0) {
-                    const dexVal = dexcomValues[0];
-                    const match = dexVal.ST && dexVal.ST.match(/Date\((\d+)\)/);
-                    const dexTime = match ? new Date(parseInt(match[1])) : null;
-                    const dexTimeStr = dexTime ? dexTime.toISOString() : 'unknown';
+                const stored = await client.readLatestReadings(1, 1440);
+                if (stored.length > 0) {
+                    const dexVal = stored[0];
+                    const dexTime = dexVal.timestamp;
+                    const dexTimeStr = dexTime.toISOString();
                     const latestTimeStr = latest.timestamp.toISOString();
 
                    
-                    if (dexTime && dexTime.getTime() >= latest.timestamp.getTime()) {
-                        console.log(`[Sync] Verified: ${dexVal.Value} mg/dL @ ${dexTimeStr}`);
+                    if (dexTime.getTime() >= latest.timestamp.getTime()) {
+                        log.info(`Verified: ${dexVal.value} mg/dL @ ${dexTimeStr}`);
                         uploadVerified = true;
+                        this._emit('verified', { destination: dest.name, latest, stored: dexVal });
                     } else {
-                        console.log(`[Sync] NOT STORED! Dexcom latest: ${dexVal.Value} @ ${dexTimeStr}`);
-                        console.log(`[Sync]            We uploaded: ${latest.value} @ ${latestTimeStr}`);
+                        log.warn(`NOT STORED! ${dest.label} latest: ${dexVal.value} @ ${dexTimeStr}, we uploaded: ${latest.value} @ ${latestTimeStr}`);
+                        this._emit('verificationFailed', { destination: dest.name, latest, stored: dexVal });
                     }
                 }
             } catch (e) {
@@ -149,52 +558,427 @@ class Syncer {
 
            
             if (uploadVerified) {
+                dest.stats.lastVerified = new Date();
                 for (const r of toSync) {
-                    this.syncedTimestamps.add(r.timestamp.getTime());
+                    dest.journal.add(r.timestamp.getTime());
                 }
             } else {
-                console.log(`[Sync] Will retry these readings next cycle`);
+                log.info(`Will retry these readings next cycle`);
             }
 
            
-            this._cleanupSyncedTimestamps();
+            this._cleanupSyncedTimestamps(dest);
+            this._saveJournal(dest);
 
-           
-            this.stats.totalSynced += result.uploaded;
-            this.stats.totalSkipped += readings.length - toSync.length;
-            this.stats.lastSync = new Date();
-
-            console.log(`[Sync] Done: ${result.uploaded} synced`);
+            dest.stats.totalSynced += result.uploaded;
+            log.info(`Done: ${result.uploaded} synced`);
 
             return {
+                name: dest.name,
                 synced: result.uploaded,
-                skipped: readings.length - toSync.length
+                skipped: readings.length - toSync.length,
+                verified: uploadVerified
             };
 
         } catch (error) {
-            console.error(`[Sync] Error: ${error.message}`);
-            this.stats.errors++;
-            this.stats.lastError = error.message;
-            throw error;
+            log.error(`Error: ${error.message}`);
+            dest.stats.errors++;
+            dest.stats.lastError = error.message;
+            this._emit('error', { phase: 'upload', destination: dest.name, error });
+            return { name: dest.name, synced: 0, skipped: readings.length, verified: false, error: error };
+        }
+    }
+
+    /**
+     * Backfill the last N hours of history, skipping readings Dexcom already has
+     */
+    async backfill(hours) {
+        const log = this._log('Backfill');
+        log.info(`Fetching up to ${hours}h of ${this.source.label || 'source'} history...`);
+
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const source = await this._sourceReadingsSince(since);
+        await this._trackSensor(source);
+        const history = this.validator.apply(source);
+
+        if (hours * 60 > MAX_READ_MINUTES) {
+            log.info(`Note: Dexcom Share only reports the last ${MAX_READ_MINUTES / 60}h, older readings are checked against the journal only`);
         }
+
+        // A destination that is down is reported and skipped, not allowed to stop the others
+        const results = [];
+        let firstError = null;
+        for (const dest of this.destinations) {
+            try {
+                results.push(await this._backfillDestination(dest, history, hours));
+            } catch (error) {
+                this._log('Backfill', dest).error(`Error: ${error.message}`);
+                this._emit('error', { phase: 'upload', destination: dest.name, error });
+                dest.stats.errors++;
+                dest.stats.lastError = error.message;
+                firstError = firstError || error;
+                results.push({ name: dest.name, found: 0, uploaded: 0, skipped: 0, batches: 0, error: error.message });
+            }
+        }
+
+        if (results.every(r => r.error)) {
+            throw firstError;
+        }
+
+        const uploaded = results.reduce((sum, r) => sum + r.uploaded, 0);
+        this.stats.totalSynced += uploaded;
+
+        if (this.destinations.length === 1) {
+            return results[0];
+        }
+
+        return {
+            found: history.length,
+            uploaded: uploaded,
+            destinations: results
+        };
+    }
+
+    /**
+     * Backfill one destination in batches
+     */
+    async _backfillDestination(dest, history, hours) {
+        const log = this._log('Backfill', dest);
+
+        if (!dest.ready) {
+            await this._connectDestination(dest);
+        }
+       
+        const { existing, times } = await this._storedMinutes(dest, Math.ceil(hours * 60));
+        // Dexcom Share only reports the last 24h, so older uploads are only in the journal
+        dest.journal.retain(hours * 60 * 60 * 1000);
+
+        const candidates = this._resampleFor(history, [...dest.journal.timestamps, ...times]);
+        const missing = candidates.filter(r => {
+            const ts = r.timestamp.getTime();
+            return !dest.journal.has(ts) && !existing.has(Math.round(ts / 60000));
+        });
+
+        log.info(`${candidates.length} readings found, ${candidates.length - missing.length} already in ${dest.label}, ${missing.length} to upload${interpolatedNote(missing)}`);
+
+        if (missing.length === 0) {
+            return { name: dest.name, found: candidates.length, uploaded: 0, skipped: candidates.length, batches: 0 };
+        }
+
+        const { uploaded, batches } = await this._uploadBatches(dest, missing, log);
+
+        log.info(`Done: ${uploaded} readings uploaded in ${batches} batches`);
+
+        return {
+            name: dest.name,
+            found: candidates.length,
+            uploaded: uploaded,
+            skipped: candidates.length - missing.length,
+            batches: batches
+        };
     }
 
     /**
-     * Cleanup old synced timestamps (older than 24 hours)
+     * Source readings newer than `since`, newest first, with missing trends
+     * estimated. With PATIENT_TIMEZONE set, each reading's utcOffset is the
+     * zone's offset at that reading.
      */
-    _cleanupSyncedTimestamps() {
-        const cutoff = Date.now() - (24 * 60 * 60 * 1000);
-        const oldSize = this.syncedTimestamps.size;
+    async _sourceReadingsSince(since) {
+        const readings = await this.source.getReadingsSince(since, this.patientSelector);
+        if (this.patientTimezone) {
+            for (const reading of readings) {
+                reading.utcOffset = timezoneOffset(this.patientTimezone, reading.timestamp);
+            }
+        }
+        return estimateTrends(readings, { recompute: this.recomputeTrends });
+    }
+
+    /**
+     * Source readings newer than `since` with the LO/HI and invalid-value
+     * policy applied, ready to upload (resampling is per destination)
+     */
+    async _readingsSince(since) {
+        return this.validator.apply(await this._sourceReadingsSince(since));
+    }
 
-        for (const ts of this.syncedTimestamps) {
-            if (ts < cutoff) {
-                this.syncedTimestamps.delete(ts);
+    /**
+     * Follow the source's sensor: report replacements, state changes and
+     * signal loss, and apply SENSOR_CHANGE_ACTION (errors are logged, not thrown)
+     */
+    async _trackSensor(readings) {
+        const log = this._log('Sensor');
+
+        let sensor = null;
+        if (typeof this.source.getSensor === 'function') {
+            try {
+                sensor = await this.source.getSensor(this.patientSelector);
+            } catch (error) {
+                log.warn(`Could not read the sensor: ${error.message}`);
+            }
+        }
+
+        const update = this.sensors.update(sensor, readings);
+        const status = this.sensors.status();
+
+        if (update.changed) {
+            log.info(`New sensor ${status.serial} (replaces ${update.previous.serial})`);
+            this._emit('sensorChanged', { previous: update.previous, sensor: sensor });
+        }
+        if (update.stateChanged) {
+            const day = status.ageHours !== null ? `, day ${Math.floor(status.ageHours / 24) + 1}` : '';
+            const expires = status.expiresAt ? ` (expires ${status.expiresAt.toISOString()})` : '';
+            const message = `Sensor ${status.serial || '(unknown)'}: ${status.state}${day}${expires}`;
+            if (status.state === 'ending' || status.state === 'expired') {
+                log.warn(message);
+            } else {
+                log.info(message);
             }
+            this._emit('sensorState', { state: status.state, previousState: update.previousState, sensor: status });
+        }
+        for (const period of update.signalLosses) {
+            log.warn(`Signal loss: ${period.from.toISOString()} - ${period.to.toISOString()} (${period.minutes} min)`);
+            this._emit('signalRestored', period);
+        }
+        if (update.signalLost) {
+            log.warn(`Signal loss: no readings since ${update.signalLost.toISOString()}`);
+            this._emit('signalLost', { since: update.signalLost });
         }
 
-        const removed = oldSize - this.syncedTimestamps.size;
+        if (update.changed && this.sensorChangeAction === 'register') {
+            await this._reregisterReceivers();
+        }
+        if ((update.first || update.changed) && this.sensorChangeAction === 'rotate') {
+            await this._rotateSerials(status.serial);
+        }
+    }
+
+    /**
+     * Register each connected destination's virtual receiver again
+     */
+    async _reregisterReceivers() {
+        for (const dest of this.destinations) {
+            if (!dest.ready || typeof dest.client.registerReceiver !== 'function') continue;
+
+            try {
+                await dest.client.registerReceiver();
+                this._log('Sensor', dest).info(`Registered receiver ${dest.serialNumber} again for the new sensor`);
+            } catch (error) {
+                this._log('Sensor', dest).error(`Could not register receiver ${dest.serialNumber}: ${error.message}`);
+                this._emit('error', { phase: 'connect', destination: dest.name, error });
+            }
+        }
+    }
+
+    /**
+     * Give each destination with a generated serial a virtual receiver of
+     * its own for this sensor. The serial is derived from the account and
+     * the sensor serial, so it survives restarts; the journal carries over.
+     */
+    async _rotateSerials(sensorSerial) {
+        for (const dest of this.destinations) {
+            if (!dest.serialKey || typeof dest.client.setSerialNumber !== 'function') continue;
+
+            const serialNumber = this._generateSerialNumber(`${dest.serialKey}:${sensorSerial}`);
+            if (serialNumber === dest.serialNumber) continue;
+
+            const journal = new SyncJournal(this.stateDir, serialNumber).load();
+            for (const timestamp of dest.journal.timestamps) {
+                journal.add(timestamp);
+            }
+
+            const log = this._log('Sensor', dest);
+            log.info(`Switching receiver ${dest.serialNumber} -> ${serialNumber} for sensor ${sensorSerial}`);
+            dest.client.setSerialNumber(serialNumber);
+            dest.serialNumber = serialNumber;
+            dest.journal = journal;
+            this._saveJournal(dest);
+
+            if (dest.ready && typeof dest.client.registerReceiver === 'function') {
+                try {
+                    await dest.client.registerReceiver();
+                } catch (error) {
+                    log.error(`Could not register receiver ${serialNumber}: ${error.message}`);
+                    this._emit('error', { phase: 'connect', destination: dest.name, error });
+                }
+            }
+        }
+        this.journal = this.destinations[0].journal;
+    }
+
+    /**
+     * Minutes (rounded) and times (ms) that a destination already has a
+     * reading for. If the read hit the count limit, `complete` is the oldest
+     * time it fully covers.
+     */
+    async _storedMinutes(dest, minutes) {
+        const stored = await dest.client.readLatestReadings(MAX_READ_COUNT, Math.min(minutes, MAX_READ_MINUTES));
+        const oldest = stored.reduce((min, v) => (!min || v.timestamp < min ? v.timestamp : min), null);
+
+        return {
+            existing: new Set(stored.map(v => Math.round(v.timestamp.getTime() / 60000))),
+            times: stored.map(v => v.timestamp.getTime()),
+            complete: stored.length >= MAX_READ_COUNT ? oldest : null
+        };
+    }
+
+    /**
+     * Upload readings (newest first) oldest batch first, journaling each batch
+     */
+    async _uploadBatches(dest, readings, log) {
+        const oldestFirst = readings.slice().reverse();
+        const batches = [];
+        for (let i = 0; i < oldestFirst.length; i += this.backfillBatchSize) {
+            batches.push(oldestFirst.slice(i, i + this.backfillBatchSize).reverse());
+        }
+
+        let uploaded = 0;
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            const result = await this._upload(dest, batch);
+
+            for (const r of batch) {
+                dest.journal.add(r.timestamp.getTime());
+            }
+            this._saveJournal(dest);
+
+            uploaded += result.uploaded;
+            dest.stats.totalSynced += result.uploaded;
+            log.info(`Batch ${i + 1}/${batches.length}: ${result.uploaded} readings (${uploaded}/${readings.length})`);
+
+           
+            if (i < batches.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+
+        this._cleanupSyncedTimestamps(dest);
+        this._saveJournal(dest);
+
+        return { uploaded: uploaded, batches: batches.length };
+    }
+
+    /**
+     * Compare the last 24 hours at the source with what each destination
+     * actually stored, and re-upload exactly the missing readings. Unlike
+     * sync(), this ignores the journal: it catches readings that were
+     * accepted but later lost, or skipped while a destination was down.
+     */
+    async reconcile() {
+        const log = this._log('Reconcile');
+        log.info(`Checking the last ${MAX_READ_MINUTES / 60}h against each destination...`);
+
+        const since = new Date(Date.now() - MAX_READ_MINUTES * 60 * 1000);
+        const history = await this._readingsSince(since);
+
+        const results = [];
+        for (const dest of this.destinations) {
+            try {
+                results.push(await this._reconcileDestination(dest, history));
+            } catch (error) {
+                this._log('Reconcile', dest).error(`Error: ${error.message}`);
+                this._emit('error', { phase: 'reconcile', destination: dest.name, error });
+                dest.stats.errors++;
+                dest.stats.lastError = error.message;
+                results.push({ name: dest.name, missing: 0, repaired: 0, gaps: [], error: error.message });
+            }
+        }
+
+        this.stats.lastReconcile = new Date();
+
+        return {
+            checked: history.length,
+            repaired: results.reduce((sum, r) => sum + r.repaired, 0),
+            destinations: results
+        };
+    }
+
+    /**
+     * Repair one destination's gaps
+     */
+    async _reconcileDestination(dest, history) {
+        const log = this._log('Reconcile', dest);
+
+        if (!dest.ready) {
+            await this._connectDestination(dest);
+        }
+
+        const { existing, times, complete } = await this._storedMinutes(dest, MAX_READ_MINUTES);
+        history = this._resampleFor(history, times);
+        const isMissing = r => !existing.has(Math.round(r.timestamp.getTime() / 60000)) &&
+            (!complete || r.timestamp >= complete);
+        const missing = history.filter(isMissing);
+
+        if (missing.length === 0) {
+            log.info(`No gaps: all ${history.length} readings are in ${dest.label}`);
+            return { name: dest.name, missing: 0, repaired: 0, gaps: [] };
+        }
+
+        // Runs of consecutive missing readings, newest first
+        const gaps = [];
+        let current = null;
+        for (const r of history) {
+            if (!isMissing(r)) {
+                current = null;
+            } else if (current) {
+                current.from = r.timestamp;
+                current.count++;
+            } else {
+                current = { from: r.timestamp, to: r.timestamp, count: 1 };
+                gaps.push(current);
+            }
+        }
+
+        log.warn(`${missing.length} readings missing from ${dest.label} in ${gaps.length} gap${gaps.length === 1 ? '' : 's'}, re-uploading...`);
+        const { uploaded } = await this._uploadBatches(dest, missing, log);
+        dest.stats.totalRepaired += uploaded;
+
+        const summary = gaps.map(g => g.count === 1
+            ? g.from.toISOString()
+            : `${g.from.toISOString()} - ${g.to.toISOString()} (${g.count})`);
+        log.info(`Repaired ${uploaded} readings in ${gaps.length} gap${gaps.length === 1 ? '' : 's'}: ${summary.join(', ')}`);
+
+        return { name: dest.name, missing: missing.length, repaired: uploaded, gaps: gaps };
+    }
+
+    /**
+     * Run reconcile() if it is due (errors are logged, not thrown)
+     */
+    async _reconcileIfDue() {
+        if (this.reconcileInterval <= 0) return;
+
+        const last = this.stats.lastReconcile;
+        if (last && Date.now() - last.getTime() < this.reconcileInterval) return;
+
+        try {
+            await this.reconcile();
+        } catch (error) {
+            this._log('Reconcile').error(`Error: ${error.message}`);
+            this._emit('error', { phase: 'reconcile', destination: null, error });
+            this.stats.lastReconcile = new Date();
+        }
+    }
+
+    /**
+     * Cleanup old synced timestamps (older than 24 hours, or the window of a
+     * recent backfill)
+     */
+    _cleanupSyncedTimestamps(dest) {
+        const cutoff = Date.now() - Math.max(JOURNAL_RETENTION_MS, dest.journal.retention());
+        const removed = dest.journal.prune(cutoff);
+
         if (removed > 0) {
-            console.log(`[Sync] Cleaned up ${removed} old timestamp entries`);
+            this._log('Sync', dest).info(`Cleaned up ${removed} old timestamp entries`);
+        }
+    }
+
+    /**
+     * Persist a destination's sync journal (a failed write must not abort the sync)
+     */
+    _saveJournal(dest) {
+        try {
+            dest.journal.save();
+        } catch (error) {
+            this._log('Sync', dest).warn(`Could not save sync journal: ${error.message}`);
         }
     }
 
@@ -202,36 +986,193 @@ class Syncer {
      * Run in daemon mode (continuous sync)
      */
     async runDaemon() {
-        await this.initialize();
+        const log = this._log('Daemon');
+        this.stopped = false;
+        await initializeUntilReady(this, log);
+        if (this.stopped) return;
 
-        console.log('[Daemon] Running... (Ctrl+C to stop)');
+        log.info('Running... (Ctrl+C to stop)');
 
        
-        await this.sync();
+        await this._track(() => this._runCycle());
+        if (this.stopped) return;
+
+        this.startSyncLoop();
+    }
+
+    /**
+     * Run a daemon sync cycle, keeping it in this.cycle until it settles
+     */
+    async _track(run) {
+        const cycle = run();
+        this.cycle = cycle;
+        try {
+            return await cycle;
+        } finally {
+            if (this.cycle === cycle) this.cycle = null;
+        }
+    }
+
+    /**
+     * One daemon cycle: sync, then reconcile if due and check alerts. Errors
+     * are logged and back off the next poll, so the daemon keeps running.
+     */
+    async _runCycle() {
+        this.recentReadings = null;
+        try {
+            await this.sync();
+        } catch (error) {
+            if (error.code !== 'CIRCUIT_OPEN') this._log('Daemon').error(`Sync error: ${error.message}`);
+            this.scheduler.failed();
+        }
+
+        await this._reconcileIfDue();
+        await this._checkAlerts();
+    }
+
+    /**
+     * Delay until the next sync: the scheduler's, or longer while the source cools down
+     */
+    _nextDelay() {
+        const coolDown = this.circuitBreaker ? this.circuitBreaker.remainingMs() : 0;
+        return Math.max(this.scheduler.nextDelay(), coolDown);
+    }
+
+    /**
+     * Schedule the recurring sync loop, starting after the given delay
+     * (by default, when the scheduler expects the next reading)
+     */
+    startSyncLoop(firstDelay) {
+        const log = this._log('Daemon');
+        this.stopped = false;
+
+        const scheduleNext = (delay) => {
+            if (this.stopped) return;
+            log.debug(`Next sync in ${Math.round(delay / 1000)}s`);
+            this.syncTimer = setTimeout(syncLoop, delay);
+        };
 
-       
         const syncLoop = async () => {
+            this.syncTimer = null;
+            await this._track(() => this._runCycle());
+
+            scheduleNext(this._nextDelay());
+        };
+
+        scheduleNext(firstDelay !== undefined ? firstDelay : this._nextDelay());
+    }
+
+    /**
+     * Stop the sync loop (a sync already running finishes, but none follows)
+     */
+    stop() {
+        this.stopped = true;
+        if (this.syncTimer) {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (this.circuitBreaker) this.circuitBreaker.cancel();
+        this.wake();
+    }
+
+    /**
+     * Stop gracefully: schedule no more syncs, wait up to timeoutMs for the
+     * one in progress, then save the journals. Resolves to false if the sync
+     * was still running at the timeout.
+     */
+    async shutdown(timeoutMs = 10000) {
+        this.stop();
+
+        let finished = true;
+        if (this.cycle) {
+            const log = this._log('Daemon');
+            log.info('Waiting for the sync in progress...');
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(resolve, timeoutMs, false);
+            });
+            finished = await Promise.race([this.cycle.then(() => true, () => true), timeout]);
+            clearTimeout(timer);
+            if (!finished) log.warn(`Sync still running after ${Math.round(timeoutMs / 1000)}s, stopping anyway`);
+        }
+
+        for (const dest of this.destinations) {
+            this._saveJournal(dest);
+        }
+        return finished;
+    }
+
+    /**
+     * Apply a reloaded configuration without restarting: polling, alert
+     * thresholds, reading policy, sensor settings and destinations change in
+     * place, and destinations whose settings are unchanged keep their session
+     * and journal. Waits for a sync in progress first. Resolves to the names
+     * of changed settings that only take effect after a restart.
+     */
+    async reload(config) {
+        if (this.cycle) await this.cycle.catch(() => {});
+        const log = this._log('Reload');
+
+        const restart = Object.keys(RESTART_SETTINGS)
+            .filter(key => !sameValue(this.config[key], config[key]))
+            .map(key => RESTART_SETTINGS[key]);
+
+        this._applySettings(config);
+        this.scheduler.configure(this._pollSettings(config));
+        this.alerts.configure(config.alerts);
+        this.validator.configure(config.readingPolicy);
+        this.sensors.configure({ lifetimeDays: config.sensorLifetimeDays });
+
+        const previous = new Map(this.destinations.map(dest => [dest.configKey, dest]));
+        const added = [];
+        this.destinations = this._destinationConfigs(config).map((destConfig, i) => {
+            const existing = previous.get(destinationKey(destConfig));
+            if (existing) {
+                previous.delete(existing.configKey);
+                return existing;
+            }
+            const dest = this._createDestination(destConfig, i);
+            added.push(dest);
+            return dest;
+        });
+        this.journal = this.destinations[0].journal;
+        this.config = config;
+
+        for (const dest of previous.values()) {
+            log.info(`Removed destination ${dest.name} (${dest.label})`);
+        }
+        for (const dest of added) {
+            log.info(`Connecting to destination ${dest.name} (${dest.label})...`);
             try {
-                await this.sync();
+                await this._connectDestination(dest);
             } catch (error) {
-                console.error(`[Daemon] Sync error: ${error.message}`);
-               
+                log.error(`${dest.label} failed: ${error.message}`);
+                this._emit('error', { phase: 'connect', destination: dest.name, error });
+                dest.stats.errors++;
+                dest.stats.lastError = error.message;
             }
+        }
 
-           
-            setTimeout(syncLoop, this.syncInterval);
-        };
+        // A sync waiting on the old interval is rescheduled
+        if (this.syncTimer && !this.stopped) {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+            this.startSyncLoop();
+        }
 
-       
-        setTimeout(syncLoop, this.syncInterval);
+        log.info(`Configuration reloaded: ${this.destinations.length} destination(s), interval ${this.syncInterval / 60000}min`);
+        return restart;
+    }
 
-       
-        process.on('SIGINT', () => {
-            console.log('\n[Daemon] Shutting down...');
-            console.log(`[Daemon] Total synced: ${this.stats.totalSynced}`);
-            console.log(`[Daemon] Total errors: ${this.stats.errors}`);
-            process.exit(0);
-        });
+    /**
+     * Raise or resolve alerts for the last sync cycle (errors are logged, not thrown)
+     */
+    async _checkAlerts() {
+        try {
+            await this.alerts.evaluate({ readings: this.recentReadings, stats: this.getStats() });
+        } catch (error) {
+            this._log('Alerts').error(`Error: ${error.message}`);
+        }
     }
 
     /**
@@ -240,7 +1181,17 @@ class Syncer {
     async runOnce() {
         await this.initialize();
         const result = await this.sync();
-        console.log('\n[Done] Single sync completed');
+        this._log('Done').info('Single sync completed');
+        return result;
+    }
+
+    /**
+     * Run a historical backfill and exit
+     */
+    async runBackfill(hours) {
+        await this.initialize();
+        const result = await this.backfill(hours);
+        this._log('Done').info('Backfill completed');
         return result;
     }
 
@@ -248,43 +1199,51 @@ class Syncer {
      * Test connections
      */
     async testConnections() {
-        console.log('='.repeat(50));
-        console.log('Lib2Dex - Connection Test');
-        console.log('='.repeat(50));
+        const log = this._log('Test');
+        log.info('Lib2Dex - Connection Test');
 
        
-        console.log('\n[Test] Testing LibreView connection...');
-        const libreResult = await this.libreClient.testConnection();
-
-        if (libreResult.success) {
-            console.log('[Test] LibreView: OK');
-            console.log(`  - Region: ${libreResult.region || 'auto'}`);
-            console.log(`  - Connections: ${libreResult.connections}`);
-            if (libreResult.latestReading) {
-                console.log(`  - Latest: ${libreResult.latestReading.value} mg/dL at ${libreResult.latestReading.timestamp.toISOString()}`);
+        const sourceLabel = this.source.label || 'source';
+        log.info(`Testing ${sourceLabel} connection...`);
+        const sourceResult = await this.source.testConnection(this.patientSelector);
+
+        if (sourceResult.success) {
+            log.info(`${sourceLabel}: OK`);
+            if ('region' in sourceResult) log.info(`  - Region: ${sourceResult.region || 'auto'}`);
+            if ('connections' in sourceResult) log.info(`  - Connections: ${sourceResult.connections}`);
+            if (sourceResult.latestReading) {
+                log.info(`  - Latest: ${sourceResult.latestReading.value} mg/dL at ${sourceResult.latestReading.timestamp.toISOString()}`);
             }
         } else {
-            console.log(`[Test] LibreView: FAILED - ${libreResult.error}`);
+            log.error(`${sourceLabel}: FAILED - ${sourceResult.error}`);
         }
 
        
-        console.log('\n[Test] Testing Dexcom Share connection...');
-        const dexcomResult = await this.dexcomClient.testConnection();
+        const destResults = [];
+        for (const dest of this.destinations) {
+            const label = this.destinations.length > 1 ? ` (${dest.name})` : '';
+            log.info(`Testing ${dest.label} connection${label}...`);
+            const dexcomResult = await dest.client.testConnection();
 
-        if (dexcomResult.success) {
-            console.log('[Test] Dexcom Share: OK');
-            console.log(`  - Region: ${dexcomResult.region}`);
-            console.log(`  - Has Data: ${dexcomResult.hasData}`);
-        } else {
-            console.log(`[Test] Dexcom Share: FAILED - ${dexcomResult.error}`);
-        }
+            if (dexcomResult.success) {
+                log.info(`${dest.label}${label}: OK`);
+                if (dexcomResult.region) log.info(`  - Region: ${dexcomResult.region}`);
+                if (dexcomResult.url) log.info(`  - URL: ${dexcomResult.url}`);
+                log.info(`  - Has Data: ${dexcomResult.hasData}`);
+            } else {
+                log.error(`${dest.label}${label}: FAILED - ${dexcomResult.error}`);
+            }
 
-        console.log('\n' + '='.repeat(50));
+            destResults.push({ name: dest.name, ...dexcomResult });
+        }
 
         return {
-            libreview: libreResult,
-            dexcom: dexcomResult,
-            allOk: libreResult.success && dexcomResult.success
+            source: sourceResult,
+            // Keys from before sources and destinations were pluggable
+            libreview: sourceResult,
+            dexcom: destResults[0],
+            destinations: destResults,
+            allOk: sourceResult.success && destResults.every(r => r.success)
         };
     }
 
@@ -294,25 +1253,69 @@ class Syncer {
     async verify() {
         await this.initialize();
 
-        console.log('\n[Verify] Checking uploaded data...');
+        this._log('Verify').info('Checking uploaded data...');
 
-       
-        const dexcomValues = await this.dexcomClient.readLatestValues(5, 60);
+        let allOk = true;
+        for (const dest of this.destinations) {
+            const log = this._log('Verify', dest);
+
+           
+            const stored = await dest.client.readLatestReadings(5, 60);
+
+            if (stored.length === 0) {
+                log.info(`No data found in ${dest.label}`);
+                allOk = false;
+                continue;
+            }
 
-        if (dexcomValues.length === 0) {
-            console.log('[Verify] No data found in Dexcom Share');
-            return false;
+            log.info(`Latest ${dest.label} values:`);
+            for (const v of stored) {
+                log.info(`  - ${v.timestamp.toISOString()}: ${v.value} mg/dL`);
+            }
         }
 
-        console.log('[Verify] Latest Dexcom Share values:');
-        for (const v of dexcomValues) {
-           
-            const match = v.ST.match(/\/Date\((\d+)\)\//);
-            const date = match ? new Date(parseInt(match[1])) : 'Unknown';
-            console.log(`  - ${date.toISOString ? date.toISOString() : date}: ${v.Value} mg/dL`);
+        return allOk;
+    }
+
+    /**
+     * Compare the last N hours (at most 24) at the source with each destination
+     */
+    async diff(hours) {
+        await this.initialize();
+
+        const minutes = Math.min(Math.ceil(hours * 60), MAX_READ_MINUTES);
+        const since = new Date(Date.now() - minutes * 60 * 1000);
+        const source = this._resampleFor(await this._readingsSince(since));
+
+        const destinations = [];
+        for (const dest of this.destinations) {
+            const result = { name: dest.name, label: dest.label };
+            try {
+                // Destinations report trends the Dexcom way (names or inverted numbers)
+                const stored = (await dest.client.readLatestReadings(MAX_READ_COUNT, minutes))
+                    .map(r => ({ ...r, trend: dexcomTrendToLibre(r.trend) }));
+
+                // A full read may not reach back to `since`: only compare what it covers
+                let from = null;
+                if (stored.length >= MAX_READ_COUNT) {
+                    from = stored.reduce((min, r) => (r.timestamp < min ? r.timestamp : min), stored[0].timestamp);
+                }
+
+                Object.assign(result, diffReadings(from ? source.filter(r => r.timestamp >= from) : source, stored));
+                result.since = from;
+            } catch (error) {
+                this._log('Diff', dest).error(`Error: ${error.message}`);
+                result.error = error.message;
+            }
+            destinations.push(result);
         }
 
-        return true;
+        return {
+            pair: this.name,
+            source: this.source.label || 'source',
+            hours: hours,
+            destinations: destinations
+        };
     }
 
     /**
@@ -320,11 +1323,29 @@ class Syncer {
      */
     getStats() {
         return {
+            name: this.name,
             ...this.stats,
-            syncedTimestampsCount: this.syncedTimestamps.size,
-            serialNumber: this.dexcomClient.serialNumber
+            syncIntervalSeconds: this.syncInterval / 1000,
+            readingIntervalSeconds: this.scheduler.cadenceMs ? this.scheduler.cadenceMs / 1000 : null,
+            nextSync: this.scheduler.nextPoll,
+            rejectedReadings: { ...this.validator.rejected },
+            adjustedReadings: { ...this.validator.adjusted },
+            sensor: this.sensors.status(),
+            cloudflareBlocks: this.source.cloudflareBlocks || 0,
+            sourceCircuit: this.circuitBreaker ? this.circuitBreaker.status() : null,
+            syncedTimestampsCount: this.journal.size,
+            serialNumber: this.destinations[0].serialNumber,
+            destinations: this.destinations.map(d => ({
+                name: d.name,
+                serialNumber: d.serialNumber,
+                syncedTimestampsCount: d.journal.size,
+                ...d.stats
+            }))
         };
     }
 }
 
 module.exports = Syncer;
+module.exports.DEFAULT_STATE_DIR = DEFAULT_STATE_DIR;
+module.exports.STARTUP_RETRY_MS = STARTUP_RETRY_MS;
+module.exports.initializeUntilReady = initializeUntilReady;
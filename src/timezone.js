@@ -0,0 +1,73 @@
+/**
+ * Lib2Dex Time Zones
+ *
+ * UTC offsets for readings, in minutes east of UTC. A reading carries the
+ * offset in effect at its own time, so readings on either side of a DST
+ * change keep different offsets, and Dexcom Share shows each one at the
+ * wall-clock time the patient saw.
+ */
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * True if the name is an IANA time zone this Node.js build knows (e.g. Europe/Istanbul)
+ */
+function isValidTimezone(timeZone) {
+    try {
+        formatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock time in a time zone, as milliseconds read as if it were UTC
+ */
+function wallClock(timeZone, date) {
+    const parts = {};
+    for (const { type, value } of formatter(timeZone).formatToParts(date)) {
+        parts[type] = parseInt(value);
+    }
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+}
+
+/**
+ * UTC offset (minutes) of a time zone at the given instant
+ */
+function timezoneOffset(timeZone, date) {
+    const whole = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((wallClock(timeZone, date) - whole) / 60000);
+}
+
+/**
+ * Format an offset in minutes as +hhmm / -hhmm
+ */
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const pad = n => String(n).padStart(2, '0');
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+module.exports = {
+    isValidTimezone,
+    timezoneOffset,
+    formatUtcOffset
+};
@@ -0,0 +1,94 @@
+/**
+ * Lib2Dex Trend Estimator
+ *
+ * LibreLinkUp only sends a trend arrow with the current measurement; graph
+ * and logbook points have none. This derives one from the rate of change
+ * over the preceding readings, using Dexcom's bands (mg/dL per minute):
+ *
+ *   rate >= 3        DoubleUp        (7)
+ *   2 <= rate < 3    SingleUp        (6)
+ *   1 <= rate < 2    FortyFiveUp     (5)
+ *   -1 < rate < 1    Flat            (4)
+ *   -2 < rate <= -1  FortyFiveDown   (3)
+ *   -3 < rate <= -2  SingleDown      (2)
+ *   rate <= -3       DoubleDown      (1)
+ *
+ * Trends are on the LibreView 1-7 scale, like the rest of the readings.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Readings this far back feed the rate (Dexcom looks at roughly the last 15 minutes)
+const WINDOW_MS = 15 * MINUTE;
+
+// Shorter spans are too noisy for a trend
+const MIN_SPAN_MS = 4 * MINUTE;
+
+function isTrend(trend) {
+    return Number.isInteger(trend) && trend >= 1 && trend <= 7;
+}
+
+function isValue(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Map a rate of change (mg/dL per minute) to a LibreView trend
+ */
+function trendForRate(rate) {
+    if (rate >= 3) return 7;
+    if (rate >= 2) return 6;
+    if (rate >= 1) return 5;
+    if (rate > -1) return 4;
+    if (rate > -2) return 3;
+    if (rate > -3) return 2;
+    return 1;
+}
+
+/**
+ * Least-squares slope (mg/dL per minute) of the readings in the window
+ * ending at `index`, or null if they span less than MIN_SPAN_MS
+ */
+function rateAt(readings, index) {
+    const end = readings[index].timestamp.getTime();
+    const points = [];
+    for (let i = index; i < readings.length; i++) {
+        const t = readings[i].timestamp.getTime();
+        if (end - t > WINDOW_MS) break;
+        if (isValue(readings[i].value)) points.push([(t - end) / MINUTE, readings[i].value]);
+    }
+
+    if (points.length < 2 || -points[points.length - 1][0] * MINUTE < MIN_SPAN_MS) return null;
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    let num = 0;
+    let den = 0;
+    for (const [x, y] of points) {
+        num += (x - meanX) * (y - meanY);
+        den += (x - meanX) * (x - meanX);
+    }
+    return num / den;
+}
+
+/**
+ * Fill in trends for readings (newest first) that have none, or recompute
+ * all of them. Returns the readings, with changed ones copied and marked
+ * `trendEstimated`; a reading without enough history keeps its trend.
+ */
+function estimateTrends(readings, options = {}) {
+    return readings.map((reading, i) => {
+        if (!options.recompute && isTrend(reading.trend)) return reading;
+        if (!isValue(reading.value)) return reading;
+
+        const rate = rateAt(readings, i);
+        if (rate === null) return reading;
+
+        return { ...reading, trend: trendForRate(rate), trendEstimated: true };
+    });
+}
+
+module.exports = {
+    trendForRate,
+    estimateTrends
+};
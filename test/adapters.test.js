@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSource, createDestination } = require('../src/adapters');
+const NightscoutClient = require('../src/nightscout-client');
+
+const METHODS = ['authenticate', 'uploadReadings', 'readLatestReadings', 'testConnection'];
+const methods = names => names.map(name => `    async ${name}() { return null; }`).join('\n');
+
+// Third-party adapters in a temporary project directory, which becomes the working directory
+const ADAPTERS = {
+    'class-adapter.js': `module.exports = class {\n    constructor(options) { this.options = options; this.kind = 'class'; }\n${methods(METHODS)}\n};\n`,
+    'factory-adapter.js': `module.exports = {\n    create: options => ({ options, kind: 'factory', ${METHODS.map(m => `${m}: async () => null`).join(', ')} })\n};\n`,
+    'empty-adapter.js': 'module.exports = { name: \'nothing here\' };\n',
+    'partial-adapter.js': `module.exports = class {\n${methods(['authenticate', 'uploadReadings'])}\n};\n`,
+    'source-adapter.js': `module.exports = class {\n    constructor(options) { this.options = options; }\n${methods(['authenticate', 'getReadingsSince', 'testConnection'])}\n};\n`,
+    'node_modules/lib2dex-test-uploader/package.json': '{ "name": "lib2dex-test-uploader", "main": "uploader.js" }\n',
+    'node_modules/lib2dex-test-uploader/uploader.js': `module.exports.create = options => ({ options, kind: 'package', ${METHODS.map(m => `${m}: async () => null`).join(', ')} });\n`
+};
+
+test('adapters', async (t) => {
+    const cwd = process.cwd();
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    for (const [file, source] of Object.entries(ADAPTERS)) {
+        fs.mkdirSync(path.dirname(path.join(project, file)), { recursive: true });
+        fs.writeFileSync(path.join(project, file), source);
+    }
+    process.chdir(project);
+    t.after(() => {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    await t.test('selects the built-in adapters by name', () => {
+        const dest = createDestination({ destType: 'Nightscout', nightscoutUrl: 'https://ns.example.com' });
+        assert.ok(dest instanceof NightscoutClient);
+    });
+
+    await t.test('constructs a class with the options', () => {
+        const dest = createDestination({ destType: './class-adapter.js', destOptions: { url: 'x' } });
+        assert.strictEqual(dest.kind, 'class');
+        assert.deepStrictEqual(dest.options, { url: 'x' });
+
+        const source = createSource({ sourceType: path.join(project, 'source-adapter.js'), sourceOptions: { token: 't' } });
+        assert.deepStrictEqual(source.options, { token: 't' });
+    });
+
+    await t.test('calls a create(options) factory', () => {
+        const dest = createDestination({ destType: './factory-adapter.js', destOptions: { n: 1 } });
+        assert.strictEqual(dest.kind, 'factory');
+        assert.deepStrictEqual(dest.options, { n: 1 });
+    });
+
+    await t.test('finds a package installed in the working directory', () => {
+        const dest = createDestination({ destType: 'lib2dex-test-uploader', destOptions: { n: 2 } });
+        assert.strictEqual(dest.kind, 'package');
+        assert.deepStrictEqual(dest.options, { n: 2 });
+    });
+
+    await t.test('explains modules that cannot be used', () => {
+        assert.throws(() => createDestination({ destType: 'lib2dex-no-such-adapter' }),
+            /Could not load adapter "lib2dex-no-such-adapter": Cannot find module/);
+        assert.throws(() => createDestination({ destType: './empty-adapter.js' }),
+            /Adapter "\.\/empty-adapter\.js" must export a class or a create\(options\) function/);
+        assert.throws(() => createDestination({ destType: './partial-adapter.js' }),
+            /Destination adapter "\.\/partial-adapter\.js" is missing: readLatestReadings, testConnection/);
+        assert.throws(() => createSource({ sourceType: './class-adapter.js' }),
+            /Source adapter "\.\/class-adapter\.js" is missing: getReadingsSince/);
+    });
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const AlertManager = require('../src/alerts');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// Readings newest first, five minutes apart, the newest taken `at` minutes after NOW
+const readingsAt = (at, ...values) => values.map((value, i) => ({
+    value: value,
+    trend: 4,
+    timestamp: new Date(NOW + (at - i * 5) * MINUTE)
+}));
+const readings = (...values) => readingsAt(0, ...values);
+
+const stats = (overrides = {}, at = 0) => ({
+    startedAt: new Date(NOW - 60 * MINUTE),
+    lastReading: new Date(NOW + at * MINUTE),
+    destinations: [{ name: 'dest1', lastVerified: new Date(NOW + at * MINUTE), lastError: null }],
+    ...overrides
+});
+
+const SETTINGS = {
+    urgentLow: 55,
+    low: 70,
+    high: 250,
+    fallRate: 2,
+    staleMinutes: 20,
+    uploadMinutes: 30,
+    snoozeMinutes: 30
+};
+
+function createAlerts(settings = SETTINGS) {
+    const sent = [];
+    const alerts = new AlertManager(settings, { name: 'mom', send: async payload => { sent.push(payload); } });
+    return { alerts, sent };
+}
+
+test('AlertManager', async (t) => {
+    await t.test('ignores readings without a glucose value and codes sent in their place', async () => {
+        const { alerts, sent } = createAlerts();
+
+        const unreadable = readings(9, 120, 125, 130);
+        unreadable[0].original = undefined;
+        await alerts.evaluate({ readings: unreadable, stats: stats() }, NOW);
+        await alerts.evaluate({ readings: readings(null, 120, 125, 130), stats: stats() }, NOW);
+        await alerts.evaluate({ readings: readings(0, 120, 125, 130), stats: stats() }, NOW);
+
+        assert.deepStrictEqual(sent, []);
+    });
+
+    await t.test('fires once, repeats after the snooze and resolves', async () => {
+        const { alerts, sent } = createAlerts();
+
+        await alerts.evaluate({ readings: readings(65, 66), stats: stats() }, NOW);
+        await alerts.evaluate({ readings: readingsAt(10, 64, 65), stats: stats({}, 10) }, NOW + 10 * MINUTE);
+        await alerts.evaluate({ readings: readingsAt(30, 63, 64), stats: stats({}, 30) }, NOW + 30 * MINUTE);
+        await alerts.evaluate({ readings: readingsAt(35, 90, 80), stats: stats({}, 35) }, NOW + 35 * MINUTE);
+
+        assert.deepStrictEqual(sent.map(a => `${a.event}:${a.type}`), ['firing:low', 'firing:low', 'resolved:low']);
+        assert.strictEqual(sent[0].message, '[mom] Low: 65 mg/dL at 2026-01-01T12:00:00.000Z');
+        assert.strictEqual(sent[0].severity, 'warning');
+        assert.strictEqual(sent[1].value, 63);
+    });
+
+    await t.test('escalates from low to urgent low right away', async () => {
+        const { alerts, sent } = createAlerts();
+
+        await alerts.evaluate({ readings: readings(58, 60), stats: stats() }, NOW);
+        await alerts.evaluate({ readings: readingsAt(5, 52, 58), stats: stats({}, 5) }, NOW + 5 * MINUTE);
+
+        assert.deepStrictEqual(sent.map(a => a.type), ['low', 'urgent_low']);
+        assert.strictEqual(sent[1].severity, 'critical');
+    });
+
+    await t.test('alerts on a fast fall over the last 15 minutes', async () => {
+        const { alerts, sent } = createAlerts();
+
+        await alerts.evaluate({ readings: readings(120, 130, 140, 150), stats: stats() }, NOW);
+
+        assert.deepStrictEqual(sent.map(a => a.type), ['falling_fast']);
+        assert.strictEqual(sent[0].rate, -2);
+    });
+
+    await t.test('alerts on stale data and failing uploads', async () => {
+        const { alerts, sent } = createAlerts();
+
+        await alerts.evaluate({
+            readings: null,
+            stats: stats({
+                lastReading: new Date(NOW - 25 * MINUTE),
+                destinations: [{ name: 'dest1', lastVerified: new Date(NOW - 70 * MINUTE), lastError: 'HTTP 500' }]
+            })
+        }, NOW);
+
+        assert.deepStrictEqual(sent.map(a => a.message), [
+            '[mom] No new readings from the source for 25 minutes',
+            '[mom] Uploads to dest1 failing for 70 minutes: HTTP 500'
+        ]);
+    });
+
+    await t.test('keeps glucose alerts while data is stale', async () => {
+        const { alerts, sent } = createAlerts();
+
+        await alerts.evaluate({ readings: readings(60), stats: stats() }, NOW);
+        await alerts.evaluate({ readings: readings(60), stats: stats() }, NOW + 25 * MINUTE);
+
+        assert.deepStrictEqual(sent.map(a => `${a.event}:${a.type}`), ['firing:low', 'firing:stale']);
+    });
+
+    await t.test('does nothing without a delivery channel', async () => {
+        const alerts = new AlertManager(SETTINGS);
+
+        assert.deepStrictEqual(await alerts.evaluate({ readings: readings(40), stats: stats() }, NOW), []);
+    });
+});
+
+test('Alert delivery', async (t) => {
+    await t.test('posts JSON to the webhook', async () => {
+        const received = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push(JSON.parse(body));
+                res.writeHead(204).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const alerts = new AlertManager({ ...SETTINGS, webhookUrl: `http://127.0.0.1:${server.address().port}/hook` });
+            await alerts.evaluate({ readings: readings(300), stats: stats() }, NOW);
+        } finally {
+            server.close();
+        }
+
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(received[0].type, 'high');
+        assert.strictEqual(received[0].value, 300);
+    });
+
+    await t.test('runs the command with the alert in the environment', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-alerts-'));
+        const out = path.join(dir, 'alert.txt');
+
+        try {
+            const alerts = new AlertManager({
+                ...SETTINGS,
+                command: `printf '%s %s' "$LIB2DEX_ALERT_TYPE" "$LIB2DEX_ALERT_VALUE" > '${out}'`
+            });
+            await alerts.evaluate({ readings: readings(50), stats: stats() }, NOW);
+
+            assert.strictEqual(fs.readFileSync(out, 'utf8'), 'urgent_low 50');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const CircuitBreaker = require('../src/circuit-breaker');
+const { createSourceBreaker } = require('../src/adapters');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+
+test('CircuitBreaker opens, probes once and closes', () => {
+    const breaker = new CircuitBreaker(null, 'libreview', { label: 'LibreView' });
+
+    breaker.check(NOW);
+    assert.strictEqual(breaker.failure('HTTP 429', NOW), 5 * MINUTE);
+    assert.strictEqual(breaker.stateAt(NOW), 'open');
+    assert.throws(() => breaker.check(NOW + MINUTE), error => error.code === 'CIRCUIT_OPEN' && error.retryInMs === 4 * MINUTE);
+
+    // After the cool-down a single request goes through
+    assert.strictEqual(breaker.stateAt(NOW + 5 * MINUTE), 'half-open');
+    breaker.check(NOW + 5 * MINUTE);
+    assert.throws(() => breaker.check(NOW + 5 * MINUTE), /waiting for a test request/);
+
+    // A network error is not a verdict: the next request probes again
+    breaker.release();
+    breaker.check(NOW + 5 * MINUTE);
+    breaker.success();
+    assert.deepStrictEqual(breaker.status(NOW), { state: 'closed', trips: 0, openedAt: null, openUntil: null, reason: null });
+});
+
+test('CircuitBreaker doubles the cool-down for blocks in a row, up to the maximum', () => {
+    const breaker = new CircuitBreaker(null, 'libreview', { cooldownMinutes: 5, maxCooldownMinutes: 30 });
+
+    const cooldowns = [1, 2, 3, 4, 5].map(() => {
+        const cooldown = breaker.failure('HTTP 403', NOW) / MINUTE;
+        breaker.check(NOW + cooldown * MINUTE);
+        return cooldown;
+    });
+    assert.deepStrictEqual(cooldowns, [5, 10, 20, 30, 30]);
+
+    breaker.success();
+    assert.strictEqual(breaker.failure('HTTP 403', NOW), 5 * MINUTE);
+});
+
+test('CircuitBreaker keeps its state across restarts', () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    try {
+        const breaker = new CircuitBreaker(stateDir, 'libreview');
+        breaker.failure('HTTP 429', NOW);
+        breaker.failure('HTTP 429', NOW);
+        assert.ok(fs.existsSync(path.join(stateDir, 'circuit-libreview.json')));
+
+        const restarted = new CircuitBreaker(stateDir, 'libreview').load();
+        assert.strictEqual(restarted.stateAt(NOW + MINUTE), 'open');
+        assert.strictEqual(restarted.remainingMs(NOW + MINUTE), 9 * MINUTE);
+        assert.strictEqual(restarted.failure('HTTP 429', NOW), 20 * MINUTE);
+
+        // Other instances have their own state
+        assert.strictEqual(new CircuitBreaker(stateDir, 'other').load().stateAt(NOW), 'closed');
+
+        restarted.success();
+        assert.strictEqual(new CircuitBreaker(stateDir, 'libreview').load().stateAt(NOW), 'closed');
+
+        fs.writeFileSync(path.join(stateDir, 'circuit-libreview.json'), '{not json');
+        assert.strictEqual(new CircuitBreaker(stateDir, 'libreview').load().stateAt(NOW), 'closed');
+    } finally {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+});
+
+test('createSourceBreaker keeps a state file per LibreView account and host', () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    try {
+        const config = { libreEmail: 'Parent@example.com', libreRegion: 'eu' };
+        const breaker = createSourceBreaker(config, stateDir);
+        breaker.failure('HTTP 429', NOW);
+
+        const files = fs.readdirSync(stateDir);
+        assert.strictEqual(files.length, 1);
+        assert.match(files[0], /^circuit-libreview-[0-9a-f]{16}\.json$/);
+        assert.ok(!files[0].includes('example'));
+
+        assert.strictEqual(createSourceBreaker({ ...config, libreEmail: 'parent@example.com' }, stateDir).stateAt(NOW), 'open');
+        assert.strictEqual(createSourceBreaker({ ...config, libreEmail: 'other@example.com' }, stateDir).stateAt(NOW), 'closed');
+        assert.strictEqual(createSourceBreaker({ ...config, libreRegion: 'us' }, stateDir).stateAt(NOW), 'closed');
+        assert.strictEqual(createSourceBreaker({ ...config, sourceApiUrl: 'http://127.0.0.1:8081' }, stateDir).stateAt(NOW), 'closed');
+        assert.strictEqual(createSourceBreaker({ ...config, sourceCooldownMinutes: 0 }, stateDir), null);
+    } finally {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+});
+
+test('CircuitBreaker.wait resolves at the end of the cool-down or on cancel', async () => {
+    const breaker = new CircuitBreaker(null, 'libreview');
+    breaker.failure('HTTP 429');
+
+    const waiting = breaker.wait();
+    assert.strictEqual(breaker.waiters.size, 1);
+    breaker.cancel();
+    await waiting;
+    assert.strictEqual(breaker.waiters.size, 0);
+});
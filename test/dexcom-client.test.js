@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const DexcomClient = require('../src/dexcom-client');
+const DexcomShareMock = require('./mocks/dexcom-share-server');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+function createClient(mock, options = {}) {
+    const client = new DexcomClient(mock.username, mock.password, 'ous', {
+        host: '127.0.0.1',
+        port: mock.port,
+        protocol: 'http',
+        rateLimitDelayMs: 5,
+        ...options
+    });
+    client.setSerialNumber('SM12345678');
+    return client;
+}
+
+test('DexcomClient against mock Dexcom Share', async (t) => {
+    let mock;
+
+    t.beforeEach(async () => {
+        mock = await new DexcomShareMock().start();
+    });
+
+    t.afterEach(async () => {
+        await mock.stop();
+    });
+
+    await t.test('authenticates and registers the receiver', async () => {
+        const client = createClient(mock);
+
+        await client.authenticate();
+        await client.registerReceiver();
+
+        assert.strictEqual(client.accountId, mock.accountId);
+        assert.ok(mock.sessions.has(client.sessionId));
+        assert.ok(mock.receivers.has('SM12345678'));
+    });
+
+    await t.test('rejects a wrong password', async () => {
+        const client = createClient(mock);
+        client.password = 'wrong';
+
+        await assert.rejects(client.authenticate(), /Account authentication failed/);
+    });
+
+    await t.test('uploads readings and reads them back', async () => {
+        const client = createClient(mock);
+        await client.registerReceiver();
+
+        const readings = [
+            { value: 140, trend: 4, timestamp: minutesAgo(0) },
+            { value: 135, trend: 4, timestamp: minutesAgo(5) }
+        ];
+        const result = await client.uploadReadings(readings);
+        const stored = await client.readLatestReadings(10, 60);
+
+        assert.strictEqual(result.uploaded, 2);
+        assert.deepStrictEqual(stored.map(r => r.value), [140, 135]);
+        assert.strictEqual(stored[0].timestamp.getTime(), readings[0].timestamp.getTime());
+        assert.strictEqual(stored[0].trend, 'Flat');
+    });
+
+    await t.test('maps LibreView trends to Dexcom trends', async () => {
+        const client = createClient(mock);
+        await client.registerReceiver();
+
+        // LibreView: 1 = falling fast ... 7 = rising fast; Dexcom is the inverse
+        const readings = [1, 2, 3, 4, 5, 6, 7].map((trend, i) => ({
+            value: 100 + i,
+            trend: trend,
+            timestamp: minutesAgo(i * 5)
+        }));
+        await client.uploadReadings(readings);
+
+        assert.deepStrictEqual(
+            mock.readings.map(r => r.trend),
+            [7, 6, 5, 4, 3, 2, 1]
+        );
+        assert.deepStrictEqual(
+            (await client.readLatestReadings(7, 60)).map(r => r.trend),
+            ['DoubleDown', 'SingleDown', 'FortyFiveDown', 'Flat', 'FortyFiveUp', 'SingleUp', 'DoubleUp']
+        );
+    });
+
+    await t.test('defaults unknown trends to flat', () => {
+        const client = createClient(mock);
+
+        assert.strictEqual(client._formatForDexcom({ value: 100, trend: 0, timestamp: new Date() }).Trend, 4);
+        assert.strictEqual(client._formatForDexcom({ value: 100, trend: 'Flat', timestamp: new Date() }).Trend, 4);
+    });
+
+    await t.test('writes the reading\'s UTC offset into DT only', () => {
+        const client = createClient(mock);
+        const timestamp = new Date('2026-03-29T01:30:00Z');
+
+        const egv = client._formatForDexcom({ value: 100, trend: 4, timestamp: timestamp, utcOffset: 120 });
+        assert.strictEqual(egv.DT, `/Date(${timestamp.getTime()}+0200)/`);
+        assert.strictEqual(egv.ST, `/Date(${timestamp.getTime()})/`);
+        assert.strictEqual(client._formatForDexcom({ value: 100, trend: 4, timestamp: timestamp, utcOffset: -570 }).DT, `/Date(${timestamp.getTime()}-0930)/`);
+        assert.strictEqual(client._formatForDexcom({ value: 100, trend: 4, timestamp: timestamp }).DT, `/Date(${timestamp.getTime()}+0000)/`);
+    });
+
+    await t.test('refuses to upload a reading without a glucose value', () => {
+        const client = createClient(mock);
+
+        assert.throws(() => client._formatForDexcom({ value: null, trend: 4, timestamp: new Date() }), /Invalid glucose value null/);
+        assert.throws(() => client._formatForDexcom({ value: NaN, trend: 4, timestamp: new Date() }), /Invalid glucose value/);
+    });
+
+    await t.test('re-authenticates when the session expires during upload', async () => {
+        const client = createClient(mock);
+        await client.registerReceiver();
+        const oldSession = client.sessionId;
+
+        mock.expireSessions();
+        await client.uploadReadings([{ value: 150, trend: 4, timestamp: minutesAgo(0) }]);
+
+        assert.notStrictEqual(client.sessionId, oldSession);
+        assert.strictEqual(mock.readings.length, 1);
+    });
+
+    await t.test('re-authenticates when the session expires during read', async () => {
+        const client = createClient(mock);
+        await client.authenticate();
+
+        mock.expireSessions();
+        const values = await client.readLatestValues(1, 60);
+
+        assert.deepStrictEqual(values, []);
+        assert.strictEqual(mock.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length, 2);
+    });
+
+    await t.test('logs in again only once when new sessions are rejected too', async () => {
+        const client = createClient(mock);
+        await client.authenticate();
+
+        // Sessions are issued but never accepted
+        mock.sessions = { add() {}, has: () => false, clear() {} };
+        const logins = () => mock.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length;
+
+        await assert.rejects(client.registerReceiver(), /Failed to register receiver: .*SessionIdNotFound/);
+        assert.strictEqual(logins(), 2);
+
+        await assert.rejects(client.uploadReadings([{ value: 150, trend: 4, timestamp: minutesAgo(0) }]), /Failed to upload readings: .*SessionIdNotFound/);
+        assert.strictEqual(logins(), 3);
+
+        await assert.rejects(client.readLatestValues(1, 60), /Failed to read values: .*SessionIdNotFound/);
+        assert.strictEqual(logins(), 4);
+    });
+
+    await t.test('waits and retries an upload after a 429', async () => {
+        const client = createClient(mock);
+        await client.registerReceiver();
+
+        mock.queueRateLimit();
+        const result = await client.uploadReadings([{ value: 160, trend: 4, timestamp: minutesAgo(0) }]);
+
+        assert.strictEqual(result.uploaded, 1);
+        assert.strictEqual(mock.requestsTo('/ShareWebServices/Services/Publisher/PostReceiverEgvRecords').length, 2);
+    });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffReadings, formatDiff, hasDifferences } = require('../src/diff');
+const { dexcomTrendToLibre } = require('../src/dexcom-client');
+
+const at = (minute, value, trend = 4, seconds = 0) => ({
+    value: value,
+    trend: trend,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 12, minute, seconds))
+});
+
+test('diffReadings', async (t) => {
+    await t.test('classifies missing, extra, value and trend differences', () => {
+        const source = [at(20, 120), at(15, 118, 5), at(10, 110), at(5, 100)];
+        const dest = [at(20, 120, 4, 10), at(15, 118, 4), at(10, 111), at(0, 95)];
+
+        const { summary, entries } = diffReadings(source, dest);
+
+        assert.deepStrictEqual(summary, {
+            source: 4,
+            destination: 4,
+            matched: 1,
+            missing: 1,
+            extra: 1,
+            valueMismatch: 1,
+            trendMismatch: 1
+        });
+        assert.deepStrictEqual(entries.map(e => e.status), ['trend', 'value', 'missing', 'extra']);
+    });
+
+    await t.test('ignores destinations without a trend', () => {
+        const { summary } = diffReadings([at(5, 100, 6)], [at(5, 100, null)]);
+
+        assert.strictEqual(summary.matched, 1);
+    });
+});
+
+test('formatDiff', async (t) => {
+    const results = [{
+        pair: 'mom',
+        source: 'LibreView',
+        hours: 1,
+        destinations: [{ name: 'dest1', label: 'Dexcom Share', ...diffReadings([at(5, 100), at(0, 98)], [at(0, 98)]) }]
+    }];
+
+    await t.test('writes one CSV row per difference', () => {
+        assert.strictEqual(formatDiff(results, 'csv'), [
+            'pair,destination,timestamp,status,source_value,source_trend,destination_value,destination_trend',
+            'mom,dest1,2026-01-01T12:05:00.000Z,missing,100,4,,',
+            ''
+        ].join('\n'));
+    });
+
+    await t.test('summarizes each destination as text', () => {
+        const text = formatDiff(results, 'text');
+
+        assert.match(text, /LibreView vs Dexcom Share \(mom\/dest1\), last 1h:/);
+        assert.match(text, /1 matched, 1 missing, 0 extra/);
+        assert.ok(hasDifferences(results));
+    });
+});
+
+test('dexcomTrendToLibre', () => {
+    assert.deepStrictEqual(
+        ['DoubleUp', 'Flat', 'DoubleDown', 'NotComputable', 1, 4, 7].map(dexcomTrendToLibre),
+        [7, 4, 1, null, 7, 4, 1]
+    );
+});
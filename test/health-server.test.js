@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const logger = require('../src/logger');
+const HealthServer = require('../src/health-server');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const secondsAgo = seconds => new Date(Date.now() - seconds * 1000);
+
+// getStats() of one pair, as a Syncer reports it
+const pairStats = (name, options = {}) => ({
+    name: name,
+    startedAt: secondsAgo(3600),
+    lastSync: secondsAgo(30),
+    lastError: null,
+    lastReading: secondsAgo(90),
+    syncIntervalSeconds: 60,
+    errors: 1,
+    rejectedReadings: { invalid: 2 },
+    sensor: { ageHours: 50.5 },
+    destinations: [{
+        name: 'dest1',
+        totalSynced: 12,
+        totalRepaired: 3,
+        totalInterpolated: 4,
+        errors: 0,
+        uploadSeconds: 1.5,
+        uploadCount: 6,
+        lastUploadSeconds: 0.25
+    }],
+    ...options
+});
+
+const get = (server, route, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.port, path: route, method: method }, res => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: body }));
+    });
+    req.on('error', reject);
+    req.end();
+});
+
+test('HealthServer', async (t) => {
+    let stats, server;
+
+    t.beforeEach(async () => {
+        stats = [pairStats('jane')];
+        server = await new HealthServer({ getStats: () => stats, source: { cloudflareBlocks: 2 } }, { port: 0 }).start();
+    });
+
+    t.afterEach(async () => {
+        await server.stop();
+    });
+
+    await t.test('/healthz fails once the last sync is older than staleIntervals intervals', async () => {
+        const ok = await get(server, '/healthz');
+        assert.strictEqual(ok.status, 200);
+        assert.strictEqual(JSON.parse(ok.body).status, 'ok');
+
+        // 3 intervals of 60s by default
+        stats = [pairStats('jane', { lastSync: secondsAgo(170) })];
+        assert.strictEqual((await get(server, '/healthz')).status, 200);
+
+        stats = [pairStats('jane', { lastSync: secondsAgo(190), lastError: 'HTTP 500' })];
+        const stale = await get(server, '/healthz');
+        assert.strictEqual(stale.status, 503);
+        const health = JSON.parse(stale.body);
+        assert.strictEqual(health.status, 'stale');
+        assert.deepStrictEqual(
+            health.pairs.map(p => [p.name, p.healthy, p.maxAgeSeconds, p.lastError]),
+            [['jane', false, 180, 'HTTP 500']]
+        );
+
+        server.staleIntervals = 5;
+        assert.strictEqual((await get(server, '/healthz')).status, 200);
+    });
+
+    await t.test('/healthz goes by the start time until the first sync, and fails if any pair is stale', async () => {
+        stats = [pairStats('jane', { lastSync: null, startedAt: secondsAgo(60) })];
+        assert.strictEqual((await get(server, '/healthz')).status, 200);
+
+        stats = [pairStats('jane', { lastSync: null, startedAt: secondsAgo(600) })];
+        assert.strictEqual((await get(server, '/healthz')).status, 503);
+
+        stats = [pairStats('jane'), pairStats('john', { lastSync: secondsAgo(600) })];
+        const health = JSON.parse((await get(server, '/healthz')).body);
+        assert.deepStrictEqual(health.pairs.map(p => p.healthy), [true, false]);
+        assert.strictEqual(health.status, 'stale');
+    });
+
+    await t.test('/metrics reports counters and gauges per pair and destination', async () => {
+        stats = [pairStats('jane'), pairStats('john "2"', { lastSync: secondsAgo(600) })];
+
+        const response = await get(server, '/metrics');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.type, 'text/plain; version=0.0.4');
+
+        const lines = response.body.split('\n');
+        for (const line of [
+            '# TYPE lib2dex_healthy gauge',
+            'lib2dex_healthy{pair="jane"} 1',
+            'lib2dex_healthy{pair="john \\"2\\""} 0',
+            '# TYPE lib2dex_readings_synced_total counter',
+            'lib2dex_readings_synced_total{pair="jane",destination="dest1"} 12',
+            'lib2dex_readings_repaired_total{pair="jane",destination="dest1"} 3',
+            'lib2dex_readings_interpolated_total{pair="jane",destination="dest1"} 4',
+            'lib2dex_readings_rejected_total{pair="jane",reason="invalid"} 2',
+            'lib2dex_sync_errors_total{pair="jane"} 1',
+            'lib2dex_cloudflare_blocks_total 2',
+            'lib2dex_sensor_age_hours{pair="jane"} 50.5',
+            'lib2dex_upload_duration_seconds_sum{pair="jane",destination="dest1"} 1.5',
+            'lib2dex_upload_duration_seconds_count{pair="jane",destination="dest1"} 6',
+            'lib2dex_last_upload_duration_seconds{pair="jane",destination="dest1"} 0.25'
+        ]) {
+            assert.ok(lines.includes(line), `missing: ${line}`);
+        }
+
+        const age = lines.find(l => l.startsWith('lib2dex_last_sync_age_seconds{pair="jane"}'));
+        assert.ok(Math.abs(parseFloat(age.split(' ')[1]) - 30) < 5);
+        // No circuit breaker: the gauge has no samples
+        assert.ok(!lines.some(l => l.startsWith('lib2dex_source_paused_seconds ')));
+    });
+
+    await t.test('/stats is redacted JSON, other routes and methods are refused', async () => {
+        logger.registerSecret('hunter2-secret');
+        stats = [pairStats('jane', { lastError: 'login failed for hunter2-secret' })];
+
+        const response = await get(server, '/stats');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(JSON.parse(response.body)[0].name, 'jane');
+        assert.ok(!response.body.includes('hunter2-secret'));
+
+        assert.strictEqual((await get(server, '/nope')).status, 404);
+        assert.strictEqual((await get(server, '/healthz', 'POST')).status, 405);
+    });
+});
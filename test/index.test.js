@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { execFileSync } = require('child_process');
+const lib2dex = require('..');
+
+const ROOT = path.join(__dirname, '..');
+
+test('library entry point', async (t) => {
+    await t.test('exports the clients, syncer and helpers', () => {
+        for (const name of ['LibreViewClient', 'DexcomClient', 'NightscoutClient', 'Syncer', 'SyncGroup', 'loadConfig', 'ConfigError']) {
+            assert.strictEqual(typeof lib2dex[name], 'function', name);
+        }
+        assert.strictEqual(lib2dex.Syncer, require('../src/syncer'));
+        assert.strictEqual(lib2dex.dexcomTrendToLibre('Flat'), 4);
+    });
+
+    await t.test('ignores the command line and leaves the process running', () => {
+        const script = `require('./index.js'); setTimeout(() => process.stdout.write('still running'), 10);`;
+        const output = execFileSync(process.execPath, ['-e', script, '--', '--help'], { cwd: ROOT, encoding: 'utf8' });
+
+        assert.strictEqual(output, 'still running');
+    });
+
+    await t.test('runs the CLI when started directly, as older setups do', () => {
+        const output = execFileSync(process.execPath, ['index.js', '--help'], { cwd: ROOT, encoding: 'utf8' });
+
+        assert.match(output, /--daemon/);
+    });
+
+    await t.test('still resolves modules under src/', () => {
+        assert.strictEqual(require.resolve('lib2dex/src/syncer'), require.resolve('../src/syncer'));
+        assert.strictEqual(require.resolve('lib2dex/src/syncer.js'), require.resolve('../src/syncer'));
+    });
+
+    await t.test('loads as an ES module with the same exports', async () => {
+        const esm = await import(pathToFileURL(path.join(ROOT, 'index.mjs')).href);
+
+        assert.strictEqual(esm.Syncer, lib2dex.Syncer);
+        assert.strictEqual(esm.default, lib2dex);
+        assert.deepStrictEqual(Object.keys(esm).filter(k => k !== 'default').sort(), Object.keys(lib2dex).sort());
+    });
+});
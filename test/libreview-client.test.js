@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const LibreViewClient = require('../src/libreview-client');
+const CircuitBreaker = require('../src/circuit-breaker');
+const LibreLinkUpMock = require('./mocks/librelinkup-server');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const PATIENT = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+// Whole seconds, since LibreLinkUp timestamps have no milliseconds
+const minutesAgo = minutes => new Date(Math.floor(Date.now() / 1000) * 1000 - minutes * 60 * 1000);
+
+function createClient(mock, options = {}) {
+    return new LibreViewClient(mock.email, mock.password, '', {
+        host: '127.0.0.1',
+        port: mock.port,
+        protocol: 'http',
+        retryDelayMs: 5,
+        ...options
+    });
+}
+
+test('LibreViewClient against mock LibreLinkUp', async (t) => {
+    let mock;
+
+    t.beforeEach(async () => {
+        mock = await new LibreLinkUpMock().start();
+    });
+
+    t.afterEach(async () => {
+        await mock.stop();
+    });
+
+    await t.test('logs in and follows the region redirect', async () => {
+        await mock.stop();
+        mock = await new LibreLinkUpMock({ region: 'eu' }).start();
+        const client = createClient(mock);
+
+        await client.authenticate();
+
+        assert.strictEqual(client.region, 'eu');
+        assert.strictEqual(client.baseUrl, '127.0.0.1');
+        assert.strictEqual(mock.requestsTo('/llu/auth/login').length, 2);
+        assert.ok(client.isTokenValid());
+    });
+
+    await t.test('uses the regional host when no host is configured', () => {
+        const client = new LibreViewClient('a@example.com', 'pw', 'eu');
+        assert.strictEqual(client.baseUrl, 'api-eu.libreview.io');
+        assert.strictEqual(client.port, 443);
+    });
+
+    await t.test('rejects a wrong password', async () => {
+        const client = createClient(mock);
+        client.password = 'wrong';
+
+        await assert.rejects(client.authenticate(), /Authentication failed/);
+    });
+
+    await t.test('reads the current measurement and graph, newest first', async () => {
+        const times = [10, 5, 0].map(minutesAgo);
+        mock.setReadings(PATIENT, [
+            { value: 110, trend: 4, timestamp: times[0] },
+            { value: 120, trend: 5, timestamp: times[1] },
+            { value: 130, trend: 6, timestamp: times[2] }
+        ]);
+        const client = createClient(mock);
+
+        const readings = await client.getReadingsSince(minutesAgo(60));
+
+        assert.deepStrictEqual(readings.map(r => r.value), [130, 120, 110]);
+        assert.strictEqual(readings[0].trend, 6);
+        assert.strictEqual(readings[0].timestamp.getTime(), times[2].getTime());
+        assert.strictEqual(readings[2].timestamp.getTime(), times[0].getTime());
+    });
+
+    await t.test('reads the active sensor from the graph response', async () => {
+        mock.seedReadings(PATIENT, 1, 5);
+        const client = createClient(mock);
+
+        await client.getReadingsSince(minutesAgo(60));
+        assert.strictEqual(await client.getSensor(), null);
+
+        const activatedAt = minutesAgo(90);
+        mock.setSensor(PATIENT, { serial: '0M000AAAAA', activatedAt: activatedAt, warmupMinutes: 60 });
+        await client.getReadingsSince(minutesAgo(60));
+
+        const sensor = await client.getSensor();
+        assert.strictEqual(sensor.serial, '0M000AAAAA');
+        assert.strictEqual(sensor.activatedAt.getTime(), activatedAt.getTime());
+        assert.strictEqual(sensor.warmupMinutes, 60);
+    });
+
+    await t.test('reads FactoryTimestamp as UTC and keeps the phone\'s offset', async () => {
+        await mock.stop();
+        mock = await new LibreLinkUpMock({ timeZone: 'Asia/Kolkata' }).start();
+        const times = [minutesAgo(0), minutesAgo(5)];
+        mock.setReadings(PATIENT, [
+            { value: 110, trend: 4, timestamp: times[1] },
+            { value: 120, trend: 4, timestamp: times[0] }
+        ]);
+        const client = createClient(mock);
+
+        const readings = await client.getReadingsSince(minutesAgo(60));
+
+        assert.deepStrictEqual(readings.map(r => r.timestamp.getTime()), times.map(time => time.getTime()));
+        assert.deepStrictEqual(readings.map(r => r.utcOffset), [330, 330]);
+    });
+
+    await t.test('keeps both readings in the hour repeated when DST ends', () => {
+        const client = createClient(mock);
+        // America/New_York falls back at 06:00 UTC: 1:30 AM happens twice
+        const readings = [
+            { FactoryTimestamp: '11/1/2026 5:30:00 AM', Timestamp: '11/1/2026 1:30:00 AM', ValueInMgPerDl: 100 },
+            { FactoryTimestamp: '11/1/2026 6:30:00 AM', Timestamp: '11/1/2026 1:30:00 AM', ValueInMgPerDl: 105 }
+        ].map(item => client._formatReading(item));
+
+        assert.deepStrictEqual(readings.map(r => r.timestamp.toISOString()), ['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']);
+        assert.deepStrictEqual(readings.map(r => r.utcOffset), [-240, -300]);
+        assert.strictEqual(client._dedupeReadings(readings).length, 2);
+    });
+
+    await t.test('adds logbook entries for windows past the graph', async () => {
+        mock.setReadings(PATIENT, [{ value: 100, trend: 4, timestamp: minutesAgo(0) }]);
+        mock.setLogbook(PATIENT, [{ value: 90, trend: 3, timestamp: minutesAgo(14 * 60) }]);
+        const client = createClient(mock);
+
+        const readings = await client.getReadingsSince(minutesAgo(16 * 60));
+
+        assert.deepStrictEqual(readings.map(r => r.value), [100, 90]);
+    });
+
+    await t.test('selects a connection by name', async () => {
+        mock.connections.push({ patientId: 'b2c3d4e5-0000-4000-8000-000000000002', firstName: 'John', lastName: 'Roe' });
+        const client = createClient(mock);
+
+        assert.strictEqual(await client.getPatientId('john'), 'b2c3d4e5-0000-4000-8000-000000000002');
+        await assert.rejects(client.getPatientId('nobody'), /No LibreLinkUp connection matches/);
+    });
+
+    await t.test('logs in again when the token has expired', async () => {
+        const client = createClient(mock);
+        await client.authenticate();
+
+        client.tokenExpiry = new Date(Date.now() - 1000);
+        await client.getConnections();
+
+        assert.strictEqual(mock.requestsTo('/llu/auth/login').length, 2);
+    });
+
+    await t.test('retries after a Cloudflare HTML block page', async () => {
+        const client = createClient(mock);
+        await client.authenticate();
+
+        mock.queueCloudflareBlock();
+        const connections = await client.getConnections();
+
+        assert.strictEqual(connections.length, 1);
+        assert.strictEqual(client.cloudflareBlocks, 1);
+        assert.strictEqual(mock.requestsTo('/llu/connections').length, 2);
+    });
+
+    await t.test('retries after a 429 and gives up after maxRetries', async () => {
+        const client = createClient(mock);
+        await client.authenticate();
+
+        mock.queueRateLimit().queueRateLimit().queueRateLimit();
+        await assert.rejects(client.getConnections(), /LibreView API blocked/);
+
+        assert.strictEqual(client.cloudflareBlocks, 3);
+        assert.strictEqual(mock.requestsTo('/llu/connections').length, 3);
+    });
+
+    await t.test('with a circuit breaker, stops all requests after a block instead of retrying', async () => {
+        const breaker = new CircuitBreaker(null, 'libreview', { label: 'LibreView', cooldownMinutes: 1 });
+        const client = createClient(mock, { circuitBreaker: breaker });
+        const limited = [];
+        client.on('rateLimited', info => limited.push(info));
+        await client.authenticate();
+
+        mock.queueRateLimit();
+        await assert.rejects(client.getConnections(), error => error.code === 'CIRCUIT_OPEN' && error.retryInMs === 60000);
+        await assert.rejects(client.getPatientId(), /LibreView paused after being blocked \(HTTP 429\), retrying in 1 min/);
+
+        assert.strictEqual(mock.requestsTo('/llu/connections').length, 1);
+        assert.deepStrictEqual(limited, [{ status: 429, attempt: 1, maxAttempts: 1, retryInMs: 60000 }]);
+
+        // Cool-down over: the next request probes and closes the circuit
+        breaker.openUntil = Date.now();
+        assert.strictEqual((await client.getConnections()).length, 1);
+        assert.strictEqual(breaker.state, 'closed');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Mock Dexcom Share API
+ *
+ * Emulates the endpoints DexcomClient uses:
+ *   General/AuthenticatePublisherAccount
+ *   General/LoginPublisherAccountById
+ *   Publisher/ReplacePublisherAccountMonitoredReceiver
+ *   Publisher/PostReceiverEgvRecords
+ *   Publisher/ReadPublisherLatestGlucoseValues
+ */
+
+const crypto = require('crypto');
+const MockServer = require('./mock-server');
+
+const BASE = '/ShareWebServices/Services';
+
+// Trend names returned by ReadPublisherLatestGlucoseValues, by numeric trend
+const TREND_NAMES = {
+    0: 'None',
+    1: 'DoubleUp',
+    2: 'SingleUp',
+    3: 'FortyFiveUp',
+    4: 'Flat',
+    5: 'FortyFiveDown',
+    6: 'SingleDown',
+    7: 'DoubleDown',
+    8: 'NotComputable',
+    9: 'RateOutOfRange'
+};
+
+/**
+ * Dexcom fault response (always HTTP 500)
+ */
+function fault(code, message) {
+    return {
+        status: 500,
+        body: { Code: code, Message: message, SubCode: `<${code}/>`, TypeName: 'FaultException' }
+    };
+}
+
+class DexcomShareMock extends MockServer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.username]
+     * @param {string} [options.password]
+     */
+    constructor(options = {}) {
+        super();
+        this.username = options.username || 'publisher';
+        this.password = options.password || 'publisher-password';
+        this.accountId = options.accountId || crypto.randomUUID();
+
+        this.sessions = new Set();
+        this.receivers = new Set();
+        this.egvs = new Map();
+    }
+
+    /**
+     * Stored records as normalized readings, newest first
+     */
+    get readings() {
+        return [...this.egvs.values()]
+            .sort((a, b) => b.time - a.time)
+            .map(e => ({ value: e.Value, trend: e.Trend, timestamp: new Date(e.time) }));
+    }
+
+    /**
+     * Invalidate every session (the next call fails with SessionIdNotFound)
+     */
+    expireSessions() {
+        this.sessions.clear();
+    }
+
+    route(request) {
+        const action = request.path.startsWith(`${BASE}/`) ? request.path.slice(BASE.length + 1) : null;
+        const body = request.body || {};
+
+        switch (action) {
+            case 'General/AuthenticatePublisherAccount':
+                if (String(body.accountName).toLowerCase() !== this.username.toLowerCase() ||
+                    body.password !== this.password || !body.applicationId) {
+                    return fault('AccountPasswordInvalid', 'Publisher account password failed');
+                }
+                return { status: 200, body: this.accountId };
+
+            case 'General/LoginPublisherAccountById': {
+                if (body.accountId !== this.accountId || body.password !== this.password || !body.applicationId) {
+                    return fault('AccountPasswordInvalid', 'Publisher account password failed');
+                }
+                const sessionId = crypto.randomUUID();
+                this.sessions.add(sessionId);
+                return { status: 200, body: sessionId };
+            }
+        }
+
+        if (!action || !action.startsWith('Publisher/')) {
+            return super.route(request);
+        }
+
+        if (!this.sessions.has(request.query.sessionId)) {
+            return fault('SessionIdNotFound', `Session ID ${request.query.sessionId} not found`);
+        }
+
+        switch (action) {
+            case 'Publisher/ReplacePublisherAccountMonitoredReceiver': {
+                const serial = request.query.sn || (typeof body === 'string' ? body : null);
+                if (!serial) return fault('InvalidArgument', 'Missing receiver serial number');
+                this.receivers.add(serial);
+                return { status: 200 };
+            }
+
+            case 'Publisher/PostReceiverEgvRecords':
+                if (!this.receivers.has(body.SN)) {
+                    return fault('MonitoredReceiverSerialNumberDoesNotMatch', `Receiver ${body.SN} is not assigned`);
+                }
+                for (const egv of body.Egvs || []) {
+                    const time = parseInt((String(egv.DT).match(/Date\((\d+)/) || [])[1]);
+                    if (!time) return fault('InvalidArgument', `Invalid DT ${egv.DT}`);
+                    this.egvs.set(time, { time: time, Value: egv.Value, Trend: egv.Trend });
+                }
+                return { status: 200 };
+
+            case 'Publisher/ReadPublisherLatestGlucoseValues': {
+                const minutes = parseInt(request.query.minutes);
+                const maxCount = parseInt(request.query.maxCount);
+                if (!(minutes > 0 && minutes <= 1440) || !(maxCount > 0 && maxCount <= 288)) {
+                    return fault('InvalidArgument', 'minutes must be 1-1440 and maxCount 1-288');
+                }
+
+                const cutoff = Date.now() - minutes * 60 * 1000;
+                const values = [...this.egvs.values()]
+                    .filter(e => e.time >= cutoff)
+                    .sort((a, b) => b.time - a.time)
+                    .slice(0, maxCount)
+                    .map(e => ({
+                        WT: `Date(${e.time})`,
+                        ST: `Date(${e.time})`,
+                        DT: `Date(${e.time}+0000)`,
+                        Value: e.Value,
+                        Trend: TREND_NAMES[e.Trend] || 'None'
+                    }));
+                return { status: 200, body: values };
+            }
+        }
+
+        return super.route(request);
+    }
+}
+
+module.exports = DexcomShareMock;
+module.exports.TREND_NAMES = TREND_NAMES;
@@ -0,0 +1,51 @@
+/**
+ * Local mock LibreLinkUp, Dexcom Share and Nightscout servers
+ *
+ * Run `npm run mock` to start them with 12 hours of generated readings,
+ * then point lib2dex at them with the printed environment variables.
+ */
+
+const LibreLinkUpMock = require('./librelinkup-server');
+const DexcomShareMock = require('./dexcom-share-server');
+const NightscoutMock = require('./nightscout-server');
+const ProxyMock = require('./proxy-server');
+
+module.exports = {
+    LibreLinkUpMock,
+    DexcomShareMock,
+    NightscoutMock,
+    ProxyMock
+};
+
+if (require.main === module) {
+    (async () => {
+        const libre = new LibreLinkUpMock();
+        libre.seedReadings(libre.connections[0].patientId);
+        libre.setSensor(libre.connections[0].patientId, {
+            serial: '0M0000A1B2C',
+            activatedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
+        });
+        const dexcom = new DexcomShareMock();
+        const nightscout = new NightscoutMock();
+
+        await libre.start(parseInt(process.env.MOCK_LIBRE_PORT) || 0);
+        await dexcom.start(parseInt(process.env.MOCK_DEXCOM_PORT) || 0);
+        await nightscout.start(parseInt(process.env.MOCK_NIGHTSCOUT_PORT) || 0);
+
+        console.log('Mock servers running (Ctrl+C to stop). Use:\n');
+        console.log(`SOURCE_API_URL=${libre.url}`);
+        console.log(`SOURCE_EMAIL=${libre.email}`);
+        console.log(`SOURCE_PASSWORD=${libre.password}`);
+        console.log(`DEST_API_URL=${dexcom.url}`);
+        console.log(`DEST_USERNAME=${dexcom.username}`);
+        console.log(`DEST_PASSWORD=${dexcom.password}`);
+        console.log('DEST_2_TYPE=nightscout');
+        console.log(`DEST_2_URL=${nightscout.url}`);
+        console.log(`DEST_2_API_SECRET=${nightscout.apiSecret}`);
+
+        process.on('SIGINT', async () => {
+            await Promise.all([libre.stop(), dexcom.stop(), nightscout.stop()]);
+            process.exit(0);
+        });
+    })();
+}
@@ -0,0 +1,253 @@
+/**
+ * Mock LibreLinkUp API
+ *
+ * Emulates the endpoints LibreViewClient uses:
+ *   POST /llu/auth/login                  (with region redirect)
+ *   GET  /llu/connections
+ *   GET  /llu/connections/:id/graph
+ *   GET  /llu/connections/:id/logbook
+ */
+
+const crypto = require('crypto');
+const MockServer = require('./mock-server');
+
+// LibreLinkUp graph data covers roughly the last 12 hours
+const GRAPH_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Format a Date the way LibreLinkUp does: "M/D/YYYY h:mm:ss AM", as the
+ * wall-clock time in `timeZone` (this machine's time zone if not given).
+ * FactoryTimestamp is UTC, Timestamp is the phone's local time.
+ */
+function formatTimestamp(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).forEach(p => { parts[p.type] = parseInt(p.value); });
+
+    const hours = parts.hour % 24;
+    const pad = n => String(n).padStart(2, '0');
+
+    return `${parts.month}/${parts.day}/${parts.year} ` +
+        `${hours % 12 || 12}:${pad(parts.minute)}:${pad(parts.second)} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Build a LibreLinkUp glucose item from { value, trend, timestamp }
+ */
+function toGlucoseItem(reading, timeZone) {
+    return {
+        FactoryTimestamp: formatTimestamp(reading.timestamp, 'UTC'),
+        Timestamp: formatTimestamp(reading.timestamp, timeZone),
+        type: 1,
+        ValueInMgPerDl: reading.value,
+        TrendArrow: reading.trend,
+        MeasurementColor: 1,
+        GlucoseUnits: 1,
+        Value: reading.value,
+        isHigh: reading.value > 250,
+        isLow: reading.value < 70
+    };
+}
+
+class LibreLinkUpMock extends MockServer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.email]
+     * @param {string} [options.password]
+     * @param {string} [options.region] - Home region; the first login is redirected there
+     * @param {number} [options.tokenTtlSeconds=3600]
+     * @param {object[]} [options.connections] - { patientId, firstName, lastName }
+     * @param {string} [options.timeZone] - The phone's time zone, for Timestamp (default: this machine's)
+     */
+    constructor(options = {}) {
+        super();
+        this.email = options.email || 'follower@example.com';
+        this.password = options.password || 'follower-password';
+        this.region = options.region || null;
+        this.tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+        this.timeZone = options.timeZone || null;
+        this.userId = options.userId || 'c2d3e4f5-0000-4000-8000-000000000001';
+        this.connections = options.connections || [
+            { patientId: 'a1b2c3d4-0000-4000-8000-000000000001', firstName: 'Jane', lastName: 'Doe' }
+        ];
+
+        this.tokens = new Map();
+        this.readings = {};
+        this.logbook = {};
+        this.sensors = {};
+        this.redirected = false;
+    }
+
+    /**
+     * Set a patient's readings ({ value, trend, timestamp }); the newest is the current measurement
+     */
+    setReadings(patientId, readings) {
+        this.readings[patientId] = readings.slice().sort((a, b) => b.timestamp - a.timestamp);
+        return this;
+    }
+
+    /**
+     * Set a patient's logbook entries ({ value, trend, timestamp })
+     */
+    setLogbook(patientId, entries) {
+        this.logbook[patientId] = entries;
+        return this;
+    }
+
+    /**
+     * Set a patient's sensor ({ serial, activatedAt, warmupMinutes }), or null for none
+     */
+    setSensor(patientId, sensor) {
+        this.sensors[patientId] = sensor;
+        return this;
+    }
+
+    /**
+     * Generate readings every `stepMinutes` for the last `hours`
+     */
+    seedReadings(patientId, hours = 12, stepMinutes = 5) {
+        const now = Date.now();
+        const readings = [];
+        for (let t = 0; t < hours * 60; t += stepMinutes) {
+            const value = Math.round(130 + 50 * Math.sin(t / 90));
+            const slope = Math.cos(t / 90);
+            readings.push({
+                value: value,
+                trend: slope > 0.5 ? 2 : slope < -0.5 ? 6 : 4,
+                timestamp: new Date(now - t * 60 * 1000)
+            });
+        }
+        return this.setReadings(patientId, readings);
+    }
+
+    /**
+     * Invalidate every issued token (server-side session expiry)
+     */
+    expireTokens() {
+        this.tokens.clear();
+    }
+
+    route(request) {
+        if (request.method === 'POST' && request.path === '/llu/auth/login') {
+            return this._login(request.body || {});
+        }
+
+        if (!this._authorized(request.headers)) {
+            return { status: 401, body: { message: 'invalid or expired jwt' } };
+        }
+
+        if (request.method === 'GET' && request.path === '/llu/connections') {
+            return { status: 200, body: { status: 0, data: this.connections.map(c => this._connection(c)) } };
+        }
+
+        const match = request.path.match(/^\/llu\/connections\/([^/]+)\/(graph|logbook)$/);
+        if (request.method === 'GET' && match) {
+            const connection = this.connections.find(c => c.patientId === match[1]);
+            if (!connection) {
+                return { status: 200, body: { status: 4, error: { message: 'Connection not found' } } };
+            }
+            return match[2] === 'graph' ? this._graph(connection) : this._logbook(connection);
+        }
+
+        return super.route(request);
+    }
+
+    _login(body) {
+        if (body.email !== this.email || body.password !== this.password) {
+            return { status: 200, body: { status: 2, error: { message: 'notAuthenticated' } } };
+        }
+
+        if (this.region && !this.redirected) {
+            this.redirected = true;
+            return { status: 200, body: { status: 0, data: { redirect: true, region: this.region } } };
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expires = Math.floor(Date.now() / 1000) + this.tokenTtlSeconds;
+        this.tokens.set(token, expires * 1000);
+
+        return {
+            status: 200,
+            body: {
+                status: 0,
+                data: {
+                    user: { id: this.userId, email: this.email, country: 'DE' },
+                    authTicket: { token: token, expires: expires, duration: this.tokenTtlSeconds * 1000 }
+                }
+            }
+        };
+    }
+
+    _authorized(headers) {
+        const match = (headers.authorization || '').match(/^Bearer (.+)$/);
+        const expiry = match && this.tokens.get(match[1]);
+        if (!expiry || expiry < Date.now()) return false;
+
+        const accountId = crypto.createHash('sha256').update(this.userId).digest('hex');
+        return headers['account-id'] === accountId;
+    }
+
+    _current(connection) {
+        const readings = this.readings[connection.patientId] || [];
+        return readings.length > 0 ? toGlucoseItem(readings[0], this.timeZone) : null;
+    }
+
+    _connection(connection) {
+        return {
+            id: connection.patientId,
+            patientId: connection.patientId,
+            firstName: connection.firstName,
+            lastName: connection.lastName,
+            glucoseMeasurement: this._current(connection),
+            sensor: this._sensor(connection)
+        };
+    }
+
+    _sensor(connection) {
+        const sensor = this.sensors[connection.patientId];
+        if (!sensor) return null;
+
+        return {
+            deviceId: '',
+            sn: sensor.serial,
+            a: Math.floor(sensor.activatedAt.getTime() / 1000),
+            w: sensor.warmupMinutes !== undefined ? sensor.warmupMinutes : 60,
+            pt: 4
+        };
+    }
+
+    _graph(connection) {
+        const cutoff = Date.now() - GRAPH_MS;
+        const readings = (this.readings[connection.patientId] || []).slice(1)
+            .filter(r => r.timestamp.getTime() >= cutoff)
+            .reverse();
+
+        return {
+            status: 200,
+            body: {
+                status: 0,
+                data: {
+                    connection: this._connection(connection),
+                    activeSensors: this.sensors[connection.patientId]
+                        ? [{ sensor: this._sensor(connection), device: {} }]
+                        : [],
+                    graphData: readings.map(r => {
+                        const item = toGlucoseItem(r, this.timeZone);
+                        delete item.TrendArrow;
+                        return item;
+                    })
+                }
+            }
+        };
+    }
+
+    _logbook(connection) {
+        const entries = (this.logbook[connection.patientId] || []).map(r => toGlucoseItem(r, this.timeZone));
+        return { status: 200, body: { status: 0, data: entries } };
+    }
+}
+
+module.exports = LibreLinkUpMock;
+module.exports.formatTimestamp = formatTimestamp;
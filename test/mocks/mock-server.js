@@ -0,0 +1,151 @@
+/**
+ * Base class for the local mock API servers
+ *
+ * Records every request and can be told to answer the next requests with
+ * canned failures (rate limits, Cloudflare block pages) before routing
+ * normally again.
+ */
+
+const http = require('http');
+
+// What Cloudflare serves when it blocks or rate limits a client
+const CLOUDFLARE_HTML = `<!DOCTYPE html>
+<html lang="en-US">
+<head><title>Access denied | api.libreview.io used Cloudflare to restrict access</title></head>
+<body><h1>Error 1015</h1><p>You are being rate limited.</p>
+<p>error code: 1015</p><p>Cloudflare Ray ID: 7d2b5c1e9f0a1234</p></body>
+</html>`;
+
+class MockServer {
+    constructor() {
+        this.server = null;
+        this.port = null;
+        this.requests = [];
+        this.faults = [];
+
+        // Delay every response by this many ms (requests in flight)
+        this.delayMs = 0;
+    }
+
+    /**
+     * Base URL of the running server
+     */
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    /**
+     * Start listening (port 0 picks a free port)
+     */
+    start(port = 0) {
+        this.server = http.createServer((req, res) => this._receive(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Answer the next request with a fixed response instead of routing it
+     */
+    queueFault(status, body, headers = {}) {
+        this.faults.push({ status, body, headers });
+        return this;
+    }
+
+    /**
+     * Answer the next request with HTTP 429
+     */
+    queueRateLimit() {
+        return this.queueFault(429, { Code: 'TooManyRequests', Message: 'Rate limit exceeded' });
+    }
+
+    /**
+     * Answer the next request with a Cloudflare HTML block page
+     */
+    queueCloudflareBlock(status = 403) {
+        return this.queueFault(status, CLOUDFLARE_HTML, { 'Content-Type': 'text/html; charset=UTF-8' });
+    }
+
+    /**
+     * Requests received for a path (query string ignored)
+     */
+    requestsTo(path) {
+        return this.requests.filter(r => r.path === path);
+    }
+
+    /**
+     * Handle a request: subclasses implement route(request) => { status, body, headers }
+     */
+    _receive(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const raw = Buffer.concat(chunks).toString('utf8');
+
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (e) {
+                body = raw;
+            }
+
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: body
+            };
+            this.requests.push(request);
+
+            const response = this.faults.length > 0 ? this.faults.shift() : this.route(request);
+            if (this.delayMs > 0) {
+                setTimeout(() => this._send(res, response), this.delayMs);
+            } else {
+                this._send(res, response);
+            }
+        });
+    }
+
+    /**
+     * Write a response (objects and arrays are sent as JSON)
+     */
+    _send(res, { status = 200, body = null, headers = {} }) {
+        const text = body === null || body === undefined
+            ? ''
+            : typeof body === 'string' && headers['Content-Type'] ? body : JSON.stringify(body);
+
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            ...headers,
+            'Content-Length': Buffer.byteLength(text)
+        });
+        res.end(text);
+    }
+
+    route() {
+        return { status: 404, body: { message: 'Not found' } };
+    }
+}
+
+module.exports = MockServer;
+module.exports.CLOUDFLARE_HTML = CLOUDFLARE_HTML;
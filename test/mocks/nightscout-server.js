@@ -0,0 +1,107 @@
+/**
+ * Mock Nightscout site
+ *
+ * Emulates the endpoints NightscoutClient uses:
+ *   GET  /api/v1/verifyauth
+ *   POST /api/v1/entries
+ *   GET  /api/v1/entries/sgv.json
+ *
+ * Requests authenticate with the API secret (its SHA1 hash in the
+ * API-SECRET header) or an access token (?token=). Without credentials
+ * the site answers 401; a read-only token may read but not upload (403).
+ */
+
+const crypto = require('crypto');
+const MockServer = require('./mock-server');
+
+const sha1 = text => crypto.createHash('sha1').update(text).digest('hex');
+
+class NightscoutMock extends MockServer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.apiSecret]
+     * @param {object} [options.tokens] - Access tokens by role ('write' or 'read')
+     */
+    constructor(options = {}) {
+        super();
+        this.apiSecret = options.apiSecret || 'nightscout-api-secret';
+        this.tokens = new Map(Object.entries(options.tokens || {
+            'lib2dex-0123456789abcdef': 'write',
+            'follower-0123456789abcdef': 'read'
+        }));
+
+        this.entries = new Map();
+    }
+
+    /**
+     * Stored sgv entries as normalized readings, newest first
+     */
+    get readings() {
+        return [...this.entries.values()]
+            .sort((a, b) => b.date - a.date)
+            .map(e => ({ value: e.sgv, trend: e.trend, timestamp: new Date(e.date) }));
+    }
+
+    /**
+     * A token with the given role
+     */
+    tokenFor(role) {
+        return [...this.tokens].find(([, r]) => r === role)[0];
+    }
+
+    /**
+     * Role of a request's credentials: 'admin' (API secret), the token's
+     * role, or null
+     */
+    _role(request) {
+        if (request.headers['api-secret'] === sha1(this.apiSecret)) return 'admin';
+        return this.tokens.get(request.query.token) || null;
+    }
+
+    route(request) {
+        if (!request.path.startsWith('/api/v1/')) {
+            return super.route(request);
+        }
+
+        const role = this._role(request);
+        if (!role) {
+            return { status: 401, body: { status: 401, message: 'Unauthorized', description: 'Invalid/Missing' } };
+        }
+
+        if (request.method === 'GET' && request.path === '/api/v1/verifyauth') {
+            return {
+                status: 200,
+                body: { status: 200, message: { message: 'OK', canRead: true, canWrite: role !== 'read', isAdmin: role === 'admin' } }
+            };
+        }
+
+        if (request.method === 'POST' && request.path === '/api/v1/entries') {
+            if (role === 'read') {
+                return { status: 403, body: { status: 403, message: 'Forbidden', description: 'api:entries:create' } };
+            }
+            const entries = Array.isArray(request.body) ? request.body : [request.body];
+            for (const entry of entries) {
+                if (!entry || typeof entry.date !== 'number' || !entry.type) {
+                    return { status: 400, body: { status: 400, message: 'Invalid entry' } };
+                }
+                // Like Nightscout, an entry with the same date and type replaces the earlier one
+                this.entries.set(`${entry.type}:${entry.date}`, { ...entry });
+            }
+            return { status: 200, body: entries };
+        }
+
+        if (request.method === 'GET' && request.path === '/api/v1/entries/sgv.json') {
+            const count = parseInt(request.query.count) || 10;
+            const since = parseInt(request.query['find[date][$gte]']) || 0;
+            const entries = [...this.entries.values()]
+                .filter(e => e.type === 'sgv' && e.date >= since)
+                .sort((a, b) => b.date - a.date)
+                .slice(0, count);
+            return { status: 200, body: entries };
+        }
+
+        return super.route(request);
+    }
+}
+
+module.exports = NightscoutMock;
@@ -0,0 +1,194 @@
+/**
+ * Mock proxy server
+ *
+ * Accepts HTTP CONNECT and SOCKS5 tunnels on the same port (told apart by
+ * the first byte, 5 for SOCKS) and records each tunnel it opened.
+ */
+
+const net = require('net');
+
+class ProxyMock {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.username] - Require these credentials
+     * @param {string} [options.password]
+     */
+    constructor(options = {}) {
+        this.username = options.username || null;
+        this.password = options.password || null;
+        this.server = null;
+        this.port = null;
+        this.tunnels = [];
+        this.sockets = new Set();
+    }
+
+    /**
+     * Proxy URL for a scheme (http, socks5, socks5h)
+     */
+    url(scheme = 'http') {
+        const auth = this.username ? `${encodeURIComponent(this.username)}:${encodeURIComponent(this.password)}@` : '';
+        return `${scheme}://${auth}127.0.0.1:${this.port}`;
+    }
+
+    start(port = 0) {
+        this.server = net.createServer(socket => this._accept(socket));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        for (const socket of this.sockets) socket.destroy();
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    _accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        const onData = chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            const handled = buffer[0] === 5 ? this._socks(socket, buffer) : this._connect(socket, buffer);
+            if (handled !== null) {
+                socket.removeListener('data', onData);
+                buffer = handled;
+            }
+        };
+        socket.on('data', onData);
+    }
+
+    /**
+     * Handle a CONNECT request once its header is complete (returns null until then)
+     */
+    _connect(socket, buffer) {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) return null;
+
+        const lines = buffer.subarray(0, end).toString('latin1').split('\r\n');
+        const [method, target] = lines[0].split(' ');
+        const header = name => {
+            const line = lines.find(l => l.toLowerCase().startsWith(`${name}:`));
+            return line ? line.slice(name.length + 1).trim() : null;
+        };
+
+        if (method !== 'CONNECT') {
+            socket.end('HTTP/1.1 405 Method Not Allowed\r\n\r\n');
+            return Buffer.alloc(0);
+        }
+        if (this.username) {
+            const expected = `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+            if (header('proxy-authorization') !== expected) {
+                socket.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic\r\n\r\n');
+                return Buffer.alloc(0);
+            }
+        }
+
+        const separator = target.lastIndexOf(':');
+        this._tunnel(socket, 'http', target.slice(0, separator), parseInt(target.slice(separator + 1)),
+            'HTTP/1.1 200 Connection Established\r\n\r\n', buffer.subarray(end + 4));
+        return Buffer.alloc(0);
+    }
+
+    /**
+     * Run the SOCKS5 handshake step by step (returns null while waiting for more bytes)
+     */
+    _socks(socket, buffer) {
+        let state = 'greeting';
+        let pending = buffer;
+
+        const step = () => {
+            if (state === 'greeting') {
+                if (pending.length < 2 || pending.length < 2 + pending[1]) return false;
+                const methods = Array.from(pending.subarray(2, 2 + pending[1]));
+                pending = pending.subarray(2 + pending[1]);
+
+                const method = this.username ? 2 : 0;
+                if (!methods.includes(method)) {
+                    socket.end(Buffer.from([5, 0xff]));
+                    return false;
+                }
+                socket.write(Buffer.from([5, method]));
+                state = this.username ? 'auth' : 'request';
+                return true;
+            }
+
+            if (state === 'auth') {
+                if (pending.length < 2) return false;
+                const userEnd = 2 + pending[1];
+                if (pending.length < userEnd + 1 || pending.length < userEnd + 1 + pending[userEnd]) return false;
+                const user = pending.subarray(2, userEnd).toString();
+                const pass = pending.subarray(userEnd + 1, userEnd + 1 + pending[userEnd]).toString();
+                pending = pending.subarray(userEnd + 1 + pending[userEnd]);
+
+                const ok = user === this.username && pass === this.password;
+                socket.write(Buffer.from([1, ok ? 0 : 1]));
+                if (!ok) {
+                    socket.end();
+                    return false;
+                }
+                state = 'request';
+                return true;
+            }
+
+            if (state === 'request') {
+                if (pending.length < 5) return false;
+                const type = pending[3];
+                const length = { 1: 4, 3: 1 + pending[4], 4: 16 }[type];
+                if (pending.length < 4 + length + 2) return false;
+
+                let host;
+                if (type === 1) host = Array.from(pending.subarray(4, 8)).join('.');
+                else if (type === 3) host = pending.subarray(5, 5 + pending[4]).toString();
+                else host = pending.subarray(4, 20).toString('hex').match(/.{4}/g).join(':');
+                const port = pending.readUInt16BE(4 + length);
+
+                this._tunnel(socket, type === 3 ? 'socks5h' : 'socks5', host, port,
+                    Buffer.from([5, 0, 0, 1, 127, 0, 0, 1, 0, 0]), pending.subarray(4 + length + 2));
+                state = 'done';
+                return false;
+            }
+
+            return false;
+        };
+
+        const onData = chunk => {
+            pending = Buffer.concat([pending, chunk]);
+            while (step());
+        };
+        while (step());
+        if (state !== 'done') socket.on('data', onData);
+
+        const finished = () => socket.removeListener('data', onData);
+        socket.once('tunnel', finished);
+        return Buffer.alloc(0);
+    }
+
+    _tunnel(socket, protocol, host, port, reply, rest) {
+        this.tunnels.push({ protocol, host, port });
+        socket.emit('tunnel');
+
+        const upstream = net.connect({ host, port }, () => {
+            socket.write(reply);
+            if (rest.length > 0) upstream.write(rest);
+            socket.pipe(upstream);
+            upstream.pipe(socket);
+        });
+        this.sockets.add(upstream);
+        upstream.on('close', () => this.sockets.delete(upstream));
+        upstream.on('error', () => socket.destroy());
+    }
+}
+
+module.exports = ProxyMock;
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const logger = require('../src/logger');
+const NightscoutClient = require('../src/nightscout-client');
+const NightscoutMock = require('./mocks/nightscout-server');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+test('NightscoutClient against mock Nightscout', async (t) => {
+    let mock;
+
+    t.beforeEach(async () => {
+        mock = await new NightscoutMock().start();
+    });
+
+    t.afterEach(async () => {
+        await mock.stop();
+    });
+
+    await t.test('sends the API secret as its SHA1 hash, uploads entries and reads them back', async () => {
+        const client = new NightscoutClient(mock.url, mock.apiSecret);
+        client.setSerialNumber('SM12345678');
+
+        const readings = [
+            { value: 140, trend: 4, timestamp: minutesAgo(0) },
+            { value: 135, trend: 2, timestamp: minutesAgo(5) }
+        ];
+        assert.deepStrictEqual(await client.uploadReadings(readings), { uploaded: 2, skipped: 0 });
+
+        const posts = mock.requests.filter(r => r.method === 'POST' && r.path === '/api/v1/entries');
+        assert.strictEqual(posts.length, 1);
+        assert.strictEqual(posts[0].headers['api-secret'], crypto.createHash('sha1').update(mock.apiSecret).digest('hex'));
+        assert.ok(mock.requests.every(r => !JSON.stringify(r).includes(mock.apiSecret)));
+
+        const stored = [...mock.entries.values()].sort((a, b) => b.date - a.date);
+        assert.deepStrictEqual(stored.map(e => [e.type, e.sgv, e.direction, e.device]), [
+            ['sgv', 140, 'Flat', 'lib2dex-SM12345678'],
+            ['sgv', 135, 'SingleDown', 'lib2dex-SM12345678']
+        ]);
+
+        const latest = await client.readLatestReadings(1, 10);
+        assert.strictEqual(latest.length, 1);
+        assert.strictEqual(latest[0].value, 140);
+        assert.strictEqual(latest[0].timestamp.getTime(), readings[0].timestamp.getTime());
+
+        // Only entries inside the window come back
+        assert.deepStrictEqual((await client.readLatestReadings(10, 3)).map(r => r.value), [140]);
+    });
+
+    await t.test('authenticates with an access token instead of the API secret', async () => {
+        const token = mock.tokenFor('write');
+        const client = new NightscoutClient(mock.url, null, token);
+
+        await client.uploadReadings([{ value: 120, trend: 4, timestamp: minutesAgo(0) }]);
+
+        assert.ok(mock.requests.length > 0);
+        for (const request of mock.requests) {
+            assert.strictEqual(request.query.token, token);
+            assert.strictEqual(request.headers['api-secret'], undefined);
+        }
+        assert.strictEqual(mock.readings.length, 1);
+    });
+
+    await t.test('rejects wrong credentials (401) and read-only tokens', async () => {
+        await assert.rejects(new NightscoutClient(mock.url, 'wrong-secret').authenticate(), /authentication failed \(401\)/);
+        await assert.rejects(new NightscoutClient(mock.url).authenticate(), /authentication failed \(401\)/);
+        await assert.rejects(
+            new NightscoutClient(mock.url, null, mock.tokenFor('read')).authenticate(),
+            /not allowed to upload/
+        );
+
+        const result = await new NightscoutClient(mock.url, 'wrong-secret').testConnection();
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(mock.entries.size, 0);
+    });
+
+    await t.test('an upload refused with 403 fails and checks the credentials again next time', async () => {
+        const token = mock.tokenFor('write');
+        const client = new NightscoutClient(mock.url, null, token);
+        await client.authenticate();
+
+        // The token's role is changed to read-only on the site
+        mock.tokens.set(token, 'read');
+        await assert.rejects(
+            client.uploadReadings([{ value: 120, trend: 4, timestamp: minutesAgo(0) }]),
+            /rejected upload \(403\)/
+        );
+        assert.strictEqual(client.authenticated, false);
+        assert.strictEqual(mock.entries.size, 0);
+
+        mock.tokens.set(token, 'write');
+        await client.uploadReadings([{ value: 120, trend: 4, timestamp: minutesAgo(0) }]);
+        assert.strictEqual(mock.requestsTo('/api/v1/verifyauth').length, 2);
+        assert.strictEqual(mock.entries.size, 1);
+    });
+
+    await t.test('testConnection reports whether the site has data', async () => {
+        const client = new NightscoutClient(mock.url, mock.apiSecret);
+
+        const empty = await client.testConnection();
+        assert.strictEqual(empty.success, true);
+        assert.strictEqual(empty.hasData, false);
+
+        await client.uploadReadings([{ value: 98, trend: 4, timestamp: minutesAgo(30) }]);
+        const result = await client.testConnection();
+        assert.strictEqual(result.hasData, true);
+        assert.strictEqual(result.latestValue.value, 98);
+    });
+});
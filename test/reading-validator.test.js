@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../src/logger');
+const ReadingValidator = require('../src/reading-validator');
+const { classifyReading } = require('../src/reading-validator');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const at = (minute, value, extra = {}) => ({ value: value, trend: 4, timestamp: new Date(NOW - minute * 60 * 1000), ...extra });
+
+test('classifyReading', () => {
+    assert.deepStrictEqual(
+        [at(0, 120), at(0, 39), at(0, 401), at(0, null), at(0, 0), at(0, NaN), at(0, '120'), at(0, null, { isLow: true }), at(0, 0, { isHigh: true })]
+            .map(classifyReading),
+        ['ok', 'low', 'high', 'missing', 'zero', 'invalid', 'invalid', 'low', 'high']
+    );
+});
+
+test('ReadingValidator', async (t) => {
+    const readings = [at(0, 120), at(5, 35), at(10, 450), at(15, null), at(20, 0)];
+
+    await t.test('sends Dexcom codes for LO/HI and skips unreadable values by default', () => {
+        const validator = new ReadingValidator();
+        const result = validator.apply(readings, NOW);
+
+        assert.deepStrictEqual(result.map(r => r.value), [120, 39, 401]);
+        assert.strictEqual(result[1].original, 35);
+        assert.deepStrictEqual(validator.rejected, { low: 0, high: 0, missing: 1, zero: 1, invalid: 0 });
+        assert.deepStrictEqual(validator.adjusted, { low: 1, high: 1, missing: 0, zero: 0, invalid: 0 });
+    });
+
+    await t.test('clamps or skips as configured', () => {
+        const validator = new ReadingValidator({ low: 'skip', high: 'clamp', invalid: 'code' });
+
+        assert.deepStrictEqual(validator.apply(readings, NOW).map(r => r.value), [120, 400, 9, 9]);
+        assert.strictEqual(validator.rejected.low, 1);
+    });
+
+    await t.test('counts each reading once across sync cycles', () => {
+        const validator = new ReadingValidator();
+        validator.apply(readings, NOW);
+        validator.apply(readings, NOW + 5 * 60 * 1000);
+
+        assert.strictEqual(validator.rejected.missing, 1);
+        assert.strictEqual(validator.adjusted.low, 1);
+    });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resampleReadings } = require('../src/resampler');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// Readings newest first, `step` minutes apart, the newest at NOW + `at` minutes
+const series = (at, step, ...values) => values.map((value, i) => ({
+    value: value,
+    trend: 4,
+    timestamp: new Date(NOW + (at - i * step) * MINUTE)
+}));
+
+const minutes = readings => readings.map(r => (r.timestamp.getTime() - NOW) / MINUTE);
+
+test('resampleReadings', async (t) => {
+    const oneMinute = series(7, 1, 107, 106, 105, 104, 103, 102, 101, 100, 99, 98, 97, 96);
+
+    await t.test('keeps the first reading of each 5-minute slot', () => {
+        const result = resampleReadings(oneMinute, { mode: 'pick' });
+
+        assert.deepStrictEqual(minutes(result), [5, 0, -4]);
+        assert.deepStrictEqual(result.map(r => r.value), [105, 100, 96]);
+    });
+
+    await t.test('averages complete slots and holds back the current one', () => {
+        const result = resampleReadings(oneMinute, { mode: 'average' });
+
+        assert.deepStrictEqual(minutes(result), [4, -1]);
+        assert.deepStrictEqual(result.map(r => r.value), [102, 98]);
+        assert.strictEqual(result[0].averaged, 5);
+    });
+
+    await t.test('leaves 5-minute data alone', () => {
+        const readings = series(0, 5, 120, 115, 110);
+
+        assert.deepStrictEqual(resampleReadings(readings, { mode: 'average' }), readings);
+        assert.strictEqual(resampleReadings(readings, { mode: 'off' }), readings);
+    });
+
+    await t.test('interpolates 15-minute history into empty slots only', () => {
+        const readings = series(0, 15, 130, 100).concat(series(-20, 5, 90));
+        readings.splice(1, 0, { value: 125, trend: 4, timestamp: new Date(NOW - 4 * MINUTE) });
+
+        const result = resampleReadings(readings, { interpolate: true });
+
+        assert.deepStrictEqual(minutes(result), [0, -4, -10, -15, -20]);
+        assert.deepStrictEqual(result.map(r => r.interpolated === true), [false, false, true, false, false]);
+        assert.strictEqual(result[2].value, 111);
+    });
+
+    await t.test('holds back the current slot of one-minute data even with one reading', () => {
+        const result = resampleReadings(series(5, 2, 110, 100), { mode: 'average' });
+
+        assert.deepStrictEqual(minutes(result), [3]);
+    });
+
+    await t.test('leaves slots the destination already has alone', () => {
+        assert.deepStrictEqual(minutes(resampleReadings(oneMinute, { mode: 'pick', uploaded: [NOW + 6 * MINUTE] })), [0, -4]);
+
+        // The uploaded reading at -15 still anchors the interpolation
+        const uploaded = [NOW - 15 * MINUTE, NOW - 10 * MINUTE];
+        const result = resampleReadings(series(0, 15, 130, 100), { mode: 'pick', interpolate: true, uploaded });
+        assert.deepStrictEqual(minutes(result), [0, -5]);
+        assert.strictEqual(result[1].interpolated, true);
+    });
+
+    await t.test('never blends LO, HI or unreadable codes with glucose values', () => {
+        const slot = series(3, 1, 120, 9, 130);
+        slot[1].original = undefined;
+
+        const averaged = resampleReadings(series(7, 1, 125).concat(slot), { mode: 'average' });
+        assert.deepStrictEqual(averaged.map(r => r.value), [9]);
+
+        const history = series(0, 15, 39, 100);
+        history[0].original = 35;
+        const interpolated = resampleReadings(history, { interpolate: true });
+        assert.deepStrictEqual(interpolated.map(r => r.value), [39, 100]);
+    });
+
+    await t.test('does not bridge gaps longer than 15 minutes', () => {
+        const readings = series(0, 30, 130, 100);
+
+        assert.deepStrictEqual(minutes(resampleReadings(readings, { interpolate: true })), [0, -30]);
+    });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PollScheduler = require('../src/scheduler');
+const { PollSpacer } = require('../src/scheduler');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// Readings newest first, `step` minutes apart, the newest `age` minutes old
+const readingsAt = (age, step, count = 4) => Array.from({ length: count }, (_, i) => ({
+    value: 100,
+    trend: 4,
+    timestamp: new Date(NOW - (age + i * step) * MINUTE)
+}));
+
+const createScheduler = (options = {}) => new PollScheduler({ maxIntervalMs: 15 * MINUTE, lagMs: 20 * 1000, ...options });
+
+test('PollScheduler', async (t) => {
+    await t.test('polls shortly after the next Libre 2 reading is due', () => {
+        const scheduler = createScheduler();
+        scheduler.observe(readingsAt(2, 5));
+
+        assert.strictEqual(scheduler.cadenceMs, 5 * MINUTE);
+        assert.strictEqual(scheduler.nextDelay(NOW), 3 * MINUTE + 20 * 1000);
+    });
+
+    await t.test('follows Libre 3 minute readings, no faster than the minimum spacing', () => {
+        const scheduler = createScheduler({ minSpacingMs: 90 * 1000 });
+        scheduler.observe(readingsAt(0, 1));
+
+        assert.strictEqual(scheduler.cadenceMs, MINUTE);
+        assert.strictEqual(scheduler.nextDelay(NOW), 90 * 1000);
+    });
+
+    await t.test('backs off while no new reading arrives', () => {
+        const readings = readingsAt(1, 5);
+
+        const delays = [1, 2, 3, 4].map(misses => {
+            const scheduler = createScheduler();
+            scheduler.observe(readings);
+            for (let i = 0; i < misses; i++) scheduler.observe(readings);
+            return scheduler.nextDelay(NOW);
+        });
+
+        assert.deepStrictEqual(delays, [5, 10, 15, 15].map(m => m * MINUTE));
+    });
+
+    await t.test('resets after new data and learns a shorter cadence', () => {
+        const scheduler = createScheduler();
+        scheduler.observe(readingsAt(10, 15));
+        scheduler.failed();
+        scheduler.observe(readingsAt(9, 15));
+
+        assert.strictEqual(scheduler.misses, 0);
+        assert.strictEqual(scheduler.cadenceMs, MINUTE);
+    });
+
+    await t.test('uses the fixed interval without data or when disabled', () => {
+        assert.strictEqual(createScheduler().nextDelay(NOW), 15 * MINUTE);
+
+        const fixed = createScheduler({ adaptive: false });
+        fixed.observe(readingsAt(0, 1));
+        assert.strictEqual(fixed.nextDelay(NOW), 15 * MINUTE);
+    });
+
+    await t.test('keeps pairs sharing a spacer apart', () => {
+        const spacer = new PollSpacer(MINUTE);
+        const a = createScheduler({ spacer });
+        const b = createScheduler({ spacer });
+        a.observe(readingsAt(2, 5));
+        b.observe(readingsAt(2, 5));
+
+        assert.strictEqual(b.nextDelay(NOW) - a.nextDelay(NOW), -MINUTE);
+    });
+});
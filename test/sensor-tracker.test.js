@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SensorTracker = require('../src/sensor-tracker');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+const at = (minute, value = 120) => ({ value: value, trend: 4, timestamp: new Date(NOW - minute * MINUTE) });
+const every5 = (from, to) => Array.from({ length: (to - from) / 5 + 1 }, (_, i) => at(from + i * 5));
+const sensor = (serial, ageMs, extra = {}) => ({ serial: serial, activatedAt: new Date(NOW - ageMs), warmupMinutes: 60, ...extra });
+
+test('SensorTracker states', () => {
+    const tracker = new SensorTracker();
+
+    assert.strictEqual(tracker.stateAt(NOW), 'unknown');
+    const states = [30 * MINUTE, 2 * DAY, 13.5 * DAY, 14 * DAY].map(age => {
+        tracker.update(sensor('A', age), [], NOW);
+        return tracker.state;
+    });
+    assert.deepStrictEqual(states, ['warmup', 'active', 'ending', 'expired']);
+
+    const lifetime = new SensorTracker({ lifetimeDays: 15 });
+    lifetime.update(sensor('B', 14 * DAY), [], NOW);
+    assert.strictEqual(lifetime.state, 'ending');
+    assert.strictEqual(lifetime.status(NOW).expiresAt.getTime(), NOW + DAY);
+    assert.strictEqual(lifetime.status(NOW).ageHours, 336);
+});
+
+test('SensorTracker detects a sensor replacement', () => {
+    const tracker = new SensorTracker();
+
+    const first = tracker.update(sensor('A', 10 * DAY), every5(0, 60), NOW);
+    assert.strictEqual(first.first, true);
+    assert.strictEqual(first.changed, false);
+    assert.deepStrictEqual([first.previousState, tracker.state], ['unknown', 'active']);
+
+    assert.strictEqual(tracker.update(sensor('A', 10 * DAY), every5(0, 60), NOW).stateChanged, false);
+
+    const replaced = tracker.update(sensor('B', 10 * MINUTE), every5(90, 180), NOW);
+    assert.strictEqual(replaced.changed, true);
+    assert.strictEqual(replaced.previous.serial, 'A');
+    assert.strictEqual(tracker.state, 'warmup');
+    assert.strictEqual(tracker.changes, 1);
+    // No readings during warm-up is not signal loss
+    assert.strictEqual(replaced.signalLost, null);
+});
+
+test('SensorTracker reports signal-loss periods once', () => {
+    const tracker = new SensorTracker();
+    const readings = every5(0, 30).concat(every5(75, 120));
+
+    const update = tracker.update(sensor('A', 2 * DAY), readings, NOW);
+    assert.strictEqual(update.signalLosses.length, 1);
+    assert.deepStrictEqual(update.signalLosses[0], { from: at(75).timestamp, to: at(30).timestamp, minutes: 45 });
+
+    assert.strictEqual(tracker.update(sensor('A', 2 * DAY), readings, NOW + 5 * MINUTE).signalLosses.length, 0);
+    assert.strictEqual(tracker.status(NOW).signalLosses.length, 1);
+});
+
+test('SensorTracker counts LO and HI readings without a value, not unreadable ones', () => {
+    const tracker = new SensorTracker();
+    const lo = every5(35, 70).map(r => ({ ...r, value: null, isLow: true }));
+    const unreadable = every5(75, 110).map(r => ({ ...r, value: 0 }));
+    const readings = every5(0, 30).concat(lo, unreadable, every5(115, 150));
+
+    const update = tracker.update(sensor('A', 2 * DAY), readings, NOW);
+    assert.deepStrictEqual(update.signalLosses, [{ from: at(115).timestamp, to: at(70).timestamp, minutes: 45 }]);
+});
+
+test('SensorTracker ignores the gap around a sensor change', () => {
+    const tracker = new SensorTracker();
+    const readings = every5(0, 30).concat(every5(120, 180));
+
+    const update = tracker.update(sensor('B', 90 * MINUTE), readings, NOW);
+    assert.deepStrictEqual(update.signalLosses, []);
+});
+
+test('SensorTracker flags an ongoing signal loss', () => {
+    const tracker = new SensorTracker();
+    const readings = every5(30, 90);
+
+    const lost = tracker.update(sensor('A', 2 * DAY), readings, NOW);
+    assert.deepStrictEqual(lost.signalLost, at(30).timestamp);
+    assert.strictEqual(tracker.update(sensor('A', 2 * DAY), readings, NOW + MINUTE).signalLost, null);
+    assert.deepStrictEqual(tracker.status(NOW).signalLostSince, at(30).timestamp);
+
+    const restored = tracker.update(sensor('A', 2 * DAY), [at(0)].concat(readings), NOW);
+    assert.strictEqual(restored.signalLosses[0].minutes, 30);
+    assert.strictEqual(tracker.signalLostSince, null);
+});
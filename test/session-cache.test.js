@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const SessionCache = require('../src/session-cache');
+const LibreViewClient = require('../src/libreview-client');
+const DexcomClient = require('../src/dexcom-client');
+const { LibreLinkUpMock, DexcomShareMock } = require('./mocks');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+test('SessionCache', async (t) => {
+    let dir;
+
+    t.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-sessions-'));
+    });
+
+    t.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await t.test('round-trips a session encrypted with the password', () => {
+        const cache = new SessionCache(dir);
+        cache.save('dexcom', 'publisher', 'pw', { sessionId: 'session-1234' });
+
+        const raw = fs.readFileSync(path.join(dir, 'sessions.json'), 'utf8');
+        assert.ok(!raw.includes('session-1234'));
+        assert.ok(!raw.includes('publisher'));
+        assert.strictEqual(fs.statSync(path.join(dir, 'sessions.json')).mode & 0o777, 0o600);
+
+        assert.deepStrictEqual(new SessionCache(dir).load('dexcom', 'publisher', 'pw'), { sessionId: 'session-1234' });
+    });
+
+    await t.test('ignores entries for a different password or account', () => {
+        const cache = new SessionCache(dir);
+        cache.save('dexcom', 'publisher', 'pw', { sessionId: 'session-1234' });
+
+        assert.strictEqual(cache.load('dexcom', 'publisher', 'changed'), null);
+        assert.strictEqual(cache.load('dexcom', 'someone-else', 'pw'), null);
+        assert.strictEqual(cache.load('libreview', 'publisher', 'pw'), null);
+    });
+
+    await t.test('clears one entry and keeps the others', () => {
+        const cache = new SessionCache(dir);
+        cache.save('dexcom', 'a', 'pw', { sessionId: 'a' });
+        cache.save('dexcom', 'b', 'pw', { sessionId: 'b' });
+
+        cache.clear('dexcom', 'a');
+
+        assert.strictEqual(cache.load('dexcom', 'a', 'pw'), null);
+        assert.deepStrictEqual(cache.load('dexcom', 'b', 'pw'), { sessionId: 'b' });
+    });
+
+    await t.test('treats a corrupt file as empty', () => {
+        fs.writeFileSync(path.join(dir, 'sessions.json'), '{ not json');
+
+        assert.strictEqual(new SessionCache(dir).load('dexcom', 'a', 'pw'), null);
+    });
+});
+
+test('Clients reuse cached sessions', async (t) => {
+    let dir, libre, dexcom;
+
+    t.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-sessions-'));
+        libre = await new LibreLinkUpMock({ region: 'eu' }).start();
+        dexcom = await new DexcomShareMock().start();
+    });
+
+    t.afterEach(async () => {
+        await libre.stop();
+        await dexcom.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const libreClient = () => new LibreViewClient(libre.email, libre.password, '', {
+        host: '127.0.0.1',
+        port: libre.port,
+        protocol: 'http',
+        sessionCache: new SessionCache(dir)
+    });
+
+    const dexcomClient = () => {
+        const client = new DexcomClient(dexcom.username, dexcom.password, 'ous', {
+            host: '127.0.0.1',
+            port: dexcom.port,
+            protocol: 'http',
+            sessionCache: new SessionCache(dir)
+        });
+        client.setSerialNumber('SM12345678');
+        return client;
+    };
+
+    await t.test('LibreView: a restarted client does not log in again', async () => {
+        await libreClient().getConnections();
+        const restarted = libreClient();
+        await restarted.getConnections();
+
+        assert.strictEqual(libre.requestsTo('/llu/auth/login').length, 2); // redirect + login
+        assert.strictEqual(restarted.region, 'eu');
+    });
+
+    await t.test('LibreView: a revoked ticket is replaced by a fresh login', async () => {
+        await libreClient().getConnections();
+        libre.expireTokens();
+
+        const restarted = libreClient();
+        await restarted.getConnections();
+        const cached = new SessionCache(dir).load('libreview', restarted._cacheAccount(), libre.password);
+
+        assert.strictEqual(libre.requestsTo('/llu/auth/login').length, 3);
+        assert.strictEqual(cached.token, restarted.token);
+    });
+
+    await t.test('Dexcom: a restarted client reuses the session', async () => {
+        await dexcomClient().registerReceiver();
+        const restarted = dexcomClient();
+        await restarted.registerReceiver();
+
+        assert.strictEqual(dexcom.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length, 1);
+    });
+
+    await t.test('Dexcom: an expired cached session is renewed', async () => {
+        await dexcomClient().registerReceiver();
+        dexcom.expireSessions();
+
+        const restarted = dexcomClient();
+        await restarted.registerReceiver();
+        await restarted.uploadReadings([{ value: 120, trend: 4, timestamp: new Date() }]);
+
+        assert.strictEqual(dexcom.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length, 2);
+        assert.strictEqual(dexcom.readings.length, 1);
+    });
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonFile } = require('../src/state-file');
+
+test('writeJsonFile replaces the file atomically', () => {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    try {
+        const filePath = path.join(stateDir, 'nested', 'state.json');
+        writeJsonFile(filePath, { version: 1, entries: [1, 2] });
+        writeJsonFile(filePath, { version: 1, entries: [3] });
+
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { version: 1, entries: [3] });
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+        }
+
+        // A failed write keeps the old file and leaves no temp file behind
+        assert.throws(() => writeJsonFile(filePath, { count: 1n }), /BigInt/);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries, [3]);
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+    } finally {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+});
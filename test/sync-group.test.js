@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const SyncGroup = require('../src/sync-group');
+const { LibreLinkUpMock, DexcomShareMock } = require('./mocks');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const JANE = 'a1b2c3d4-0000-4000-8000-000000000001';
+const JOHN = 'a1b2c3d4-0000-4000-8000-000000000002';
+
+const minutesAgo = minutes => new Date(Math.floor(Date.now() / 1000) * 1000 - minutes * 60 * 1000);
+const waitFor = async condition => {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 10));
+};
+
+test('SyncGroup against the mock servers', async (t) => {
+    let libre, janeShare, johnShare, stateDir;
+
+    t.beforeEach(async () => {
+        libre = await new LibreLinkUpMock({
+            connections: [
+                { patientId: JANE, firstName: 'Jane', lastName: 'Doe' },
+                { patientId: JOHN, firstName: 'John', lastName: 'Roe' }
+            ]
+        }).start();
+        libre.setReadings(JANE, [100, 105, 110].map((value, i) => ({ value, trend: 4, timestamp: minutesAgo(10 - i * 5) })));
+        libre.setReadings(JOHN, [200, 190].map((value, i) => ({ value, trend: 4, timestamp: minutesAgo(5 - i * 5) })));
+
+        janeShare = await new DexcomShareMock({ username: 'jane-publisher' }).start();
+        johnShare = await new DexcomShareMock({ username: 'john-publisher' }).start();
+        stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    });
+
+    t.afterEach(async () => {
+        await libre.stop();
+        await janeShare.stop();
+        await johnShare.stop();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    const pair = (name, patient, share) => ({
+        name: name,
+        librePatient: patient,
+        dexcomUsername: share.username,
+        dexcomPassword: share.password,
+        apiUrl: share.url
+    });
+
+    const createGroup = (options = {}) => new SyncGroup({
+        libreEmail: libre.email,
+        librePassword: libre.password,
+        sourceApiUrl: libre.url,
+        stateDir: stateDir,
+        minPollSeconds: 0,
+        pairs: [pair('jane', 'Jane Doe', janeShare), pair('john', 'John', johnShare)],
+        ...options
+    });
+
+    await t.test('uploads each pair\'s patient to its own account, with one shared login', async () => {
+        const group = createGroup();
+        const results = await group.runOnce();
+
+        assert.deepStrictEqual(results.map(r => r.synced), [3, 2]);
+        assert.deepStrictEqual(janeShare.readings.map(r => r.value), [110, 105, 100]);
+        assert.deepStrictEqual(johnShare.readings.map(r => r.value), [190, 200]);
+
+        assert.strictEqual(libre.requestsTo('/llu/auth/login').length, 1);
+        assert.deepStrictEqual(group.getStats().map(s => s.name), ['jane', 'john']);
+        assert.strictEqual(group.syncers[0].source, group.syncers[1].source);
+        assert.ok(group.syncers[0].destinations[0].serialNumber !== group.syncers[1].destinations[0].serialNumber);
+
+        const connections = await group.testConnections();
+        assert.strictEqual(connections.allOk, true);
+        assert.strictEqual(connections.libreview, connections.source);
+    });
+
+    await t.test('a pair that cannot start does not hold back the others', async () => {
+        const group = createGroup({ pairs: [pair('nobody', 'Nobody', johnShare), pair('jane', 'Jane', janeShare)] });
+
+        const results = await group.runOnce();
+        assert.match(results[0].error, /No LibreLinkUp connection matches "Nobody". Available: Jane Doe .*, John Roe/);
+        assert.strictEqual(results[1].synced, 3);
+        assert.strictEqual(johnShare.readings.length, 0);
+
+        const backfill = await group.runBackfill(1);
+        assert.match(backfill[0].error, /No LibreLinkUp connection matches "Nobody"/);
+        assert.strictEqual(backfill[1].found, 3);
+
+        // Only when no pair can start does initialize() fail
+        const none = createGroup({ pairs: [pair('nobody', 'Nobody', johnShare)] });
+        await assert.rejects(none.initialize(), /No LibreLinkUp connection matches "Nobody"/);
+    });
+
+    await t.test('the daemon starts the pairs that can and keeps retrying the others', async () => {
+        const group = createGroup();
+        group.startupRetryMs = 20;
+        const password = johnShare.password;
+        johnShare.password = 'changed';
+
+        await group.runDaemon();
+        await waitFor(() => group.syncers[0].getStats().lastSync);
+        assert.strictEqual(janeShare.readings.length, 3);
+        assert.strictEqual(group.syncers[1].syncTimer, null);
+        assert.ok(group.failures.has(group.syncers[1]));
+
+        // The account works again: the pair starts on its next retry
+        johnShare.password = password;
+        await waitFor(() => group.syncers[1].getStats().lastSync);
+        assert.strictEqual(johnShare.readings.length, 2);
+        assert.strictEqual(group.failures.size, 0);
+
+        assert.strictEqual(await group.shutdown(5000), true);
+    });
+
+    await t.test('staggers the pairs across the sync interval', async () => {
+        const group = createGroup({ syncIntervalMinutes: 10 });
+        const delays = [];
+        for (const syncer of group.syncers) {
+            const start = syncer.startSyncLoop.bind(syncer);
+            syncer.startSyncLoop = delay => {
+                delays.push(delay);
+                start(delay);
+            };
+        }
+
+        await group.runDaemon();
+        assert.deepStrictEqual(delays, [0, 5 * 60 * 1000]);
+
+        // The first pair syncs right away, the second only half an interval later
+        await waitFor(() => group.syncers[0].getStats().lastSync);
+        assert.strictEqual(janeShare.readings.length, 3);
+        assert.strictEqual(group.syncers[1].getStats().lastSync, null);
+        assert.strictEqual(johnShare.readings.length, 0);
+
+        assert.strictEqual(await group.shutdown(5000), true);
+        assert.ok(group.syncers.every(s => s.syncTimer === null));
+    });
+});
@@ -0,0 +1,555 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger');
+const Syncer = require('../src/syncer');
+const NightscoutClient = require('../src/nightscout-client');
+const { LibreLinkUpMock, DexcomShareMock, NightscoutMock } = require('./mocks');
+
+logger.configure({ level: process.env.LOG_LEVEL || 'error' });
+
+const PATIENT = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+const minutesAgo = minutes => new Date(Math.floor(Date.now() / 1000) * 1000 - minutes * 60 * 1000);
+
+test('Syncer end to end against the mock servers', async (t) => {
+    let libre, dexcom, stateDir;
+
+    t.beforeEach(async () => {
+        libre = await new LibreLinkUpMock().start();
+        dexcom = await new DexcomShareMock().start();
+        stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lib2dex-test-'));
+    });
+
+    t.afterEach(async () => {
+        await libre.stop();
+        await dexcom.stop();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    const createSyncer = (options = {}) => new Syncer({
+        libreEmail: libre.email,
+        librePassword: libre.password,
+        sourceApiUrl: libre.url,
+        dexcomUsername: dexcom.username,
+        dexcomPassword: dexcom.password,
+        apiUrl: dexcom.url,
+        stateDir: stateDir,
+        ...options
+    });
+
+    await t.test('uploads new readings once and remembers them across restarts', async () => {
+        libre.setReadings(PATIENT, [
+            { value: 100, trend: 4, timestamp: minutesAgo(10) },
+            { value: 105, trend: 5, timestamp: minutesAgo(5) },
+            { value: 112, trend: 5, timestamp: minutesAgo(0) }
+        ]);
+
+        const syncer = createSyncer();
+        await syncer.initialize();
+        const first = await syncer.sync();
+
+        assert.strictEqual(first.synced, 3);
+        assert.deepStrictEqual(dexcom.readings.map(r => r.value), [112, 105, 100]);
+        // Graph points carry no trend arrow: 105 is estimated from the rise since 100, the oldest has no history
+        assert.deepStrictEqual(dexcom.readings.map(r => r.trend), [3, 3, 4]);
+
+        const restarted = createSyncer();
+        await restarted.initialize();
+        const second = await restarted.sync();
+
+        assert.strictEqual(second.synced, 0);
+        assert.strictEqual(dexcom.requestsTo('/ShareWebServices/Services/Publisher/PostReceiverEgvRecords').length, 1);
+    });
+
+    await t.test('sends LibreView one graph request per sync', async () => {
+        libre.seedReadings(PATIENT, 12, 5);
+        libre.setLogbook(PATIENT, [{ value: 140, trend: 4, timestamp: minutesAgo(20 * 60) }]);
+
+        const syncer = createSyncer();
+        await syncer.initialize();
+        // The first sync also looks up the patient
+        await syncer.sync();
+
+        for (let i = 0; i < 2; i++) {
+            const before = libre.requests.length;
+            await syncer.sync();
+            assert.deepStrictEqual(libre.requests.slice(before).map(r => r.path), [`/llu/connections/${PATIENT}/graph`]);
+        }
+    });
+
+    await t.test('backfills only readings Dexcom Share is missing', async () => {
+        libre.seedReadings(PATIENT, 2, 15);
+
+        const syncer = createSyncer();
+        await syncer.initialize();
+        await syncer.destinations[0].client.uploadReadings([
+            { value: 999, trend: 4, timestamp: libre.readings[PATIENT][1].timestamp }
+        ]);
+
+        syncer.backfillBatchSize = 3;
+        const result = await syncer.backfill(2);
+
+        assert.strictEqual(result.found, 8);
+        assert.strictEqual(result.uploaded, 7);
+        assert.strictEqual(result.batches, 3);
+        assert.strictEqual(dexcom.readings.length, 8);
+    });
+
+    await t.test('a repeated backfill does not re-post readings older than 24h', async () => {
+        libre.seedReadings(PATIENT, 2, 15);
+        const hour = 60 * 60 * 1000;
+        libre.setLogbook(PATIENT, [30, 36, 42].map(h => ({ value: 120, trend: 4, timestamp: new Date(Date.now() - h * hour) })));
+
+        const first = createSyncer();
+        await first.initialize();
+        assert.strictEqual((await first.backfill(48)).uploaded, 11);
+
+        // A restarted daemon syncs before the backfill is run again
+        const second = createSyncer();
+        await second.initialize();
+        await second.sync();
+        const result = await second.backfill(48);
+
+        assert.strictEqual(result.found, 11);
+        assert.strictEqual(result.uploaded, 0);
+        assert.strictEqual(dexcom.readings.length, 11);
+        libre.setLogbook(PATIENT, []);
+    });
+
+    await t.test('the journal goes back to 24h once the backfill window has run out', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const [latest, ...older] = libre.readings[PATIENT];
+        libre.setReadings(PATIENT, older);
+        const hour = 60 * 60 * 1000;
+        libre.setLogbook(PATIENT, [30, 36].map(h => ({ value: 120, trend: 4, timestamp: new Date(Date.now() - h * hour) })));
+
+        const first = createSyncer();
+        await first.initialize();
+        await first.backfill(48);
+        assert.strictEqual(first.journal.size, 13);
+
+        // Two days later, the entries the window was widened for have aged out
+        const state = JSON.parse(fs.readFileSync(first.journal.filePath, 'utf8'));
+        assert.strictEqual(state.retentionMs, 48 * hour);
+        state.retainUntil = Date.now() - 1;
+        fs.writeFileSync(first.journal.filePath, JSON.stringify(state));
+
+        // The next upload prunes the journal back to 24h
+        libre.setReadings(PATIENT, [latest, ...older]);
+        const second = createSyncer();
+        await second.initialize();
+        assert.strictEqual((await second.sync()).synced, 1);
+
+        assert.strictEqual(second.journal.size, 12);
+        assert.strictEqual(second.journal.retention(), 0);
+        assert.strictEqual(JSON.parse(fs.readFileSync(second.journal.filePath, 'utf8')).retentionMs, undefined);
+        libre.setLogbook(PATIENT, []);
+    });
+
+    await t.test('uploads to a Nightscout destination and verifies the entries', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const nightscout = await new NightscoutMock().start();
+        try {
+            const syncer = createSyncer({
+                destinations: [{ destType: 'nightscout', destName: 'ns', nightscoutUrl: nightscout.url, nightscoutApiSecret: nightscout.apiSecret }]
+            });
+            await syncer.initialize();
+            const result = await syncer.sync();
+
+            assert.strictEqual(result.synced, 12);
+            assert.strictEqual(result.destinations[0].verified, true);
+            assert.deepStrictEqual(nightscout.readings.map(r => r.value), libre.readings[PATIENT].map(r => r.value));
+            assert.strictEqual(await syncer.verify(), true);
+            assert.strictEqual(dexcom.requests.length, 0);
+        } finally {
+            await nightscout.stop();
+        }
+    });
+
+    await t.test('a failing destination neither blocks nor duplicates uploads to the others', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const other = await new DexcomShareMock({ username: 'second-publisher' }).start();
+        try {
+            const syncer = createSyncer({
+                destinations: [
+                    { destName: 'first', dexcomUsername: dexcom.username, dexcomPassword: dexcom.password, apiUrl: dexcom.url },
+                    { destName: 'second', dexcomUsername: other.username, dexcomPassword: other.password, apiUrl: other.url }
+                ]
+            });
+            await syncer.initialize();
+
+            await other.stop();
+            const failed = await syncer.sync();
+            assert.deepStrictEqual(failed.destinations.map(d => [d.name, d.synced, d.error !== null]), [
+                ['first', 12, false],
+                ['second', 0, true]
+            ]);
+            assert.strictEqual(dexcom.readings.length, 12);
+
+            await other.start(other.port);
+            const recovered = await syncer.sync();
+            assert.deepStrictEqual(recovered.destinations.map(d => [d.name, d.synced, d.error]), [
+                ['first', 0, null],
+                ['second', 12, null]
+            ]);
+            assert.strictEqual(dexcom.requestsTo('/ShareWebServices/Services/Publisher/PostReceiverEgvRecords').length, 1);
+            assert.strictEqual(other.readings.length, 12);
+            assert.deepStrictEqual(syncer.getStats().destinations.map(d => d.errors), [0, 1]);
+        } finally {
+            await other.stop();
+        }
+    });
+
+    await t.test('a destination that is down does not stop the backfill of the others', async () => {
+        libre.seedReadings(PATIENT, 2, 15);
+        const down = await new DexcomShareMock({ username: 'second-publisher' }).start();
+        const third = await new DexcomShareMock({ username: 'third-publisher' }).start();
+        try {
+            await down.stop();
+            const syncer = createSyncer({
+                destinations: [dexcom, down, third].map((share, i) => ({
+                    destName: `dest${i + 1}`, dexcomUsername: share.username, dexcomPassword: share.password, apiUrl: share.url
+                }))
+            });
+            await syncer.initialize();
+
+            const result = await syncer.backfill(2);
+            assert.strictEqual(result.uploaded, 16);
+            assert.deepStrictEqual(result.destinations.map(d => [d.name, d.uploaded, Boolean(d.error)]), [
+                ['dest1', 8, false],
+                ['dest2', 0, true],
+                ['dest3', 8, false]
+            ]);
+            assert.strictEqual(third.readings.length, 8);
+            assert.deepStrictEqual(syncer.getStats().destinations.map(d => d.errors), [0, 2, 0]);
+
+            // Once it is back, the next backfill connects it
+            await down.start(down.port);
+            const retried = await syncer.backfill(2);
+            assert.deepStrictEqual(retried.destinations.map(d => d.uploaded), [0, 8, 0]);
+        } finally {
+            await down.stop();
+            await third.stop();
+        }
+    });
+
+    await t.test('testConnections keeps the libreview and dexcom keys of older versions', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const result = await createSyncer().testConnections();
+
+        assert.strictEqual(result.allOk, true);
+        assert.strictEqual(result.source.success, true);
+        assert.strictEqual(result.libreview, result.source);
+        assert.strictEqual(result.dexcom, result.destinations[0]);
+    });
+
+    await t.test('reconcile re-uploads readings Dexcom Share lost', async () => {
+        libre.seedReadings(PATIENT, 2, 15);
+
+        const syncer = createSyncer();
+        await syncer.initialize();
+        await syncer.sync();
+
+        const stored = [...dexcom.egvs.keys()].sort((a, b) => b - a);
+        for (const time of [stored[2], stored[3], stored[6]]) {
+            dexcom.egvs.delete(time);
+        }
+
+        const result = await syncer.reconcile();
+
+        assert.strictEqual(result.repaired, 3);
+        assert.deepStrictEqual(result.destinations[0].gaps.map(g => g.count), [2, 1]);
+        assert.strictEqual(dexcom.readings.length, stored.length);
+        assert.strictEqual((await syncer.reconcile()).repaired, 0);
+    });
+
+    await t.test('emits events for readings, uploads, renewals and rate limits', async () => {
+        libre.setReadings(PATIENT, [
+            { value: 100, trend: 4, timestamp: minutesAgo(5) },
+            { value: 105, trend: 5, timestamp: minutesAgo(0) }
+        ]);
+
+        // Without a cool-down the client retries a block in place
+        const syncer = createSyncer({ sourceCooldownMinutes: 0 });
+        syncer.source.retryDelayMs = 0;
+        const events = [];
+        for (const name of ['reading', 'uploaded', 'verified', 'verificationFailed', 'authRenewed', 'rateLimited', 'error']) {
+            syncer.on(name, payload => events.push({ name, ...payload }));
+        }
+
+        await syncer.initialize();
+        await syncer.sync();
+
+        assert.deepStrictEqual(events.map(e => e.name), ['reading', 'reading', 'uploaded', 'verified']);
+        assert.deepStrictEqual(events.filter(e => e.name === 'reading').map(e => e.reading.value), [100, 105]);
+        assert.strictEqual(events[2].destination, 'dest1');
+        assert.strictEqual(events[2].count, 2);
+
+        events.length = 0;
+        libre.expireTokens();
+        libre.queueCloudflareBlock();
+        await syncer.sync();
+
+        assert.deepStrictEqual(events.map(e => [e.name, e.service || null]), [['rateLimited', 'source'], ['authRenewed', 'source']]);
+        assert.strictEqual(events[0].status, 403);
+    });
+
+    await t.test('emits error events only when someone listens', async () => {
+        const syncer = createSyncer();
+        await syncer.initialize();
+        await libre.stop();
+
+        await assert.rejects(syncer.sync());
+
+        const errors = [];
+        syncer.on('error', payload => errors.push(payload));
+        await assert.rejects(syncer.sync());
+
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].phase, 'source');
+        assert.ok(errors[0].error instanceof Error);
+        libre = await new LibreLinkUpMock().start();
+    });
+
+    await t.test('diff reports readings Dexcom Share is missing', async () => {
+        libre.seedReadings(PATIENT, 1, 15);
+
+        const syncer = createSyncer();
+        syncer.maxReadings = 2;
+        await syncer.initialize();
+        await syncer.sync();
+
+        const result = await syncer.diff(1);
+        const dest = result.destinations[0];
+
+        assert.strictEqual(dest.summary.matched, 2);
+        assert.strictEqual(dest.summary.missing, dest.summary.source - 2);
+        assert.strictEqual(dest.summary.trendMismatch, 0);
+    });
+
+    await t.test('uploads LO readings as Dexcom LOW and leaves out readings without a value', async () => {
+        libre.setReadings(PATIENT, [
+            { value: 120, trend: 4, timestamp: minutesAgo(10) },
+            { value: undefined, trend: 4, timestamp: minutesAgo(5) },
+            { value: 35, trend: 3, timestamp: minutesAgo(0) }
+        ]);
+
+        const syncer = createSyncer();
+        await syncer.initialize();
+        const result = await syncer.sync();
+
+        assert.strictEqual(result.synced, 2);
+        assert.deepStrictEqual(dexcom.readings.map(r => r.value), [39, 120]);
+        assert.deepStrictEqual(syncer.getStats().rejectedReadings, { low: 0, high: 0, missing: 1, zero: 0, invalid: 0 });
+        assert.strictEqual(syncer.getStats().adjustedReadings.low, 1);
+    });
+
+    await t.test('resamples one-minute readings to one per 5-minute slot', async () => {
+        libre.seedReadings(PATIENT, 1, 1);
+
+        const syncer = createSyncer({ resample: 'pick', maxReadingsPerSync: 288 });
+        await syncer.initialize();
+        await syncer.sync();
+
+        const times = dexcom.readings.map(r => r.timestamp.getTime());
+        assert.ok(times.length >= 12 && times.length <= 13, `${times.length} readings`);
+        assert.strictEqual(new Set(times.map(t => Math.floor(t / (5 * 60 * 1000)))).size, times.length);
+    });
+
+    await t.test('resamples across polls that each see only the current minute', async () => {
+        const slotStart = Math.floor(Date.now() / (5 * 60 * 1000)) * 5 * 60 * 1000 - 30 * 60 * 1000;
+        const at = minutes => new Date(slotStart + minutes * 60 * 1000);
+        const uploaded = () => dexcom.readings
+            .map(r => [(r.timestamp.getTime() - slotStart) / 60000, r.value])
+            .sort((a, b) => b[0] - a[0]);
+
+        // LibreLinkUp: a 15-minute graph and one current reading per poll
+        const pick = createSyncer({ resample: 'pick', resampleInterpolate: true });
+        await pick.initialize();
+        const graph = [{ value: 85, trend: 4, timestamp: at(-15) }];
+        for (const [minute, value] of [[1, 101], [2, 102], [3, 103]]) {
+            if (minute === 3) graph.push({ value: 100, trend: 4, timestamp: at(0) });
+            libre.setReadings(PATIENT, graph.concat({ value: value, trend: 4, timestamp: at(minute) }));
+            await pick.sync();
+        }
+
+        // One reading per slot: the first one, with interpolated points only where nothing was uploaded
+        assert.deepStrictEqual(uploaded(), [[1, 101], [-5, 95], [-10, 90], [-15, 85]]);
+        assert.strictEqual(pick.getStats().destinations[0].totalInterpolated, 2);
+
+        dexcom.egvs.clear();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+        const average = createSyncer({ resample: 'average' });
+        await average.initialize();
+        for (const [minute, value] of [[-1, 95], [1, 100], [2, 110], [3, 120], [6, 130]]) {
+            libre.setReadings(PATIENT, [{ value: value, trend: 4, timestamp: at(minute) }]);
+            await average.sync();
+        }
+
+        // The first poll has nothing to compare with; the next slot is averaged once complete
+        assert.deepStrictEqual(uploaded(), [[3, 110], [-1, 95]]);
+    });
+
+    await t.test('follows sensor replacements and moves to a new receiver with SENSOR_CHANGE_ACTION=rotate', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        libre.setSensor(PATIENT, { serial: '0M000AAAAA', activatedAt: minutesAgo(3 * 24 * 60) });
+
+        const syncer = createSyncer({ sensorChangeAction: 'rotate' });
+        const changes = [];
+        syncer.on('sensorChanged', event => changes.push(event));
+        await syncer.initialize();
+        const initial = syncer.destinations[0].serialNumber;
+        await syncer.sync();
+
+        const first = syncer.destinations[0].serialNumber;
+        assert.notStrictEqual(first, initial);
+        assert.ok(dexcom.receivers.has(first));
+        assert.strictEqual(syncer.getStats().sensor.state, 'active');
+        assert.strictEqual(syncer.getStats().sensor.serial, '0M000AAAAA');
+
+        libre.setSensor(PATIENT, { serial: '0M000BBBBB', activatedAt: minutesAgo(10) });
+        const result = await syncer.sync();
+
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].previous.serial, '0M000AAAAA');
+        assert.strictEqual(syncer.getStats().sensor.state, 'warmup');
+        assert.notStrictEqual(syncer.destinations[0].serialNumber, first);
+        assert.ok(dexcom.receivers.has(syncer.destinations[0].serialNumber));
+        // The journal carried over, so nothing was uploaded again
+        assert.strictEqual(result.synced, 0);
+    });
+
+    await t.test('runDaemon returns without exiting, and stop() ends the loop', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+
+        const syncer = createSyncer();
+        await syncer.runDaemon();
+        assert.ok(syncer.syncTimer);
+
+        syncer.stop();
+        assert.strictEqual(syncer.syncTimer, null);
+        assert.ok(syncer.getStats().lastSync);
+    });
+
+    await t.test('shutdown waits for the sync in progress, up to a timeout', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const syncer = createSyncer();
+        await syncer.initialize();
+
+        const inFlight = async () => {
+            syncer.startSyncLoop(0);
+            while (!syncer.cycle) await new Promise(resolve => setImmediate(resolve));
+        };
+
+        dexcom.delayMs = 100;
+        await inFlight();
+        assert.strictEqual(await syncer.shutdown(5000), true);
+        assert.strictEqual(syncer.cycle, null);
+        assert.strictEqual(syncer.syncTimer, null);
+        assert.strictEqual(dexcom.readings.length, 12);
+        assert.ok(fs.existsSync(syncer.journal.filePath));
+
+        dexcom.delayMs = 2000;
+        libre.seedReadings(PATIENT, 1, 1);
+        await inFlight();
+        const running = syncer.cycle;
+        assert.strictEqual(await syncer.shutdown(50), false);
+        dexcom.delayMs = 0;
+        await running;
+    });
+
+    await t.test('reload applies new settings and keeps unchanged destinations connected', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const syncer = createSyncer();
+        const config = syncer.config;
+        await syncer.runDaemon();
+        const client = syncer.destinations[0].client;
+        const logins = dexcom.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length;
+
+        const restart = await syncer.reload({
+            ...config,
+            librePassword: 'changed',
+            syncIntervalMinutes: 10,
+            alerts: { low: 80 },
+            readingPolicy: { low: 'skip' }
+        });
+
+        assert.deepStrictEqual(restart, ['SOURCE_PASSWORD']);
+        assert.strictEqual(syncer.syncInterval, 10 * 60 * 1000);
+        assert.strictEqual(syncer.scheduler.maxIntervalMs, 10 * 60 * 1000);
+        assert.strictEqual(syncer.alerts.low, 80);
+        assert.strictEqual(syncer.validator.policy.low, 'skip');
+        assert.strictEqual(syncer.destinations[0].client, client);
+        assert.ok(syncer.syncTimer);
+
+        // A changed destination is replaced and connected
+        await syncer.reload({ ...config, serialNumber: 'SM99999999' });
+        assert.notStrictEqual(syncer.destinations[0].client, client);
+        assert.strictEqual(syncer.journal, syncer.destinations[0].journal);
+        assert.ok(dexcom.receivers.has('SM99999999'));
+        // ...reusing the cached Dexcom session
+        assert.strictEqual(dexcom.requestsTo('/ShareWebServices/Services/General/LoginPublisherAccountById').length, logins);
+
+        syncer.stop();
+    });
+
+    await t.test('waits out a Cloudflare block at startup instead of failing, across restarts', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        libre.queueCloudflareBlock(429);
+
+        const syncer = createSyncer();
+        const running = syncer.runDaemon();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const circuit = syncer.getStats().sourceCircuit;
+        assert.strictEqual(circuit.state, 'open');
+        assert.strictEqual(circuit.reason, 'HTTP 429');
+        assert.strictEqual(syncer.source.cloudflareBlocks, 1);
+
+        syncer.stop();
+        await running;
+        assert.strictEqual(syncer.syncTimer, null);
+
+        // A restart honours the cool-down and sends nothing to LibreView
+        const requests = libre.requests.length;
+        const restarted = createSyncer();
+        await assert.rejects(restarted.runOnce(), error => error.code === 'CIRCUIT_OPEN');
+        assert.strictEqual(libre.requests.length, requests);
+    });
+
+    await t.test('keeps retrying when it cannot start or the first sync fails', async () => {
+        libre.seedReadings(PATIENT, 1, 5);
+        const connections = libre.connections;
+        libre.connections = [];
+        await libre.stop();
+
+        const syncer = createSyncer();
+        syncer.startupRetryMs = 20;
+        const running = syncer.runDaemon();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(syncer.syncTimer, null);
+
+        // LibreView is back, but the account has no connections for the first sync
+        await libre.start(libre.port);
+        await running;
+        assert.ok(syncer.syncTimer);
+        assert.strictEqual(syncer.getStats().lastSync, null);
+        assert.strictEqual(syncer.scheduler.misses, 1);
+
+        syncer.stop();
+        libre.connections = connections;
+    });
+});
+
+test('Nightscout trend directions', () => {
+    const client = new NightscoutClient('http://127.0.0.1:1');
+
+    const directions = [1, 2, 3, 4, 5, 6, 7].map(trend =>
+        client._formatForNightscout({ value: 100, trend: trend, timestamp: new Date() }).direction
+    );
+
+    assert.deepStrictEqual(directions, ['DoubleDown', 'SingleDown', 'FortyFiveDown', 'Flat', 'FortyFiveUp', 'SingleUp', 'DoubleUp']);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidTimezone, timezoneOffset, formatUtcOffset } = require('../src/timezone');
+
+test('timezoneOffset follows DST per instant', () => {
+    // Europe/Berlin switches to summer time at 01:00 UTC on 2026-03-29
+    assert.strictEqual(timezoneOffset('Europe/Berlin', new Date('2026-03-29T00:59:00Z')), 60);
+    assert.strictEqual(timezoneOffset('Europe/Berlin', new Date('2026-03-29T01:00:00Z')), 120);
+    assert.strictEqual(timezoneOffset('America/New_York', new Date('2026-11-01T05:59:59Z')), -240);
+    assert.strictEqual(timezoneOffset('America/New_York', new Date('2026-11-01T06:00:00Z')), -300);
+    assert.strictEqual(timezoneOffset('Asia/Kolkata', new Date('2026-06-01T12:00:00.500Z')), 330);
+});
+
+test('formatUtcOffset', () => {
+    assert.deepStrictEqual([0, 180, -300, 345, -570].map(formatUtcOffset), ['+0000', '+0300', '-0500', '+0545', '-0930']);
+});
+
+test('isValidTimezone', () => {
+    assert.strictEqual(isValidTimezone('Europe/Istanbul'), true);
+    assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { trendForRate, estimateTrends } = require('../src/trend-estimator');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+// Readings newest first, `step` minutes apart
+const series = (step, ...values) => values.map((value, i) => ({
+    value: value,
+    trend: null,
+    timestamp: new Date(NOW - i * step * 60 * 1000)
+}));
+
+test('trendForRate uses the Dexcom bands', () => {
+    assert.deepStrictEqual(
+        [3.5, 3, 2.5, 1, 0.9, 0, -0.9, -1, -2.5, -3, -4].map(trendForRate),
+        [7, 7, 6, 5, 4, 4, 4, 3, 2, 1, 1]
+    );
+});
+
+test('estimateTrends', async (t) => {
+    await t.test('fills in missing trends from the preceding readings', () => {
+        const readings = estimateTrends(series(5, 130, 120, 110, 100));
+
+        assert.deepStrictEqual(readings.map(r => r.trend), [6, 6, 6, null]);
+        assert.strictEqual(readings[0].trendEstimated, true);
+    });
+
+    await t.test('keeps source trends unless asked to recompute', () => {
+        const readings = series(5, 100, 110, 120);
+        readings[0].trend = 4;
+
+        assert.strictEqual(estimateTrends(readings)[0].trend, 4);
+        assert.strictEqual(estimateTrends(readings, { recompute: true })[0].trend, 2);
+    });
+
+    await t.test('follows one-minute readings and ignores readings without a value', () => {
+        const readings = series(1, 100, 103, null, 109, 112, 115);
+
+        assert.strictEqual(estimateTrends(readings)[0].trend, 1);
+        assert.strictEqual(estimateTrends(readings)[2].trend, null);
+    });
+
+    await t.test('needs at least a few minutes of history', () => {
+        // Two minutes of readings, then a gap longer than the window
+        const readings = series(1, 100, 110, 120);
+        readings.push({ value: 90, trend: null, timestamp: new Date(NOW - 40 * 60 * 1000) });
+
+        assert.deepStrictEqual(estimateTrends(readings).map(r => r.trend), [null, null, null, null]);
+    });
+});